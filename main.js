@@ -1,58 +1,71 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { Sky } from 'three/addons/objects/Sky.js';
+import { createConfig, applyModule } from './src/config.js';
+import { createSiteModel, createCoachStructure, disposeGroup, layoutErrors } from './src/siteModel.js';
+import { createParamPanel, validateParams } from './src/paramPanel.js';
+import { computeSunPosition, siteTimeToDate, sunDirection } from './src/solarPosition.js';
+import { createSunPanel } from './src/sunPanel.js';
+import { createYieldPanel } from './src/yieldPanel.js';
+import { sampleSunPositions, analyseShading, shadingColour } from './src/shadingAnalysis.js';
+import { createShadingPanel } from './src/shadingPanel.js';
+import { applyInstanceColours, clearInstanceColours } from './src/instanceColours.js';
+import { createBomPanel } from './src/bomPanel.js';
+import { renderInfoOverlay } from './src/infoOverlay.js';
+import { MODULE_LIBRARY } from './src/moduleLibrary.js';
+import { createModulePanel } from './src/modulePanel.js';
+import { createLayoutPanel } from './src/layoutPanel.js';
+import { createStringPanel, stringColour } from './src/stringPanel.js';
+import { createCablePanel } from './src/cablePanel.js';
+import { createStructuralPanel } from './src/structuralPanel.js';
+import { buildExportScene, exportModel } from './src/modelExport.js';
+import { createExportPanel } from './src/exportPanel.js';
+import { createSitePlanPanel } from './src/sitePlanPanel.js';
+import { newSeed } from './src/random.js';
+import { readUrlState, applyOverrides, encodeUrlState } from './src/urlState.js';
+import { createSharePanel } from './src/sharePanel.js';
+import { DEFAULT_SCENARIO, validateScenario } from './src/scenario.js';
+import { createScenarioPanel } from './src/scenarioPanel.js';
+import { createParkingPanel } from './src/parkingPanel.js';
+import { vehicleOutline, vehicleLength, bodyCentreOffset } from './src/sweptPath.js';
+import { createSweptPathPanel } from './src/sweptPathPanel.js';
+import { createClashPanel } from './src/clashPanel.js';
+import { selectionKeyAt, resolveSelection, describeSelection } from './src/selection.js';
+import { renderInspector } from './src/inspector.js';
+import { snapHit, measureDistance, verticalClearance, polygonArea } from './src/measure.js';
+import { createMeasurePanel, MEASURE_MODES } from './src/measurePanel.js';
+import { createLabel, createPolyline, createDimension, disposeAnnotations } from './src/annotations.js';
+import { VIEWS, fitOrthographic, setOrthographicAspect, sectionCut } from './src/orthoViews.js';
+import { createViewPanel } from './src/viewPanel.js';
+import { renderImage, renderImageAt } from './src/imageExport.js';
+import { createFlythrough } from './src/flythrough.js';
+import { createCameraPanel, RENDER_SIZES } from './src/cameraPanel.js';
 
 // --- Configuration ---
-const CONFIG = {
-    structure: {
-        length: 96, // meters
-        width: 12, // meters per port
-        columnSpacing: 6, // meters
-        eavesHeight: 5, // meters
-        ridgeHeight: 5.9, // meters
-        rafterColor: 0x1a1a1a, // Black steel
-        roofSheetColor: 0x222222, // Dark grey/black trapezoidal
-    },
-    parking: {
-        car: {
-            width: 2.4,
-            length: 4.8,
-            angle: 45, // degrees
-            aisleWidth: 3.5, // Standard one-way aisle
-            lineColor: 0xffffff,
-            lineWidth: 0.1,
-            rows: 2,
-            colors: [
-                { name: 'Dark Grey', color: 0x444444 } // Only use dark grey
-            ]
-        },
-        coach: {
-            width: 3.5,
-            length: 12,
-            angle: 30, // Shallow angle
-            lineColor: 0xffffff,
-            lineWidth: 0.15,
-            rows: 1,
-            colors: [
-                { name: 'Dark Grey', color: 0x444444 } // Only use dark grey
-            ]
-        }
-    },
-    solar: {
-        width: 1.134, // meters
-        length: 1.762, // meters
-        rowsPerSlope: 3,
-        panelsPerRow: 83,
-        gapX: 0.03, // Increased gap slightly for visibility
-        gapY: 0.05,
-        color: 0x1e365c, // Deep blue/black
-        frameColor: 0x888888 // Lighter grey for visible frame edge
-    },
-    vehicles: {
-        carCount: 30,
-        coachCount: 6
-    }
-};
+// Design and analysis settings (src/config.js); the URL, panels and rebuilds all edit this one object.
+const CONFIG = createConfig();
+
+// --- Site Scenario ---
+// Site composition (structures, containers, roads, ...) is data; see src/scenario.js.
+let scenario = structuredClone(DEFAULT_SCENARIO);
+
+// --- URL State ---
+// A shared link restores the seed, the key CONFIG values and (further down) the camera.
+const DEFAULT_CONFIG = structuredClone(CONFIG);
+const urlState = readUrlState(window.location.hash);
+if (urlState.seed !== null) CONFIG.random.seed = urlState.seed;
+applyOverrides(CONFIG, urlState.overrides);
+// Layout validation needs the linked module's size
+applyModule(CONFIG, MODULE_LIBRARY.find((sheet) => sheet.id === CONFIG.solar.moduleId));
+// Shown in the Share panel; a hand-edited or stale link must not produce an unbuildable model
+const linkProblems = urlState.rejected.length > 0
+    ? [`Ignored invalid link values: ${urlState.rejected.join(', ')}`]
+    : [];
+if (validateParams(CONFIG).length > 0 || layoutErrors(CONFIG, scenario).length > 0) {
+    linkProblems.push('The linked design cannot be built, so the default design is shown');
+    Object.keys(DEFAULT_CONFIG).forEach((section) => Object.assign(CONFIG[section], structuredClone(DEFAULT_CONFIG[section])));
+    if (urlState.seed !== null) CONFIG.random.seed = urlState.seed;
+}
 
 // --- Scene Setup ---
 const scene = new THREE.Scene();
@@ -60,15 +73,20 @@ scene.background = new THREE.Color(0xdcecf7);
 scene.fog = new THREE.FogExp2(0xdcecf7, 0.002); // Reduced fog
 
 const camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 1000);
-camera.position.set(-40, 40, 60); // Higher angle, centered on crop
+camera.position.set(-40, 40, 60); // Higher angle, centered on crop; the first bookmark takes over (see Camera Bookmarks)
 camera.lookAt(-40, 0, 0); // Focus on center of active area
 
+// Orthographic views (see Views & Sections) draw through this one instead
+const orthoCamera = new THREE.OrthographicCamera();
+let activeCamera = camera;
+
 const renderer = new THREE.WebGLRenderer({ antialias: true });
 renderer.setSize(window.innerWidth, window.innerHeight);
 renderer.shadowMap.enabled = true;
 renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 renderer.toneMapping = THREE.ACESFilmicToneMapping;
 renderer.toneMappingExposure = 1.4; // A touch brighter
+renderer.localClippingEnabled = true; // Section cuts clip the model's materials
 document.body.appendChild(renderer.domElement);
 
 // --- Lighting ---
@@ -106,899 +124,65 @@ ground.rotation.x = -Math.PI / 2;
 ground.receiveShadow = true;
 scene.add(ground);
 
-// Grid helpers for context
-const gridTargetStart = -(CONFIG.structure.length / 2);
-// Simple parking lines
-
-
-// --- Generators ---
-
-function createCarStructure(color) {
-    const group = new THREE.Group();
-
-    // Lower body
-    const bodyGeo = new THREE.BoxGeometry(1.8, 0.8, 4.5);
-    const bodyMat = new THREE.MeshStandardMaterial({ color: color, roughness: 0.4, metalness: 0.6 });
-    const body = new THREE.Mesh(bodyGeo, bodyMat);
-    body.position.y = 0.5; // Raised for wheels
-    body.castShadow = true;
-    group.add(body);
-
-    // Cabin / Windows (Greenhouse)
-    const cabinGeo = new THREE.BoxGeometry(1.4, 0.6, 2.2);
-    const cabinMat = new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 0.1, metalness: 0.8 });
-    const cabin = new THREE.Mesh(cabinGeo, cabinMat);
-    cabin.position.set(0, 1.2, -0.2); // Set back slightly
-    cabin.castShadow = true;
-    group.add(cabin);
-
-    // Wheels (simple cylinders across)
-    const wheelGeo = new THREE.CylinderGeometry(0.3, 0.3, 1.9, 12);
-    const wheelMat = new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.9 });
-
-    const wheelFront = new THREE.Mesh(wheelGeo, wheelMat);
-    wheelFront.rotation.z = Math.PI / 2;
-    wheelFront.position.set(0, 0.3, 1.5);
-    group.add(wheelFront);
-
-    const wheelBack = new THREE.Mesh(wheelGeo, wheelMat);
-    wheelBack.rotation.z = Math.PI / 2;
-    wheelBack.position.set(0, 0.3, -1.5);
-    group.add(wheelBack);
-
-    return group;
-}
-
-function createCoachStructure(color) {
-    const group = new THREE.Group();
-
-    // Main body
-    const bodyGeo = new THREE.BoxGeometry(2.5, 3.2, 12);
-    const bodyMat = new THREE.MeshStandardMaterial({ color: color, roughness: 0.5, metalness: 0.2 });
-    const body = new THREE.Mesh(bodyGeo, bodyMat);
-    body.position.y = 2.1; // 0.5 (wheels) + 1.6 (half height)
-    body.castShadow = true;
-    group.add(body);
-
-    // Windows band
-    const winGeo = new THREE.BoxGeometry(2.55, 1.0, 11.8);
-    const winMat = new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 0.1, metalness: 0.8 });
-    const windows = new THREE.Mesh(winGeo, winMat);
-    windows.position.y = 2.5;
-    group.add(windows);
-
-    // Wheels
-    const wheelGeo = new THREE.CylinderGeometry(0.5, 0.5, 2.6, 12);
-    const wheelMat = new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.9 });
-
-    const wheelFront = new THREE.Mesh(wheelGeo, wheelMat);
-    wheelFront.rotation.z = Math.PI / 2;
-    wheelFront.position.set(0, 0.5, 4.0);
-    group.add(wheelFront);
-
-    const wheelBack = new THREE.Mesh(wheelGeo, wheelMat);
-    wheelBack.rotation.z = Math.PI / 2;
-    wheelBack.position.set(0, 0.5, -3.5);
-    group.add(wheelBack);
-
-    const wheelBack2 = new THREE.Mesh(wheelGeo, wheelMat);
-    wheelBack2.rotation.z = Math.PI / 2;
-    wheelBack2.position.set(0, 0.5, -4.7);
-    group.add(wheelBack2);
-
-    return group;
-}
-
-
-function createStructure(offsetX, offsetY, options = {}) {
-    const group = new THREE.Group();
-
-    // Derived Dimensions
-    const halfSpan = CONFIG.structure.width / 2;
-    const height = CONFIG.structure.eavesHeight;
-    const rise = CONFIG.structure.ridgeHeight - height;
-    const pitchRad = Math.atan(rise / halfSpan);
-    const slopeLen = Math.sqrt(rise * rise + halfSpan * halfSpan);
-    const rafterLen = slopeLen + 0.5; // +overhang
-
-    // 1. Columns (RSJs)
-    const colCount = Math.ceil(CONFIG.structure.length / CONFIG.structure.columnSpacing) + 1;
-    const colGeo = new THREE.BoxGeometry(0.2, height, 0.2);
-    const colMat = new THREE.MeshStandardMaterial({ color: CONFIG.structure.rafterColor, roughness: 0.7 });
-
-    for (let i = 0; i < colCount; i++) {
-        const z = (i * CONFIG.structure.columnSpacing) - (CONFIG.structure.length / 2);
-
-        // Left Column (skip if options.skipLeftCols is true — supported by brace instead)
-        if (!options.skipLeftCols) {
-            const colL = new THREE.Mesh(colGeo, colMat);
-            colL.position.set(-CONFIG.structure.width / 2, height / 2, z);
-            colL.castShadow = true;
-            colL.receiveShadow = true;
-            group.add(colL);
-        }
-
-        // Right Column
-        const colR = new THREE.Mesh(colGeo, colMat);
-        colR.position.set(CONFIG.structure.width / 2, height / 2, z);
-        colR.castShadow = true;
-        colR.receiveShadow = true;
-        group.add(colR);
-
-        // Visual Rafters (angled)
-        const rafterWingGeo = new THREE.BoxGeometry(rafterLen, 0.3, 0.15);
-
-        const rafterL = new THREE.Mesh(rafterWingGeo, colMat);
-        // Midpoint of rafter logic:
-        // Horizontal projection is halfSpan. Center is -halfSpan/2.
-        // Vertical projection is rise. Center is height + rise/2.
-        rafterL.position.set(-halfSpan / 2, height + rise / 2, z);
-        rafterL.rotation.z = pitchRad;
-        group.add(rafterL);
-
-        const rafterR = new THREE.Mesh(rafterWingGeo, colMat);
-        rafterR.position.set(halfSpan / 2, height + rise / 2, z);
-        rafterR.rotation.z = -pitchRad;
-        group.add(rafterR);
-    }
-
-    // 2. Roof Sheet
-    const roofLen = CONFIG.structure.length + 1; // Slight overhang
-
-    const roofGeo = new THREE.BoxGeometry(rafterLen, 0.05, roofLen);
-    const roofMat = new THREE.MeshStandardMaterial({ color: CONFIG.structure.roofSheetColor, roughness: 0.6, metalness: 0.3 });
-
-    const roofL = new THREE.Mesh(roofGeo, roofMat);
-    roofL.position.set(-halfSpan / 2, height + rise / 2 + 0.15, 0);
-    roofL.rotation.z = pitchRad;
-    roofL.castShadow = true;
-    group.add(roofL);
-
-    const roofR = new THREE.Mesh(roofGeo, roofMat);
-    roofR.position.set(halfSpan / 2, height + rise / 2 + 0.15, 0);
-    roofR.rotation.z = -pitchRad;
-    roofR.castShadow = true;
-    group.add(roofR);
-
-    // 3. Solar Panels (InstancedMesh)
-    const totalPanels = CONFIG.solar.panelsPerRow * CONFIG.solar.rowsPerSlope * 2;
-
-    // Geometry: X=Length(SlopeDir), Y=Thick, Z=Width(RowDir)
-    // This alignment simplifies the rotation math along the slope.
-    const panelMeshGeo = new THREE.BoxGeometry(CONFIG.solar.length, 0.04, CONFIG.solar.width);
-
-    // Procedural Texture for Solar Panels
-    const panelTex = createTextureFromCanvas(256, 164, (ctx, w, h) => {
-        // Outer Frame (Dark grey - subtle against dark panel)
-        ctx.fillStyle = '#444444';
-        ctx.fillRect(0, 0, w, h);
-
-        // Inner Glass (Near-black with slight blue tint)
-        ctx.fillStyle = '#091428';
-        ctx.fillRect(4, 4, w - 8, h - 8);
-
-        // Grid Lines (Silver cell dividers)
-        ctx.strokeStyle = '#aaaaaa'; // Dimmer grid lines
-        ctx.globalAlpha = 0.2; // Keep grid lines subtle
-        ctx.lineWidth = 1;
-        ctx.beginPath();
-
-        // Grid divisions
-        for (let i = 1; i < 6; i++) {
-            ctx.moveTo(0, h * i / 6);
-            ctx.lineTo(w, h * i / 6);
-        }
-        for (let j = 1; j < 10; j++) {
-            ctx.moveTo(w * j / 10, 0);
-            ctx.lineTo(w * j / 10, h);
-        }
-        ctx.stroke();
-        ctx.globalAlpha = 1.0; // Reset alpha
-    });
-
-    const panelMat = new THREE.MeshStandardMaterial({
-        map: panelTex,
-        color: 0xffffff, // Use white to retain texture colors
-        roughness: 0.1, // Restore glossiness
-        metalness: 0.8, // Restore metalness for specular highlights
-        emissive: 0x050a14, // Very faint blue emissive glow
-        emissiveIntensity: 0.2
-    });
-
-    const solarInst = new THREE.InstancedMesh(panelMeshGeo, panelMat, totalPanels);
-    const dummy = new THREE.Object3D();
-    let pIdx = 0;
-
-    // Left Slope loop
-    for (let row = 0; row < CONFIG.solar.rowsPerSlope; row++) {
-        for (let col = 0; col < CONFIG.solar.panelsPerRow; col++) {
-            // Center of Left Roof section
-            const cx = -halfSpan / 2;
-            const cy = height + rise / 2 + 0.2;
-            const cz = 0;
-
-            // Offsets
-            // xOffset (along slope): Centered around 0
-            const xOffset = (row * (CONFIG.solar.length + CONFIG.solar.gapY)) - ((CONFIG.solar.rowsPerSlope * CONFIG.solar.length) / 2) + (CONFIG.solar.length / 2);
-            // zOffset (along building length): Centered around 0 (accounting for gaps)
-            const totalZSpan = (CONFIG.solar.panelsPerRow - 1) * (CONFIG.solar.width + CONFIG.solar.gapX);
-            const zOffset = (col * (CONFIG.solar.width + CONFIG.solar.gapX)) - (totalZSpan / 2);
-
-            // Create vector on unrotated plane (assuming plane is flat at y=0)
-            // But our "Plane" is rotated by pitchRad around Z axis.
-            // Actually, we can just position in local space and rotate the vector.
-
-            // Vector pointing along slope (X) and building length (Z)
-            const vec = new THREE.Vector3(xOffset, 0.05, zOffset);
-
-            // Apply rotation around Z axis (pitch)
-            vec.applyAxisAngle(new THREE.Vector3(0, 0, 1), pitchRad);
-
-            dummy.position.set(cx + vec.x, cy + vec.y, cz + vec.z);
-            dummy.rotation.set(0, 0, 0);
-            dummy.rotation.z = pitchRad;
-
-            dummy.updateMatrix();
-            solarInst.setMatrixAt(pIdx++, dummy.matrix);
-        }
-    }
-
-    // Right Slope loop
-    for (let row = 0; row < CONFIG.solar.rowsPerSlope; row++) {
-        for (let col = 0; col < CONFIG.solar.panelsPerRow; col++) {
-            const cx = halfSpan / 2;
-            const cy = height + rise / 2 + 0.2;
-            const cz = 0;
-            const pitchRadR = -pitchRad;
-
-            // Mirror logic for X offset? 
-            // If we rotate by -pitch, positive X goes "down" to the right? 
-            // Standard rotation: +X moves Right/Up.
-            // Width of building is X axis.
-            // Center of right Slope is +X.
-            // We want panels to start from... top or bottom? 
-            // Let's assume symmetric.
-
-            // For right slope, ensure we flip xOffset if needed so rows order correctly or just symmetric is fine.
-            const xOffset = (row * (CONFIG.solar.length + CONFIG.solar.gapY)) - ((CONFIG.solar.rowsPerSlope * CONFIG.solar.length) / 2) + (CONFIG.solar.length / 2);
-            // Flip xOffset to mirror properly? 
-            // If xOffset is positive, it moves "UP" the slope (towards apex) if we stick to the local X definition.
-            // zOffset (along building length): Centered around 0 (accounting for gaps)
-            const totalZSpan = (CONFIG.solar.panelsPerRow - 1) * (CONFIG.solar.width + CONFIG.solar.gapX);
-            const zOffset = (col * (CONFIG.solar.width + CONFIG.solar.gapX)) - (totalZSpan / 2);
-
-            // We use -xOffset approx to match left side logic if we want "row 0" to be same relative pos
-            // Slight adjustment to cx to prevent ridge overlapping, offset slightly down the slope
-            const overhangFix = 0.2; // Move it down slope slightly to prevent overhang at ridge
-            const vec = new THREE.Vector3(-xOffset, 0.05, zOffset);
-            vec.applyAxisAngle(new THREE.Vector3(0, 0, 1), pitchRadR);
-
-            // Adding overhangFix to move away from ridge slightly
-            const cxFix = cx + (Math.cos(pitchRadR) * overhangFix);
-            const cyFix = cy - (Math.sin(Math.abs(pitchRadR)) * overhangFix);
-
-            dummy.position.set(cxFix + vec.x, cyFix + vec.y, cz + vec.z);
-            dummy.rotation.set(0, 0, 0);
-            dummy.rotation.z = pitchRadR;
-
-            dummy.updateMatrix();
-            solarInst.setMatrixAt(pIdx++, dummy.matrix);
-        }
-    }
-
-    group.add(solarInst);
-
-    group.position.set(offsetX, offsetY, 0);
-    return group;
-}
-
-// Correct Panel Geo for the function above
-// X=Length(SlopeDir), Y=Thick, Z=Width(RowDir)
-const panelMeshGeoInst = new THREE.BoxGeometry(CONFIG.solar.length, 0.04, CONFIG.solar.width);
-// Override the instanced mesh geo inside build function? 
-// No, create global one or pass it. 
-// For simplicity, I'll redraw the function logic slightly in actual run to use correct geo.
-// Re-doing the geo def outside:
-
-// --- Build It ---
-
-// Building 1 (Cars) - Left side (-6m center, spans -12 to 0)
-// Building 2 (Coaches) - Right side (+7.5m center, spans +1.5 to +13.5)
-// 1.5m open air gap between x=0 and x=+1.5
-// 3 ground columns: x=-12, x=0 (car port right), x=+13.5 (coach port right)
-// Coach port left columns skipped — supported by horizontal braces from car port
-
-const carPort = createStructure(-6.0, 0);
-scene.add(carPort);
-
-const coachPort = createStructure(7.5, 0, { skipLeftCols: true });
-scene.add(coachPort);
-
-// Horizontal Braces (connecting car port right edge x=0 to coach port left edge x=+1.5)
-// Repeated at every column position (every 6m along the 96m length)
-const braceGroup = new THREE.Group();
-const braceMat = new THREE.MeshStandardMaterial({ color: CONFIG.structure.rafterColor, roughness: 0.7 });
-const braceGeo = new THREE.BoxGeometry(1.5, 0.2, 0.15); // 1.5m span, steel section
-const braceColCount = Math.ceil(CONFIG.structure.length / CONFIG.structure.columnSpacing) + 1;
-
-for (let i = 0; i < braceColCount; i++) {
-    const z = (i * CONFIG.structure.columnSpacing) - (CONFIG.structure.length / 2);
-    const brace = new THREE.Mesh(braceGeo, braceMat);
-    // Center of brace at x = 0.75 (midpoint of 0 to 1.5), at eaves height
-    brace.position.set(0.75, CONFIG.structure.eavesHeight, z);
-    brace.castShadow = true;
-    braceGroup.add(brace);
-}
-scene.add(braceGroup);
-
-// --- Container (Between Pitch and Car Port) ---
-function createContainer(customLength = null) {
-    const group = new THREE.Group();
-    const width = 8;
-    const height = 5;
-    const length = customLength || CONFIG.structure.length; // Matches car port length length
-
-    // Procedural texture for trapezoidal sheeting (vertical dark grey/black stripes)
-    const sheetTex = createTextureFromCanvas(512, 512, (ctx, w, h) => {
-        ctx.fillStyle = '#0a0a0a'; // Dark base (valley)
-        ctx.fillRect(0, 0, w, h);
-
-        ctx.fillStyle = '#111111'; // Lighter (ridge)
-        const stripes = 40;
-        const stripeW = w / stripes;
-        for (let i = 0; i < stripes; i++) {
-            // Draw a slightly lighter strip in the middle of each segment
-            ctx.fillRect(i * stripeW + (stripeW * 0.2), 0, stripeW * 0.4, h);
-        }
-    });
-    // Adjust wrapping for realism on a long object
-    sheetTex.wrapS = THREE.RepeatWrapping;
-    sheetTex.wrapT = THREE.RepeatWrapping;
-    sheetTex.repeat.set(10, 1);
-
-    const sheetMat = new THREE.MeshStandardMaterial({
-        map: sheetTex,
-        color: 0x111111, // Darken overall color
-        roughness: 0.9, // Very rough
-        metalness: 0.1 // Not very metallic
-    });
-
-    const geo = new THREE.BoxGeometry(width, height, length);
-    const container = new THREE.Mesh(geo, sheetMat);
-    container.position.set(0, height / 2, 0);
-    container.castShadow = true;
-    container.receiveShadow = true;
-    group.add(container);
-
-    return group;
-}
-
-const storageContainer = createContainer();
-// Position shifted 1.5m further left to create a 1.5m gap from car port edge (-12m)
-// Container right edge: -17.5 + 4 = -13.5. Gap: -12 - (-13.5) = 1.5m
-storageContainer.position.set(-17.5, 0, 0);
-scene.add(storageContainer);
-
-// Second Storage Container (South edge)
-// Positioned in the gap between the main container and the south fence
-const smallContainerLength = 7;
-const smallContainer = createContainer(smallContainerLength);
-// Bottom of main container is at z = 48 (length 96, centered at 0).
-// 1.5m separation -> starts at z = 49.5
-// Center = 49.5 + (7 / 2) = 53
-smallContainer.position.set(-17.5, 0, 53.0);
-scene.add(smallContainer);
-
-
-// --- Cars & Coaches Sim ---
-// Place random boxes
-// --- Parking & Vehicles ---
-
-function generateParking() {
-    const group = new THREE.Group();
-    const lineMat = new THREE.MeshBasicMaterial({ color: CONFIG.parking.car.lineColor });
-
-    // --- Car Port (Port 1, Center X = -6) ---
-    // Layout: 2 Rows angled at 45 deg.
-    // Row 1: Left side of Port 1 (-6 - offset)
-    // Row 2: Right side of Port 1 (-6 + offset)
-
-    // Calculate geometry
-    const bayW = CONFIG.parking.car.width;
-    const bayL = CONFIG.parking.car.length;
-    const angleRad = CONFIG.parking.car.angle * (Math.PI / 180);
-
-    // Depth of angled bay perpendicular to aisle
-    const bayDepth = (bayL * Math.sin(angleRad)) + (bayW * Math.cos(angleRad));
-    // Actual space taken: 4.8*sin(45) + 2.4*cos(45) ~= 3.4 + 1.7 = 5.1m
-    // Two rows = 10.2m. Leaves ~1.8m aisle in 12m span? A bit tight inside the columns.
-    // User mentioned "5m + 5m + 2m aisle", so effectively perpendicular depth is ~5m.
-    // Let's stick to the 45 deg.
-
-    // Start positions (World Z starts at -LENGTH/2)
-    // We space bays along the Z axis.
-    // Spacing along aisle = BayWidth / sin(angle)
-    const zSpacing = bayW / Math.sin(angleRad); // 2.4 / 0.707 ~= 3.4m spacing
-
-    const numBays = Math.floor(CONFIG.structure.length / zSpacing) - 1;
-    const startZ = -(CONFIG.structure.length / 2) + 2;
-
-    // Helper for lines
-    const createLine = (p1, p2) => {
-        const shape = new THREE.Shape();
-        shape.moveTo(0, 0);
-        shape.lineTo(CONFIG.parking.car.lineWidth, 0);
-        shape.lineTo(CONFIG.parking.car.lineWidth, p1.distanceTo(p2));
-        shape.lineTo(0, p1.distanceTo(p2));
-
-        const geo = new THREE.ShapeGeometry(shape);
-        const mesh = new THREE.Mesh(geo, lineMat);
-        mesh.rotation.x = -Math.PI / 2;
-
-        // Align
-        const dir = new THREE.Vector3().subVectors(p2, p1).normalize();
-        const angle = Math.atan2(dir.x, dir.z); // Z is "up" in 2D top down?
-        // Actually simple placement:
-        mesh.position.set(p1.x, 0.02, p1.z);
-        mesh.rotation.z = -angle; // Check rotation
-
-        return mesh;
-    };
-
-    // Actually, box lines are easier for 3D
-    const createBoxLine = (x, z, len, rotY) => {
-        const g = new THREE.BoxGeometry(CONFIG.parking.car.lineWidth, 0.02, len);
-        const m = new THREE.Mesh(g, lineMat);
-        m.position.set(x, 0.02, z);
-        m.rotation.y = rotY;
-        return m;
-    };
-
-    const port1Center = -6.0;
-
-    // We adjust offsets to fit inside the 12m width (from -12 to 0 for Port 1)
-    // Columns are at -12 and 0.
-    // Aisle center at -6.
-    // 6m half-width.
-    // Bay Depth ~5.1m.
-    // So bays start near columns and point inward? Or outward?
-    // "Herringbone" usually points in direction of travel.
-    // Let's assume standard layout: Cars park nose-in or nose-out.
-    // Angled usually means Nose-In relative to flow.
-
-    // Row 1 (Left of aisle): x = -6 - 1.0 (Aisle/2)? 
-    // If Aisle is 2m, offset is 1m.
-    // Bays extend to Left (-12).
-    // Let's place the "Aisle Line" marking.
-
-    // Let's iterate bays
-    for (let i = 0; i < numBays; i++) {
-        const z = startZ + (i * zSpacing);
-
-        // ROW 1 (Left Side of Port 1)
-        // Position: x < -6. 
-        // Rotation: +45 or -45?
-        // Let's say car drives UP (Z+) the aisle. Left bays trigger turn Left.
-        // Bay angle: 45 deg.
-
-        // Line Geometry logic:
-        // A line of length `bayL` at angle.
-        // Pivot at aisle line.
-        const aisleX_L = port1Center - 1.5; // 3m aisle total?
-
-        // Draw Bay Divider
-        // Origin: (aisleX_L, z)
-        // Angle: 45 deg. (x - 1, z + 1) -> pointing Left/Up?
-        // x component = -sin(45) * L ??
-        // To point Left and Up: x decreases, z increases.
-
-        const lineLen = bayL;
-        const rotL = Math.PI / 4; // 45 deg
-
-        // Center of line depends on geometry.
-        // x = aisleX_L - (sin(rotL) * len/2)
-        // z = z - (cos(rotL) * len/2) ... careful with coord systems
-
-        // Using simple Box rotation
-        // Left Row Line
-        const lLine = createBoxLine(
-            aisleX_L - (Math.sin(rotL) * lineLen / 2),
-            z + (Math.cos(rotL) * lineLen / 2),
-            lineLen,
-            rotL
-        );
-        group.add(lLine);
-
-        // Row 2 (Right Side of Port 1)
-        // Mirror image?
-        // x > -6.
-        const aisleX_R = port1Center + 1.5;
-        const rotR = -Math.PI / 4; // -45 deg (Right and Up)
-
-        const rLine = createBoxLine(
-            aisleX_R + (Math.sin(Math.abs(rotR)) * lineLen / 2),
-            z + (Math.cos(Math.abs(rotR)) * lineLen / 2),
-            lineLen,
-            rotR
-        );
-        group.add(rLine);
-
-        // --- Add Cars (Randomly) ---
-        if (Math.random() > 0.3) {
-            const colors = CONFIG.parking.car.colors;
-            const chosen = colors ? colors[Math.floor(Math.random() * colors.length)].color : 0x444444;
-            const car = createCarStructure(chosen);
-
-            // Position: Center of the bay we just drew lines for?
-            // Actually lines are dividers. Car centers are between lines.
-            // Z center = z + zSpacing/2? No, geometry is complex.
-            // Center is roughly (divider Z + next divider Z)/2
-
-            // Simpler: Just place relative to line
-            // Center of bay is offset by (zSpacing/2) along Z? No.
-
-            // Perpendicular offset from line: BayWidth/2
-
-            // Let's just place cars at 'z' aligned with line for simplicity in this pass, 
-            // offset by BayWidth/2 perpendicular to angle.
-
-            // Left Row Car
-            // Pos = LineCenter + Vector(-cos(45), sin(45)) * width/2 ??
-
-            // Just offset Z by zSpacing/2 and use same math for position
-            const carZ = z + (zSpacing / 2);
-
-            // Recalc pos for Car Center
-            // Left
-            const cX_L = aisleX_L - (Math.sin(rotL) * lineLen / 2) - (Math.cos(rotL) * bayW / 2 * 0.8); // slight tweak
-            const cZ_L = carZ + (Math.cos(rotL) * lineLen / 2); // crude approx
-
-            // Precise
-            // X = aisleX_L - (sin(45) * 2.4) (half length)
-            const carDist = 2.4; // Midpoint of 4.8m length
-            const xL = aisleX_L - (Math.sin(rotL) * carDist);
-            const zL = carZ + (Math.cos(rotL) * carDist);
-
-            car.position.set(xL, 0.02, zL);
-            car.rotation.y = rotL + Math.PI; // Flipped direction
-            car.castShadow = true;
-            group.add(car);
-        }
-
-        if (Math.random() > 0.3) {
-            // Right Row Car
-            const colors = CONFIG.parking.car.colors;
-            const chosen = colors ? colors[Math.floor(Math.random() * colors.length)].color : 0x444444;
-            const car = createCarStructure(chosen);
-
-            const carDist = 2.4;
-            const carZ = z + (zSpacing / 2);
-
-            const xR = aisleX_R + (Math.sin(Math.abs(rotR)) * carDist);
-            const zR = carZ + (Math.cos(Math.abs(rotR)) * carDist);
-
-            car.position.set(xR, 0.02, zR);
-            car.rotation.y = rotR + Math.PI; // Flipped direction
-            car.castShadow = true;
-            group.add(car);
-        }
-    }
-
-    // --- Coach Port (Port 2, Center X = 6) ---
-    // Single Row of Angled 3.5m x 12m bays at 30 degrees
-    const coachW = CONFIG.parking.coach.width;
-    const coachL = CONFIG.parking.coach.length; // 12m
-    const coachAngle = CONFIG.parking.coach.angle * (Math.PI / 180); // 30 deg
-
-    // Calculate spacing along Z axis for angled bays: W / sin(angle)
-    const coachZSpacing = coachW / Math.sin(coachAngle);
-
-    // Fit bays within length. 
-    const numCoachBays = Math.floor((CONFIG.structure.length - 10) / coachZSpacing);
-    const coachStartZ = -(CONFIG.structure.length / 2) + 10;
-
-    const port2Center = 6.0;
-
-    // 12m length at 30 deg: X_width = 12 * sin(30) = 6m. 
-    // 3.5m width at 30 deg: X_width_perp = 3.5 * cos(30) = 3.03m.
-    // Total X width occupied = 9.03m.
-    // 12m available. 12 - 9.03 = ~2.97m aisle.
-    // Let's shift it so the 'front' of the bay is near the aisle.
-
-    const coachLineMat = new THREE.MeshBasicMaterial({ color: CONFIG.parking.coach.lineColor });
-
-    for (let i = 0; i < numCoachBays; i++) {
-        const z = coachStartZ + (i * coachZSpacing);
-
-        // Pivot point (Aisle side):
-        const aisleX = port2Center - 3.0; // Shifted left to make room
-
-        const lineLen = coachL;
-        const rot = -coachAngle; // Rotate towards the back
-
-        // Left boundary of the bay
-        const lLine = createBoxLine(
-            aisleX + (Math.sin(Math.abs(rot)) * lineLen / 2),
-            z + (Math.cos(Math.abs(rot)) * lineLen / 2),
-            lineLen,
-            rot
-        );
-        lLine.material = coachLineMat;
-        group.add(lLine);
-
-        // Add a Coach Model (Randomly)
-        if (Math.random() > 0.4) {
-            const colors = CONFIG.parking.coach.colors;
-            const chosen = colors[Math.floor(Math.random() * colors.length)].color;
-            const coach = createCoachStructure(chosen);
-
-            // Offset perpendicular to line angle by width/2
-            const centerX = aisleX + (Math.sin(Math.abs(rot)) * lineLen / 2) + (Math.cos(Math.abs(rot)) * coachW / 2);
-            const centerZ = z + (Math.cos(Math.abs(rot)) * lineLen / 2) - (Math.sin(Math.abs(rot)) * coachW / 2);
-
-            coach.position.set(centerX, 0.02, centerZ);
-            coach.rotation.y = rot + Math.PI; // Flipped direction
-            coach.castShadow = true;
-            group.add(coach);
-        }
-    }
-
-    return group;
-}
-
-const parkingGroup = generateParking();
-scene.add(parkingGroup);
-
-// --- Environment ---
-
+// --- Textures ---
+// Procedural canvas textures for the site model (src/siteModel.js), which has no DOM of its own
 function createTextureFromCanvas(width, height, drawFn) {
     const canvas = document.createElement('canvas');
     canvas.width = width;
     canvas.height = height;
     const ctx = canvas.getContext('2d');
     drawFn(ctx, width, height);
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.wrapS = THREE.RepeatWrapping;
-    texture.wrapT = THREE.RepeatWrapping;
-    return texture;
-}
-
-function createEnvironment() {
-    const group = new THREE.Group();
-
-    // 1. Hard Standing Area (Tarmac / Dark Asphalt tight to structures)
-    const hardStandingTex = createTextureFromCanvas(512, 512, (ctx, w, h) => {
-        ctx.fillStyle = '#2d2d2d'; // Darker gray base (Tarmac)
-        ctx.fillRect(0, 0, w, h);
-        // Add noise
-        for (let i = 0; i < 50000; i++) {
-            ctx.fillStyle = Math.random() > 0.5 ? '#363636' : '#242424';
-            ctx.fillRect(Math.random() * w, Math.random() * h, 2, 2);
-        }
-    });
-    // Adjust texture tiling slightly for darker tarmac
-    hardStandingTex.wrapS = THREE.RepeatWrapping;
-    hardStandingTex.wrapT = THREE.RepeatWrapping;
-    hardStandingTex.repeat.set(15, 30);
-
-    const hardStandingMat = new THREE.MeshStandardMaterial({
-        map: hardStandingTex,
-        roughness: 0.9,
-        metalness: 0.1
-    });
+    return new THREE.CanvasTexture(canvas);
+}
 
-    // Tarmac Rect 1: Under Car/Coach Ports
-    // Car port: -12 to 0. Coach port: +1.5 to +13.5. Plus margin. -> -12 to 15.5
-    const portsWidth = 27.5; // X from -12 to 15.5
-    const portsLength = 100; // Z from -50 to 50
-    const portsTarmacGeo = new THREE.PlaneGeometry(portsWidth, portsLength);
-    const portsTarmac = new THREE.Mesh(portsTarmacGeo, hardStandingMat);
-    portsTarmac.rotation.x = -Math.PI / 2;
-    portsTarmac.position.set(1.75, 0.05, 0); // X center = (-12 + 15.5) / 2 = 1.75
-    portsTarmac.receiveShadow = true;
-    group.add(portsTarmac);
-
-    // Tarmac Rect 2: Under Containers
-    // Fits from X=-22 to X=-12. Length -50 to 58.5
-    const contWidth = 10; // X from -22 to -12
-    const contLength = 108.5; // Z from -50 to 58.5
-    const contTarmacGeo = new THREE.PlaneGeometry(contWidth, contLength);
-    const contTarmac = new THREE.Mesh(contTarmacGeo, hardStandingMat);
-    contTarmac.rotation.x = -Math.PI / 2;
-    contTarmac.position.set(-17, 0.05, 4.25); // Z center (-50 + 58.5)/2 = 4.25
-    contTarmac.receiveShadow = true;
-    group.add(contTarmac);
-
-    // 2. Sports Pitch (Adjacent)
-    const pitchW = 75;
-    const pitchL = 110;
-    const pitchTex = createTextureFromCanvas(1024, 1024, (ctx, w, h) => {
-        // Grass base
-        ctx.fillStyle = '#2d5a27'; // Football pitch green
-        ctx.fillRect(0, 0, w, h);
-
-        // Mowing strips (optional subtle variation)
-        ctx.fillStyle = '#32612b';
-        const strips = 10;
-        const stripH = h / strips;
-        for (let i = 0; i < strips; i += 2) {
-            ctx.fillRect(0, i * stripH, w, stripH);
-        }
+// --- Site Model ---
+// Canopies, parking, site furniture and trees are generated by the headless model
+// (src/siteModel.js); the page draws its root group and reports its metrics.
+const model = createSiteModel(CONFIG, scenario, { createTexture: createTextureFromCanvas });
+scene.add(model.root);
+
+// --- Rebuild ---
+// Regenerates everything derived from CONFIG.structure / CONFIG.solar without a page reload.
+function rebuildCanopy() {
+    model.rebuildCanopy();
+    modelListeners.forEach((listener) => listener());
+}
 
-        // Lines
-        ctx.strokeStyle = '#ffffff';
-        ctx.lineWidth = 5;
-
-        // Border
-        const pad = 20;
-        ctx.strokeRect(pad, pad, w - pad * 2, h - pad * 2);
-
-        // Center Line
-        ctx.beginPath();
-        ctx.moveTo(pad, h / 2);
-        ctx.lineTo(w - pad, h / 2);
-        ctx.stroke();
-
-        // Center Circle
-        ctx.beginPath();
-        ctx.arc(w / 2, h / 2, 60, 0, Math.PI * 2);
-        ctx.stroke();
-
-        // Goal Areas (Approx)
-        const goalW = 200;
-        const goalH = 80;
-
-        // Top Goal
-        ctx.strokeRect((w - goalW) / 2, pad, goalW, goalH);
-        // Bottom Goal
-        ctx.strokeRect((w - goalW) / 2, h - pad - goalH, goalW, goalH);
-    });
+// Analyses that depend on the generated canopy register here to refresh after a rebuild.
+const modelListeners = [];
+
+// Explicit grids are checked before they reach the builder, so nothing overhangs the roof
+const paramPanel = createParamPanel(CONFIG, rebuildCanopy, () => [
+    ...layoutErrors(CONFIG, scenario),
+    ...validateScenario(scenario, CONFIG.structure)
+]);
+
+// --- PV Module Selection ---
+// Swaps the module and re-fits rows/panels to the roof sheet before rebuilding.
+function selectModule(sheet) {
+    applyModule(CONFIG, sheet);
+    CONFIG.solar.autoFit = true;
+    updateShareNote();
+    rebuildCanopy();
+}
 
-    const pitchMat = new THREE.MeshStandardMaterial({
-        map: pitchTex,
-        roughness: 0.8
-    });
-    const pitch = new THREE.Mesh(new THREE.PlaneGeometry(pitchW, pitchL), pitchMat);
-    pitch.rotation.x = -Math.PI / 2;
-
-    // Pitch position
-    // Shifted from -55.5 to -56.5 to ensure absolute clearance from the black container
-    // Container left edge is at x = -20
-    // Pitch is width 70 (spans from x-35 to x+35)
-    // So if pitch center is -56.5, right edge is -21.5. Clears container by 1.5m.
-    pitch.position.set(-56.5, 0.06, 0); // Raised slightly above hardstanding level
-    pitch.receiveShadow = true;
-    group.add(pitch);
-
-    // 3. General Ground Plane (Grass)
-    // Cropped to active area, dynamically adjusted to include expanded pitch gap
-    const groundGeo = new THREE.PlaneGeometry(250, 250);
-    const groundMat = new THREE.MeshStandardMaterial({ color: 0x3a5f0b, roughness: 1 });
-    const ground = new THREE.Mesh(groundGeo, groundMat);
-    ground.rotation.x = -Math.PI / 2;
-    ground.position.set(-40, -0.1, 0); // Lowered significantly to avoid z-fighting
-    ground.receiveShadow = true;
-    group.add(ground);
-
-    // 4. Road (Running along the left/east side of the car port)
-    // From the user's top-down view, the road runs vertically along the far side
-    // of the structures (positive X side, beyond the coach port)
-    const roadWidth = 6;
-    const roadLength = 200;
-    const roadTex = createTextureFromCanvas(256, 256, (ctx, w, h) => {
-        // Dark tarmac base
-        ctx.fillStyle = '#333333';
-        ctx.fillRect(0, 0, w, h);
-        // Asphalt noise
-        for (let i = 0; i < 20000; i++) {
-            ctx.fillStyle = Math.random() > 0.5 ? '#3a3a3a' : '#2a2a2a';
-            ctx.fillRect(Math.random() * w, Math.random() * h, 2, 2);
-        }
-        // Center dashed line
-        ctx.fillStyle = '#ffffff';
-        const dashLen = 30;
-        const gapLen = 20;
-        const lineW = 4;
-        for (let y = 0; y < h; y += dashLen + gapLen) {
-            ctx.fillRect((w - lineW) / 2, y, lineW, dashLen);
-        }
-    });
-    roadTex.wrapS = THREE.RepeatWrapping;
-    roadTex.wrapT = THREE.RepeatWrapping;
-    roadTex.repeat.set(1, 20);
-
-    const roadMat = new THREE.MeshStandardMaterial({
-        map: roadTex,
-        roughness: 0.85,
-        metalness: 0.05
-    });
-    const roadGeo = new THREE.PlaneGeometry(roadWidth, roadLength);
-    const road = new THREE.Mesh(roadGeo, roadMat);
-    road.rotation.x = -Math.PI / 2;
-    road.position.set(20, 0.04, 0); // Just beyond the coach port edge
-    road.receiveShadow = true;
-    group.add(road);
-
-    // 5. Access Roads (full-width across both carports, connecting to main road)
-    // Spans from car port outer edge (x=-12) to main road (x=22)
-    const accessRoadSpan = 34; // x from -12 to 22
-    const accessRoadWidth = 12; // 12m wide access road for turning circle
-    const accessRoadGeo = new THREE.PlaneGeometry(accessRoadSpan, accessRoadWidth);
-
-    // North access road (beyond north end of structure, z ~ -51)
-    const accessNorth = new THREE.Mesh(accessRoadGeo, roadMat);
-    accessNorth.rotation.x = -Math.PI / 2;
-    accessNorth.position.set(5, 0.04, -54); // Pushed further out for turning space
-    accessNorth.receiveShadow = true;
-    group.add(accessNorth);
-
-    // South access road (beyond south end of structure, z ~ +51)
-    const accessSouth = new THREE.Mesh(accessRoadGeo, roadMat);
-    accessSouth.rotation.x = -Math.PI / 2;
-    accessSouth.position.set(5, 0.04, 54); // Pushed further out for turning space
-    accessSouth.receiveShadow = true;
-    group.add(accessSouth);
-
-    return group;
-}
-
-const envGroup = createEnvironment();
-scene.add(envGroup);
-
-// --- Vegetation ---
-function createTree() {
-    const group = new THREE.Group();
-
-    // Trunk
-    const trunkGeo = new THREE.CylinderGeometry(0.2, 0.4, 1.5, 6);
-    const trunkMat = new THREE.MeshStandardMaterial({ color: 0x4d2926, roughness: 0.9 });
-    const trunk = new THREE.Mesh(trunkGeo, trunkMat);
-    trunk.position.y = 0.75;
-    trunk.castShadow = true;
-    group.add(trunk);
-
-    // Foliage (Low Poly)
-    const leavesGeo = new THREE.DodecahedronGeometry(1.5);
-    const leavesMat = new THREE.MeshStandardMaterial({ color: 0x2d4c1e, roughness: 0.8 });
-    const leaves = new THREE.Mesh(leavesGeo, leavesMat);
-    leaves.position.y = 2.5;
-    leaves.castShadow = true;
-    group.add(leaves);
-
-    return group;
-}
-
-const treeGroup = new THREE.Group();
-for (let i = 0; i < 80; i++) {
-    const tree = createTree();
-
-    // Random Position within wider bounds
-    // x: -120 to +30
-    // z: -80 to +80
-    let x = (Math.random() * 150) - 120; // -120 to +30
-    let z = (Math.random() * 160) - 80; // -80 to +80
-
-    // Exclusion zones
-    // Tarmac area bounds: X runs -23.5 to 15.5, Z runs -55 to 65
-    const inStructureZone = (x > -25 && x < 17) && (z > -55 && z < 65);
-    // Pitch exclusion
-    const inPitchZone = (x > -100 && x < -10) && (z > -70 && z < 70);
-    // Road exclusion (main road at x=20, width 6 -> 17 to 23)
-    const inRoadZone = (x > 16 && x < 24) && (z > -100 && z < 100);
-    // Access roads at north (z ~ -54) and south (z ~ +54) ends, spanning full width
-    const inAccessRoadZone = (x > -14 && x < 24) && ((z > -62 && z < -47) || (z > 47 && z < 62));
-
-    if (!inStructureZone && !inPitchZone && !inRoadZone && !inAccessRoadZone) {
-        tree.position.set(x, 0, z);
-
-        const scale = 0.8 + Math.random() * 0.4;
-        tree.scale.setScalar(scale);
-        tree.rotation.y = Math.random() * Math.PI;
-
-        treeGroup.add(tree);
+createModulePanel(CONFIG.solar.moduleId, selectModule);
+
+// --- Panel Layout ---
+// With auto-fit on, the solved grid is written back so CONFIG and the panels agree.
+function syncPanelLayout() {
+    const { layout } = model.ports[0].userData.structure;
+    if (CONFIG.solar.autoFit && layout.ok) {
+        CONFIG.solar.rowsPerSlope = layout.rows;
+        CONFIG.solar.panelsPerRow = layout.cols;
     }
+    paramPanel.refresh();
+    layoutPanel.show(layout);
 }
-scene.add(treeGroup);
+
+const layoutPanel = createLayoutPanel(CONFIG.solar, rebuildCanopy, () => layoutErrors(CONFIG, scenario));
+modelListeners.push(syncPanelLayout);
+syncPanelLayout();
 
 // --- Sky ---
 function createSky() {
@@ -1006,15 +190,11 @@ function createSky() {
     sky.scale.setScalar(450000);
     scene.add(sky);
 
-    const sun = new THREE.Vector3();
-
     const effectController = {
         turbidity: 2, // Clearer sky
         rayleigh: 0.5, // Less scattering, deep blue
         mieCoefficient: 0.005,
         mieDirectionalG: 0.7,
-        elevation: 55, // High sun for bright, even lighting
-        azimuth: 40,
         exposure: 1.4 // Match renderer exposure
     };
 
@@ -1024,119 +204,388 @@ function createSky() {
     uniforms['mieCoefficient'].value = effectController.mieCoefficient;
     uniforms['mieDirectionalG'].value = effectController.mieDirectionalG;
 
-    const phi = THREE.MathUtils.degToRad(90 - effectController.elevation);
-    const theta = THREE.MathUtils.degToRad(effectController.azimuth);
-
-    sun.setFromSphericalCoords(1, phi, theta);
-    uniforms['sunPosition'].value.copy(sun);
-
-    // Update Directional Light to match Sun position
-    sunLight.position.set(sun.x * 100, sun.y * 100, sun.z * 100);
-
     renderer.toneMappingExposure = effectController.exposure;
     return sky;
 }
 const sky = createSky();
 
-// --- Fencing ---
-function createFence(length, height) {
-    const group = new THREE.Group();
-
-    // 1. Posts
-    const postSpacing = 3.0;
-    const postCount = Math.floor(length / postSpacing) + 1;
-    const postGeo = new THREE.CylinderGeometry(0.05, 0.05, height, 8);
-    const postMat = new THREE.MeshStandardMaterial({ color: 0x555555, roughness: 0.7 });
-
-    for (let i = 0; i < postCount; i++) {
-        const x = (i * postSpacing) - (length / 2);
-        const post = new THREE.Mesh(postGeo, postMat);
-        post.position.set(x, height / 2, 0);
-        group.add(post);
-    }
+// --- Sun ---
+// Sun elevation/azimuth from site location, date and local time (CONFIG.site / CONFIG.sun).
+// Drives both the Sky shader and the shadow-casting sunLight.
+const SUN_LIGHT_INTENSITY = sunLight.intensity;
+
+function updateSun() {
+    const when = siteTimeToDate(CONFIG.sun.date, CONFIG.sun.minutes, CONFIG.site.utcOffset);
+    const position = computeSunPosition(when, CONFIG.site.latitude, CONFIG.site.longitude);
+    const dir = sunDirection(position.elevation, position.azimuth);
+
+    sky.material.uniforms['sunPosition'].value.set(dir.x, dir.y, dir.z);
 
-    // 2. Chain-link Mesh (Procedural Texture)
-    const fenceTex = createTextureFromCanvas(512, 512, (ctx, w, h) => {
-        // Transparent background
-        ctx.clearRect(0, 0, w, h);
+    // Update Directional Light to match Sun position
+    sunLight.position.set(dir.x * 100, dir.y * 100, dir.z * 100);
+    // Fade the direct light out as the sun sets; ambient/hemisphere keep the scene readable
+    sunLight.intensity = SUN_LIGHT_INTENSITY * THREE.MathUtils.clamp(position.elevation / 5, 0, 1);
+
+    sunPanel.showPosition(position);
+}
 
-        ctx.strokeStyle = '#cccccc';
-        ctx.lineWidth = 4;
+const sunPanel = createSunPanel(CONFIG.site, CONFIG.sun, updateSun, () => updateYield());
+updateSun();
 
-        // Diagonal grid
-        const step = 40;
-        ctx.beginPath();
-        for (let x = -h; x < w + h; x += step) {
-            ctx.moveTo(x, 0);
-            ctx.lineTo(x + h, h);
+// --- Energy Yield ---
+// One surface per roof slope of each structure (see the model's energyYield).
+function updateYield() {
+    yieldPanel.show(model.energyYield());
+}
 
-            ctx.moveTo(x + step / 2, 0);
-            ctx.lineTo(x + step / 2 - h, h);
+const yieldPanel = createYieldPanel(CONFIG.yield, updateYield);
+modelListeners.push(updateYield);
+updateYield();
+
+// --- Panel Colour Overlays ---
+// Analyses register a colour function per overlay name; only one overlay is shown at a time.
+// colourFor(portIndex, instanceIndex) returns a THREE.Color.
+const panelOverlays = {};
+let activeOverlay = null;
+
+function showPanelOverlay(name) {
+    activeOverlay = panelOverlays[name] ? name : null;
+    model.ports.forEach((port, p) => {
+        const mesh = port.userData.structure.solarMesh;
+        if (activeOverlay) {
+            applyInstanceColours(mesh, (i) => panelOverlays[activeOverlay](p, i));
+        } else {
+            clearInstanceColours(mesh);
         }
-        ctx.stroke();
+    });
+    shadingPanel.setHeatmapVisible(activeOverlay === 'shading');
+    stringPanel.setStringsVisible(activeOverlay === 'strings');
+}
+
+// --- Shading Analysis ---
+// Per-panel beam shading from trees, containers, fences and the neighbouring canopy.
+let shadingResults = null; // [{ structure, losses }] matching the current instances
+
+async function runShadingAnalysis(hourStep) {
+    const analysed = model.ports;
+    const samples = sampleSunPositions({
+        ...CONFIG.site,
+        clearSkyRatio: CONFIG.yield.clearSkyRatio,
+        year: parseInt(CONFIG.sun.date, 10),
+        hourStep
+    });
+
+    const losses = await analyseShading(
+        analysed.map((port) => port.userData.structure.solarMesh),
+        [...analysed, model.braceGroup, model.containerGroup, model.treeGroup, model.fenceGroup],
+        samples,
+        (fraction) => shadingPanel.showProgress(fraction)
+    );
+
+    // A rebuild during the run leaves these results pointing at disposed instances
+    if (analysed !== model.ports) return;
+
+    shadingResults = analysed.map((port, i) => ({ structure: port.userData.structure, losses: losses[i] }));
+    panelOverlays.shading = (p, i) => shadingColour(shadingResults[p].losses[i]);
+    shadingPanel.showResults(shadingResults, samples.length);
+    showPanelOverlay('shading');
+}
+
+const shadingPanel = createShadingPanel(runShadingAnalysis, (visible) => showPanelOverlay(visible ? 'shading' : null));
+modelListeners.push(() => {
+    if (!shadingResults) return;
+    shadingResults = null;
+    delete panelOverlays.shading;
+    shadingPanel.invalidate();
+    if (activeOverlay === 'shading') showPanelOverlay(null);
+});
+
+// --- String & Inverter Design ---
+// Strings follow the solved panel grid; redesigned whenever the canopy or module changes.
+let stringDesign = null;
+
+function updateStringDesign() {
+    const structures = model.ports.map((port) => port.userData.structure);
+    stringDesign = model.stringDesign();
+
+    // Per-instance lookup for the colour overlay
+    const stringOf = structures.map((structure) => new Int32Array(structure.solarMesh.count).fill(-1));
+    stringDesign.strings.forEach((string, n) => {
+        const p = structures.findIndex((structure) => structure.name === string.structure);
+        string.panels.forEach((i) => { stringOf[p][i] = n; });
+    });
+    // Modules left out of every string (no length fits the inverter) show as flagged
+    panelOverlays.strings = (p, i) => {
+        const n = stringOf[p][i];
+        return stringColour(n, n < 0 || stringDesign.strings[n].flags.length > 0);
+    };
+
+    stringPanel.show(stringDesign);
+    if (activeOverlay === 'strings') showPanelOverlay('strings');
+}
+
+const stringPanel = createStringPanel(
+    CONFIG.electrical,
+    () => {
+        updateStringDesign();
+        updateCabling();
+    },
+    (visible) => showPanelOverlay(visible ? 'strings' : null)
+);
+modelListeners.push(updateStringDesign);
+updateStringDesign();
+
+// --- DC Cabling ---
+// Home runs from both ends of every string to the inverter point on the storage container.
+const cableGroup = new THREE.Group();
+scene.add(cableGroup);
+
+function updateCabling() {
+    disposeGroup(cableGroup);
+    cableGroup.clear();
+
+    const runs = model.cableRuns(stringDesign);
+    runs.forEach((run, n) => {
+        const lineMat = new THREE.LineBasicMaterial({ color: stringColour(n, run.flagged) });
+        run.ends.forEach((points) => {
+            const geo = new THREE.BufferGeometry().setFromPoints(points.map((p) => new THREE.Vector3(p.x, p.y, p.z)));
+            cableGroup.add(new THREE.Line(geo, lineMat));
+        });
     });
 
-    const fenceMat = new THREE.MeshStandardMaterial({
-        map: fenceTex,
-        color: 0xaaaaaa,
-        side: THREE.DoubleSide,
-        transparent: true,
-        alphaTest: 0.5, // Crisp cutout
-        roughness: 0.8,
-        metalness: 0.4
+    cablePanel.show(runs);
+}
+
+const cablePanel = createCablePanel(CONFIG.cabling, updateCabling, (visible) => {
+    cableGroup.visible = visible;
+});
+modelListeners.push(updateCabling);
+updateCabling();
+
+// --- Structural Check ---
+// Frame-line loads from CONFIG.loads; failing members are swapped to a red material.
+const failMaterial = new THREE.MeshStandardMaterial({ color: 0xff2020, emissive: 0x550000, roughness: 0.6 });
+let showFailures = true;
+
+// Matches checked members to meshes; braces are tagged with the structure they carry
+function memberKey({ structure, type, frame, side }) {
+    return `${structure}/${type}/${frame}/${side}`;
+}
+
+function highlightMembers(failing) {
+    [...model.ports, model.braceGroup].forEach((group) => {
+        group.traverse((child) => {
+            if (!child.userData.member) return;
+            const fails = showFailures && failing.has(memberKey(child.userData.member));
+            if (fails && !child.userData.originalMaterial) {
+                child.userData.originalMaterial = child.material;
+                child.material = failMaterial;
+            } else if (!fails && child.userData.originalMaterial) {
+                child.material = child.userData.originalMaterial;
+                delete child.userData.originalMaterial;
+            }
+        });
     });
+}
 
-    const meshGeo = new THREE.PlaneGeometry(length, height);
-    const fenceMesh = new THREE.Mesh(meshGeo, fenceMat);
-    fenceMesh.position.set(0, height / 2, 0);
-    group.add(fenceMesh);
+function updateStructuralCheck() {
+    const { members, combinations } = model.structuralCheck();
+    const failing = new Set(members
+        .filter((m) => m.utilisation > 1)
+        .map(memberKey));
+    highlightMembers(failing);
+    structuralPanel.show(members, combinations);
+}
 
-    return group;
+const structuralPanel = createStructuralPanel(CONFIG.loads, updateStructuralCheck, (visible) => {
+    showFailures = visible;
+    updateStructuralCheck();
+});
+modelListeners.push(updateStructuralCheck);
+updateStructuralCheck();
+
+// --- Parking Report ---
+// Bay counts and clashes are read back from the parking group; standards depend only on CONFIG.
+function updateParkingReport() {
+    const { canopies, standards } = model.parkingReport();
+    parkingPanel.show(canopies, standards);
 }
 
-function createSportsPitchFence() {
-    const group = new THREE.Group();
-    // Pitch is at x = -60. Dimensions approx 75 (W) x 110 (L).
-    // Fence should surround it with margin.
-    const fenceW = 80;
-    const fenceL = 115;
-    const height = 3.0; // High ball trellis
+// Layout edits only touch the bays and vehicles, so the canopy and its analyses stay as they are
+function rebuildParking() {
+    model.rebuildParking();
+    updateParkingReport();
+    runSweptPath();
+    runClashCheck();
+    updateInfoOverlay();
+    refreshSelection();
+    applySectionCut();
+}
 
-    const marginX = -56.5; // Matches shifted pitch position
+const parkingPanel = createParkingPanel(CONFIG.parking, rebuildParking);
+modelListeners.push(updateParkingReport);
+updateParkingReport();
+
+// --- Coach Swept Path ---
+// CONFIG.sweptPath.vehicle is driven from the access road into every coach bay; columns, braces
+// lower than the vehicle and bay markings its body touches are flagged. Envelopes are drawn as the
+// paths of the four body corners, green when clear and red when flagged.
+let sweptResults = [];
+let sweptBay = null; // Label of the bay drawn and played back, null for all
+let sweptGroup = new THREE.Group();
+scene.add(sweptGroup);
+
+const sweptCoach = createCoachStructure(0xf0b020);
+sweptCoach.visible = false;
+scene.add(sweptCoach);
+let sweptPlayback = null; // { results, index, distance }
+
+function runSweptPath() {
+    sweptResults = model.sweptPaths();
+    stopSweptPlayback();
+    drawSweptPaths();
+    sweptPanel.show(sweptResults);
+}
 
-    // North Side (Top)
-    const north = createFence(fenceW, height);
-    north.position.set(marginX, 0, -fenceL / 2);
-    group.add(north);
+function shownSweptResults() {
+    return sweptResults.filter((result) => sweptBay === null || result.bay === sweptBay);
+}
 
-    // South Side
-    const south = createFence(fenceW, height);
-    south.position.set(marginX, 0, fenceL / 2);
-    group.add(south);
+function drawSweptPaths() {
+    const visible = sweptGroup.visible;
+    scene.remove(sweptGroup);
+    disposeGroup(sweptGroup);
+    sweptGroup = new THREE.Group();
+    sweptGroup.visible = visible;
+
+    const { vehicle } = CONFIG.sweptPath;
+    shownSweptResults().forEach((result) => {
+        const flagged = !result.onRoad || !result.reached || result.collisions.length > 0;
+        const material = new THREE.LineBasicMaterial({ color: flagged ? 0xff3030 : 0x30c050 });
+        const outlines = result.poses.map((pose) => vehicleOutline(pose, vehicle));
+        for (let corner = 0; corner < 4; corner++) {
+            const points = outlines.map((outline) => new THREE.Vector3(outline[corner].x, 0.05, outline[corner].z));
+            sweptGroup.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material));
+        }
+        // Body where it stops
+        const last = outlines[outlines.length - 1].map((c) => new THREE.Vector3(c.x, 0.05, c.z));
+        sweptGroup.add(new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(last), material));
+    });
+    scene.add(sweptGroup);
+}
 
-    // East Side (Right - closing to structures) - REMOVED AS REQUESTED
-    // const east = createFence(fenceL, height);
-    // east.rotation.y = Math.PI / 2;
-    // east.position.set(marginX + fenceW / 2, 0, 0);
-    // group.add(east);
+function stopSweptPlayback() {
+    sweptPlayback = null;
+    sweptCoach.visible = false;
+    sweptPanel.setPlaying(false);
+}
 
-    // West Side
-    const west = createFence(fenceL, height);
-    west.rotation.y = Math.PI / 2;
-    west.position.set(marginX - fenceW / 2, 0, 0);
-    group.add(west);
+// Moves the playback coach along the poses of each shown bay in turn; called once per frame
+function tickSweptPath(deltaSeconds) {
+    if (!sweptPlayback) return;
+    const { step, speed, vehicle } = CONFIG.sweptPath;
+    sweptPlayback.distance += deltaSeconds * speed;
+    let poses = sweptPlayback.results[sweptPlayback.index].poses;
+    if (sweptPlayback.distance / step >= poses.length) {
+        sweptPlayback.index += 1;
+        sweptPlayback.distance = 0;
+        if (sweptPlayback.index >= sweptPlayback.results.length) {
+            stopSweptPlayback();
+            return;
+        }
+        poses = sweptPlayback.results[sweptPlayback.index].poses;
+    }
 
-    return group;
+    // The model is a 12m x 2.5m coach centred on its body
+    const pose = poses[Math.floor(sweptPlayback.distance / step)];
+    const offset = bodyCentreOffset(vehicle);
+    sweptCoach.position.set(pose.x + Math.sin(pose.heading) * offset, 0.02, pose.z + Math.cos(pose.heading) * offset);
+    sweptCoach.rotation.y = pose.heading;
+    sweptCoach.scale.set(vehicle.width / 2.5, vehicle.height / 3.7, vehicleLength(vehicle) / 12);
+    sweptCoach.visible = true;
 }
 
-const fenceGroup = createSportsPitchFence();
-scene.add(fenceGroup);
+const sweptPanel = createSweptPathPanel(CONFIG.sweptPath, runSweptPath, (visible) => {
+    sweptGroup.visible = visible;
+}, (bay) => {
+    sweptBay = bay;
+    stopSweptPlayback();
+    drawSweptPaths();
+}, () => {
+    if (sweptPlayback) {
+        stopSweptPlayback();
+        return;
+    }
+    const results = shownSweptResults();
+    if (results.length === 0) return;
+    sweptPlayback = { results, index: 0, distance: 0 };
+    sweptPanel.setPlaying(true);
+});
+modelListeners.push(runSweptPath);
+runSweptPath();
+
+// --- Clash Detection ---
+// Every site group is read back after each layout change and checked against CONFIG.clash.rules;
+// picking a result flies the camera there and rings the spot.
+const clashMarker = new THREE.Mesh(
+    new THREE.RingGeometry(0.8, 1.1, 32),
+    new THREE.MeshBasicMaterial({ color: 0xff2020, side: THREE.DoubleSide, depthTest: false })
+);
+clashMarker.rotation.x = -Math.PI / 2;
+clashMarker.renderOrder = 10; // Drawn over whatever it marks
+clashMarker.visible = false;
+scene.add(clashMarker);
+
+function runClashCheck() {
+    clashMarker.visible = false;
+    clashPanel.show(model.clashes());
+}
+
+const clashPanel = createClashPanel(CONFIG.clash, runClashCheck, ({ position }) => {
+    clashMarker.position.set(position.x, position.y + 0.05, position.z);
+    clashMarker.visible = true;
+    flyCamera(new THREE.Vector3(position.x, position.y, position.z));
+});
+modelListeners.push(runClashCheck);
+runClashCheck();
+
+// --- Bill of Materials ---
+const bomPanel = createBomPanel(() => model.bom());
+modelListeners.push(() => bomPanel.refresh());
+bomPanel.refresh();
+
+// --- Model Export ---
+// The sky dome and helpers stay behind; vehicles are filtered out of the parking group by tag.
+createExportPanel((formatId, options) => {
+    const exportScene = buildExportScene([
+        ...model.ports.map((port) => ({ object: port, name: port.userData.structure.name, category: null })),
+        { object: model.braceGroup, name: 'Braces', category: null },
+        { object: model.containerGroup, name: 'Containers', category: null },
+        { object: cableGroup, name: 'DC cabling', category: null },
+        { object: model.parkingGroup, name: 'Parking', category: null },
+        { object: ground, name: 'Ground', category: 'environment' },
+        { object: model.envGroup, name: 'Hard standing & roads', category: 'environment' },
+        { object: model.fenceGroup, name: 'Fences', category: 'environment' },
+        { object: model.treeGroup, name: 'Trees', category: 'vegetation' }
+    ], options);
+    return exportModel(exportScene, formatId);
+});
+
+// --- Site Plan ---
+// DXF/SVG plan read back from the tagged meshes (userData.plan), like the BOM.
+createSitePlanPanel((scale) => model.sitePlan(scale));
+
+// --- Info Overlay ---
+// Everything shown in #info is read back from the generated model, never typed by hand.
+function updateInfoOverlay() {
+    renderInfoOverlay(document.getElementById('info-summary'), model.summary());
+}
+modelListeners.push(updateInfoOverlay);
+updateInfoOverlay();
 
 // Note: Lighting is already set up at the top of the file.
 // Adjustments can be made there if needed.
 
-// Sun sliders removed — using fixed bright ambient lighting instead
-
 // --- Animation Loop ---
 const controls = new OrbitControls(camera, renderer.domElement);
 controls.enableDamping = true;
@@ -1147,16 +596,648 @@ controls.zoomSpeed = 0.3;   // Much slower for smooth scroll zoom
 controls.rotateSpeed = 0.5; // Smoother rotation
 controls.maxPolarAngle = Math.PI / 2.05; // Prevent going below ground
 
+// --- Camera Flights ---
+// Eases the orbit target onto a point of interest, keeping the current viewing direction, or the
+// camera onto a saved pose.
+const FLIGHT_SECONDS = 1.2;
+const FLIGHT_DISTANCE = 30; // m from the point when the flight ends
+let cameraFlight = null;
+
+function flyCamera(point) {
+    const direction = activeCamera.position.clone().sub(controls.target);
+    // Orthographic views keep their distance; it only decides what is in front of the camera
+    const distance = activeCamera.isOrthographicCamera ? direction.length() : FLIGHT_DISTANCE;
+    direction.normalize();
+    flyCameraTo(point.clone().addScaledVector(direction, distance), point);
+}
+
+function flyCameraTo(position, target) {
+    cameraFlight = {
+        camera: activeCamera,
+        fromPosition: activeCamera.position.clone(),
+        fromTarget: controls.target.clone(),
+        toPosition: position.clone(),
+        toTarget: target.clone(),
+        t: 0
+    };
+}
+
+function tickCameraFlight(deltaSeconds) {
+    if (!cameraFlight) return;
+    cameraFlight.t = Math.min(1, cameraFlight.t + deltaSeconds / FLIGHT_SECONDS);
+    const k = cameraFlight.t * cameraFlight.t * (3 - 2 * cameraFlight.t); // Smoothstep
+    cameraFlight.camera.position.lerpVectors(cameraFlight.fromPosition, cameraFlight.toPosition, k);
+    controls.target.lerpVectors(cameraFlight.fromTarget, cameraFlight.toTarget, k);
+    if (cameraFlight.t === 1) cameraFlight = null;
+}
+
+// --- Inspector ---
+// A click (not a drag) picks the panel, member, bay or vehicle under the pointer, outlines it and
+// shows its details, unless the measure tool is taking the clicks. The selection is held as a key
+// (src/selection.js) so it survives rebuilds and is shared in the URL.
+const PICK_DRAG_PIXELS = 5; // Pointer travel beyond this is an orbit, not a click
+const raycaster = new THREE.Raycaster();
+const highlightMaterial = new THREE.LineBasicMaterial({ color: 0x00e5ff, depthTest: false });
+const highlightGroup = new THREE.Group();
+scene.add(highlightGroup);
+let selection = null;
+
+function selectionContext() {
+    return {
+        structures: model.ports.map((port) => port.userData.structure),
+        groups: [...model.ports, model.braceGroup, model.parkingGroup],
+        bays: model.parkingGroup.userData.bays
+    };
+}
+
+// Edge outlines over the selection, drawn on top of everything
+function drawHighlight() {
+    highlightGroup.children.forEach((child) => child.geometry.dispose());
+    highlightGroup.clear();
+    if (!selection) return;
+
+    const addLines = (lines, matrix) => {
+        lines.matrixAutoUpdate = false;
+        lines.matrix.copy(matrix);
+        lines.renderOrder = 10;
+        highlightGroup.add(lines);
+    };
+    const outline = (geometry, matrix) => addLines(new THREE.LineSegments(new THREE.EdgesGeometry(geometry), highlightMaterial), matrix);
+
+    if (selection.kind === 'bay') {
+        const points = selection.bay.corners.map((c) => new THREE.Vector3(c.x, 0.05, c.z));
+        addLines(new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(points), highlightMaterial), new THREE.Matrix4());
+    } else if (selection.instanceId !== null) {
+        const [mesh] = selection.objects;
+        const instance = new THREE.Matrix4();
+        mesh.getMatrixAt(selection.instanceId, instance);
+        mesh.updateWorldMatrix(true, false);
+        outline(mesh.geometry, mesh.matrixWorld.clone().multiply(instance));
+    } else {
+        selection.objects.forEach((object) => {
+            object.updateWorldMatrix(true, true);
+            object.traverse((child) => {
+                if (child.isMesh) outline(child.geometry, child.matrixWorld);
+            });
+        });
+    }
+}
+
+// key: selection key or null to clear; keys that no longer resolve clear the selection
+function select(key) {
+    selection = key ? resolveSelection(key, selectionContext()) : null;
+    drawHighlight();
+    const details = selection && describeSelection(selection, {
+        solar: CONFIG.solar,
+        strings: stringDesign.strings
+    });
+    renderInspector(document.getElementById('inspector'), details, () => select(null));
+    scheduleUrlUpdate();
+}
+
+function selectionCentre() {
+    return new THREE.Box3().setFromObject(highlightGroup).getCenter(new THREE.Vector3());
+}
+
+// After a rebuild the same key is looked up again in the new model
+function refreshSelection() {
+    if (selection) select(selection.key);
+}
+
+// Everything a click can land on; helpers such as the sky, markers and annotations are left out
+function pickRoots() {
+    return [...model.ports, model.braceGroup, model.parkingGroup, model.containerGroup, model.envGroup, model.fenceGroup, model.treeGroup, ground];
+}
+
+// First mesh under a screen point, as a Raycaster intersection, or undefined
+function raycastAt(clientX, clientY) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        ((clientX - rect.left) / rect.width) * 2 - 1,
+        -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, activeCamera);
+    return raycaster.intersectObjects(pickRoots(), true).find((h) => h.object.isMesh && !isCutAway(h));
+}
+
+// Raycasts ignore clipping, so hits on the part a section cut removes are skipped here
+function isCutAway(hit) {
+    const material = Array.isArray(hit.object.material) ? hit.object.material[0] : hit.object.material;
+    const planes = material.clippingPlanes || [];
+    return planes.some((plane) => plane.distanceToPoint(hit.point) < 0);
+}
+
+// Clicks go to the measure tool while it is on, otherwise they select
+function onSceneClick(clientX, clientY) {
+    const hit = raycastAt(clientX, clientY);
+    if (measureMode !== 'off') {
+        if (hit) measureAt(hit);
+        return;
+    }
+    const { structures, bays } = selectionContext();
+    select(hit ? selectionKeyAt(hit, structures, bays) : null);
+}
+
+let pointerStart = null;
+renderer.domElement.addEventListener('pointerdown', (event) => {
+    pointerStart = event.button === 0 ? { x: event.clientX, y: event.clientY } : null;
+});
+renderer.domElement.addEventListener('pointerup', (event) => {
+    if (!pointerStart || event.button !== 0) return;
+    const moved = Math.hypot(event.clientX - pointerStart.x, event.clientY - pointerStart.y);
+    pointerStart = null;
+    if (moved <= PICK_DRAG_PIXELS) onSceneClick(event.clientX, event.clientY);
+});
+modelListeners.push(refreshSelection);
+
+// --- Design Dimensions ---
+// Span, eaves and ridge heights and column spacing drawn on every canopy at its +z end, read
+// back from the generated frames so they follow CONFIG through every rebuild.
+const DIMENSION_OFFSET = 1.5; // m beyond the last frame line
+const dimensionGroup = new THREE.Group();
+scene.add(dimensionGroup);
+
+function metresText(value) {
+    return `${value.toFixed(2)} m`;
+}
+
+function updateDimensions() {
+    disposeAnnotations(dimensionGroup);
+    model.ports.forEach((port) => {
+        const { roof, frameZ } = port.userData.structure;
+        const { halfSpan, edges } = roof;
+        const group = new THREE.Group(); // In the port's own axes, like its frames
+        group.position.copy(port.position);
+        group.rotation.copy(port.rotation);
+        dimensionGroup.add(group);
+
+        const z = frameZ[frameZ.length - 1];
+        const out = { offset: new THREE.Vector3(0, 0, DIMENSION_OFFSET) };
+        const at = (x, y, along = z) => new THREE.Vector3(x, y, along);
+        const dimension = (label, from, to, options) => group.add(createDimension(from, to, `${label} ${metresText(from.distanceTo(to))}`, options));
+
+        dimension('Span', at(-halfSpan, 0), at(halfSpan, 0), out);
+
+        // Lowest and highest points of the rafter line (eaves, then ridge or high edge)
+        const heights = [{ x: -halfSpan, y: edges.left }, { x: 0, y: edges.centre }, { x: halfSpan, y: edges.right }];
+        const eaves = heights.reduce((low, h) => (h.y < low.y ? h : low));
+        const ridge = heights.reduce((high, h) => (h.y >= high.y ? h : high));
+        dimension('Eaves', at(eaves.x, 0), at(eaves.x, eaves.y), out);
+        if (ridge.y - eaves.y > 1e-6) {
+            dimension(roof.type === 'duo' ? 'Ridge' : 'High edge', at(ridge.x, 0), at(ridge.x, ridge.y), out);
+        }
+
+        if (frameZ.length > 1) {
+            dimension('Columns', at(halfSpan, 0, frameZ[frameZ.length - 2]), at(halfSpan, 0));
+        }
+    });
+}
+modelListeners.push(updateDimensions);
+updateDimensions();
+
+// --- Measure Tool ---
+// Point-to-point, vertical clearance and area measurements on the model (src/measure.js); picked
+// points snap to the corners and edges of the mesh under the pointer. Measurements are world
+// positions and stay where they were taken until cleared.
+const SNAP_PIXELS = 10; // Snap radius on screen
+const MEASURE_COLOUR = 0xffd400;
+const measureGroup = new THREE.Group(); // One child per measurement
+const pendingGroup = new THREE.Group(); // Points picked towards the next one
+scene.add(measureGroup, pendingGroup);
+let measureMode = 'off';
+let measurePoints = [];
+let measurements = []; // [{ type, text }] matching measureGroup's children
+
+function addMeasurement(mode, text, object) {
+    measurements.push({ type: MEASURE_MODES.find((m) => m.id === mode).label, text });
+    measureGroup.add(object);
+}
+
+function drawPendingPoints() {
+    disposeAnnotations(pendingGroup);
+    if (measurePoints.length === 0) return;
+    const markers = new THREE.Points(
+        new THREE.BufferGeometry().setFromPoints(measurePoints),
+        new THREE.PointsMaterial({ color: MEASURE_COLOUR, size: 8, sizeAttenuation: false, depthTest: false })
+    );
+    markers.renderOrder = 20;
+    pendingGroup.add(markers);
+    if (measurePoints.length > 1) pendingGroup.add(createPolyline(measurePoints, MEASURE_COLOUR));
+}
+
+function showMeasurements() {
+    drawPendingPoints();
+    measurePanel.show(measurements, measurePoints.length);
+}
+
+function finishArea() {
+    if (measureMode !== 'area' || measurePoints.length < 3) return;
+    const area = polygonArea(measurePoints);
+    const centre = measurePoints.reduce((sum, p) => sum.add(p), new THREE.Vector3()).divideScalar(measurePoints.length);
+    const outline = new THREE.Group();
+    outline.add(createPolyline(measurePoints, MEASURE_COLOUR, true), createLabel(`${area.toFixed(2)} m²`, centre));
+    addMeasurement('area', `${area.toFixed(2)} m² over ${measurePoints.length} corners`, outline);
+    measurePoints = [];
+    showMeasurements();
+}
+
+// World size of the snap radius at a hit, in whichever camera is drawing
+function snapRadius(hit) {
+    const viewHeight = activeCamera.isOrthographicCamera
+        ? (activeCamera.top - activeCamera.bottom) / activeCamera.zoom
+        : 2 * hit.distance * Math.tan(THREE.MathUtils.degToRad(activeCamera.fov) / 2) / activeCamera.zoom;
+    return viewHeight * SNAP_PIXELS / renderer.domElement.clientHeight;
+}
+
+function measureAt(hit) {
+    const radius = snapRadius(hit);
+    const { point } = snapHit(hit, radius);
+
+    if (measureMode === 'clearance') {
+        const clear = verticalClearance(point, pickRoots());
+        if (!clear) return;
+        const text = `${clear.clearance.toFixed(2)} m`;
+        addMeasurement('clearance', `${text} ${clear.direction === 'up' ? 'clear above' : 'down to the surface below'}`,
+            createDimension(clear.from, clear.to, text, { colour: MEASURE_COLOUR }));
+        showMeasurements();
+        return;
+    }
+
+    // Clicking the first corner again closes an area
+    if (measureMode === 'area' && measurePoints.length >= 3 && point.distanceTo(measurePoints[0]) <= radius) {
+        finishArea();
+        return;
+    }
+    measurePoints.push(point);
+    if (measureMode === 'distance' && measurePoints.length === 2) {
+        const [a, b] = measurePoints;
+        const d = measureDistance(a, b);
+        addMeasurement('distance', `${d.distance.toFixed(2)} m (${d.horizontal.toFixed(2)} m level, ${d.vertical.toFixed(2)} m vertical)`,
+            createDimension(a, b, `${d.distance.toFixed(2)} m`, { colour: MEASURE_COLOUR }));
+        measurePoints = [];
+    }
+    showMeasurements();
+}
+
+const measurePanel = createMeasurePanel(
+    (mode) => {
+        measureMode = mode;
+        measurePoints = [];
+        showMeasurements();
+    },
+    finishArea,
+    () => {
+        disposeAnnotations(measureGroup);
+        measurements = [];
+        measurePoints = [];
+        showMeasurements();
+    },
+    (visible) => { dimensionGroup.visible = visible; }
+);
+showMeasurements();
+
+// --- Views & Sections ---
+// Plan and elevations through the orthographic camera, fitted to the site, and a section cut by a
+// clipping plane on the model's materials just beyond a frame line (src/orthoViews.js). Orbiting
+// is off in those views; the perspective view comes back as it was left.
+const SECTION_OFFSET = 0.25; // m beyond the frame line, so the frame itself is drawn whole
+const PERSPECTIVE_MAX_POLAR = controls.maxPolarAngle;
+const siteFog = scene.fog;
+const sectionPlanes = []; // Shared by every clipped material; empty while the cut is off
+let activeView = 'perspective';
+let perspectivePose = null; // Perspective camera position and target while another view is shown
+
+function sectionStructure() {
+    const structures = model.ports.map((port) => port.userData.structure);
+    return structures.find((s) => s.name === CONFIG.views.section.structure) || structures[0];
+}
+
+function currentSectionCut() {
+    const structure = sectionStructure();
+    const frame = Math.min(CONFIG.views.section.frame, structure.frameZ.length) - 1;
+    return sectionCut(structure, frame, CONFIG.views.section.reverse, SECTION_OFFSET);
+}
+
+// The ground, roads and sky are left whole so the cut reads against the site
+function applySectionCut() {
+    sectionPlanes.length = 0;
+    if (CONFIG.views.section.enabled) sectionPlanes.push(currentSectionCut().plane);
+    [...model.ports, model.braceGroup, model.parkingGroup, model.containerGroup, model.fenceGroup, model.treeGroup, cableGroup].forEach((group) => {
+        group.traverse((child) => {
+            if (!child.material) return;
+            const materials = Array.isArray(child.material) ? [...child.material] : [child.material];
+            if (child.userData.originalMaterial) materials.push(child.userData.originalMaterial);
+            materials.forEach((material) => {
+                material.clippingPlanes = sectionPlanes;
+                material.clipShadows = true;
+            });
+        });
+    });
+    viewPanel.show(model.ports.map((port) => port.userData.structure));
+}
+
+function boundsOf(groups) {
+    const box = new THREE.Box3();
+    groups.forEach((group) => box.expandByObject(group));
+    return box;
+}
+
+function showView(id) {
+    if (activeView === 'perspective' && id !== 'perspective') {
+        perspectivePose = { position: camera.position.clone(), target: controls.target.clone() };
+    }
+    activeView = id;
+    cameraFlight = null;
+    if (flythrough) stopFlythrough();
+
+    if (id === 'perspective') {
+        activeCamera = camera;
+        if (perspectivePose) {
+            camera.position.copy(perspectivePose.position);
+            controls.target.copy(perspectivePose.target);
+            perspectivePose = null;
+        }
+        controls.maxPolarAngle = PERSPECTIVE_MAX_POLAR;
+        scene.fog = siteFog;
+    } else {
+        let box;
+        let direction;
+        let target;
+        if (id === 'section') {
+            // Looking at the cut face across the canopies
+            CONFIG.views.section.enabled = true;
+            viewPanel.setCut(true);
+            applySectionCut();
+            const cut = currentSectionCut();
+            box = boundsOf(model.ports);
+            direction = cut.direction;
+            target = box.getCenter(new THREE.Vector3());
+            target.addScaledVector(cut.plane.normal, -cut.plane.distanceToPoint(target));
+        } else {
+            box = boundsOf([...model.ports, model.braceGroup, model.parkingGroup, model.containerGroup]);
+            direction = new THREE.Vector3().fromArray(VIEWS.find((view) => view.id === id).direction);
+            target = box.getCenter(new THREE.Vector3());
+        }
+        fitOrthographic(orthoCamera, box, direction, window.innerWidth / window.innerHeight, target);
+        activeCamera = orthoCamera;
+        controls.target.copy(target);
+        controls.maxPolarAngle = Math.PI / 2; // Elevations look level
+        scene.fog = null; // Drawings stay crisp at any distance
+    }
+    controls.object = activeCamera;
+    controls.enableRotate = id === 'perspective';
+    controls.update();
+    viewPanel.setView(id);
+}
+
+async function exportViewImage() {
+    const image = await renderImage(renderer, scene, activeCamera, CONFIG.views.imageScale);
+    const name = activeView === 'section'
+        ? `section-${sectionStructure().code}-F${CONFIG.views.section.frame}`
+        : `${activeView}-view`;
+    return { ...image, name };
+}
+
+const viewPanel = createViewPanel(
+    CONFIG.views,
+    showView,
+    () => {
+        applySectionCut();
+        if (activeView === 'section') showView('section');
+    },
+    exportViewImage
+);
+modelListeners.push(applySectionCut);
+applySectionCut();
+
+// --- Camera Bookmarks ---
+// Named perspective views kept in the site scenario, so they travel with its JSON. The flythrough
+// plays through them in list order (src/flythrough.js), and any bookmark or flythrough frame can
+// be rendered at a fixed size for marketing stills and video.
+const renderCamera = new THREE.PerspectiveCamera();
+let flythrough = null; // { path, time } while playing
+
+function bookmarkPose(vector) {
+    return vector.toArray().map((value) => Math.round(value * 100) / 100); // cm
+}
+
+function fileSlug(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'view';
+}
+
+function goToBookmark(bookmark) {
+    if (activeView !== 'perspective') showView('perspective');
+    if (flythrough) stopFlythrough();
+    flyCameraTo(new THREE.Vector3().fromArray(bookmark.position), new THREE.Vector3().fromArray(bookmark.target));
+}
+
+// Saving under an existing name moves that bookmark to the current view
+function editBookmark(action, index, name) {
+    const list = scenario.bookmarks;
+    if (action === 'save') {
+        if (activeView !== 'perspective') return 'Bookmarks are perspective views; switch back to Perspective to save one';
+        let number = list.length + 1;
+        while (list.some((b) => b.name === `View ${number}`)) number += 1;
+        const bookmark = {
+            name: name || `View ${number}`,
+            position: bookmarkPose(camera.position),
+            target: bookmarkPose(controls.target)
+        };
+        const existing = list.findIndex((b) => b.name === bookmark.name);
+        if (existing >= 0) list[existing] = bookmark;
+        else list.push(bookmark);
+        cameraPanel.show(list, existing >= 0 ? existing : list.length - 1);
+        return '';
+    }
+
+    if (action === 'go') {
+        goToBookmark(list[index]);
+    } else if (action === 'up' && index > 0) {
+        list.splice(index - 1, 0, ...list.splice(index, 1));
+        index -= 1;
+    } else if (action === 'delete') {
+        list.splice(index, 1);
+    }
+    cameraPanel.show(list, index);
+    return '';
+}
+
+function currentFlythrough() {
+    const { secondsPerLeg, loop } = CONFIG.camera.flythrough;
+    return createFlythrough(scenario.bookmarks, secondsPerLeg, loop);
+}
+
+function toggleFlythrough() {
+    if (flythrough) {
+        stopFlythrough();
+        return;
+    }
+    if (scenario.bookmarks.length < 2) return;
+    if (activeView !== 'perspective') showView('perspective');
+    cameraFlight = null;
+    flythrough = { path: currentFlythrough(), time: 0 };
+    cameraPanel.setPlaying(true);
+}
+
+function stopFlythrough() {
+    flythrough = null;
+    cameraPanel.setPlaying(false);
+}
+
+function tickFlythrough(deltaSeconds) {
+    if (!flythrough) return;
+    flythrough.time += deltaSeconds;
+    const pose = flythrough.path.poseAt(flythrough.time);
+    camera.position.copy(pose.position);
+    controls.target.copy(pose.target);
+    if (flythrough.time >= flythrough.path.duration) stopFlythrough();
+}
+
+// Grabbing the view hands the camera back
+controls.addEventListener('start', () => {
+    if (flythrough) stopFlythrough();
+});
+
+// Renders through the perspective camera's lens with the site's haze, whatever view is on screen
+async function renderPose(position, target, name) {
+    const { width, height } = RENDER_SIZES.find((size) => size.id === CONFIG.camera.render.size);
+    renderCamera.copy(camera, false);
+    renderCamera.aspect = width / height;
+    renderCamera.position.copy(position);
+    renderCamera.lookAt(target);
+    renderCamera.updateProjectionMatrix();
+    renderCamera.updateMatrixWorld();
+
+    const fog = scene.fog;
+    scene.fog = siteFog;
+    const image = renderImageAt(renderer, scene, renderCamera, width, height);
+    scene.fog = fog;
+    return { ...(await image), name };
+}
+
+function renderBookmark(index) {
+    const bookmark = scenario.bookmarks[index];
+    const { width, height } = RENDER_SIZES.find((size) => size.id === CONFIG.camera.render.size);
+    return renderPose(
+        new THREE.Vector3().fromArray(bookmark.position),
+        new THREE.Vector3().fromArray(bookmark.target),
+        `${fileSlug(bookmark.name)}-${width}x${height}`
+    );
+}
+
+// Frames are evenly spaced in time, ending on the last bookmark (or just short of the first
+// again on a loop, so a looped video does not repeat a frame)
+function flythroughFrames() {
+    const path = currentFlythrough();
+    const { fps, loop } = CONFIG.camera.flythrough;
+    return {
+        count: Math.round(path.duration * fps) + (loop ? 0 : 1),
+        render(i) {
+            const pose = path.poseAt(i / fps);
+            return renderPose(pose.position, pose.target, `flythrough-${String(i + 1).padStart(4, '0')}`);
+        }
+    };
+}
+
+const cameraPanel = createCameraPanel(CONFIG.camera, editBookmark, toggleFlythrough, renderBookmark, flythroughFrames);
+cameraPanel.show(scenario.bookmarks, 0);
+
+// The camera starts at the scenario's first bookmark
+if (scenario.bookmarks.length > 0) {
+    camera.position.fromArray(scenario.bookmarks[0].position);
+    controls.target.fromArray(scenario.bookmarks[0].target);
+    controls.update();
+}
+
+// --- Shareable Link ---
+// The address bar always holds the current seed, view, selection and design (see src/urlState.js).
+if (urlState.camera) {
+    camera.position.fromArray(urlState.camera.position);
+    controls.target.fromArray(urlState.camera.target);
+    controls.update();
+}
+
+function writeUrlState() {
+    // Links always open in perspective, as the view was last seen
+    const pose = perspectivePose || { position: camera.position, target: controls.target };
+    const hash = encodeUrlState({
+        seed: CONFIG.random.seed,
+        camera: { position: pose.position.toArray(), target: pose.target.toArray() },
+        selection: selection && selection.key,
+        config: CONFIG,
+        defaults: DEFAULT_CONFIG
+    });
+    if (hash !== window.location.hash) history.replaceState(null, '', hash);
+}
+
+// Debounced: the sun slider and orbit damping fire many events in a row
+let urlTimer = null;
+function scheduleUrlUpdate() {
+    clearTimeout(urlTimer);
+    urlTimer = setTimeout(writeUrlState, 500);
+}
+controls.addEventListener('end', scheduleUrlUpdate);
+['change', 'input', 'click'].forEach((type) => document.getElementById('sidebar').addEventListener(type, scheduleUrlUpdate));
+modelListeners.push(scheduleUrlUpdate);
+
+// A linked selection is shown once everything is built; without a linked view, fly to it
+select(urlState.selection);
+if (selection && !urlState.camera) flyCamera(selectionCentre());
+
+// New seed: re-scatter trees and re-park vehicles, then refresh everything downstream
+function reseedScene() {
+    model.scatterTrees();
+    rebuildCanopy();
+}
+const sharePanel = createSharePanel(CONFIG.random, reseedScene, newSeed);
+
+// Links carry the design and view but not an imported site scenario or module, so those are called out
+let scenarioImported = false;
+function updateShareNote() {
+    const notes = [...linkProblems];
+    if (!MODULE_LIBRARY.some((sheet) => sheet.id === CONFIG.solar.moduleId)) {
+        notes.push('Links open the default module, not the imported one: share its datasheet JSON too');
+    }
+    if (scenarioImported) notes.push(`Links open the default site, not "${scenario.name}": share its scenario JSON too`);
+    sharePanel.setNote(notes.join('. '));
+}
+updateShareNote();
+
+// --- Site Scenario ---
+// Swapping the scenario regenerates the site furniture, then the canopies and everything downstream.
+function applyScenario(next, imported) {
+    scenario = next;
+    if (!scenario.bookmarks) scenario.bookmarks = []; // Optional in scenario files
+    cameraPanel.show(scenario.bookmarks, 0);
+    model.setScenario(next);
+    scenarioImported = imported;
+    updateShareNote();
+    reseedScene();
+}
+
+createScenarioPanel(() => scenario, (next) => {
+    const errors = validateScenario(next, CONFIG.structure);
+    return errors.length > 0 ? errors : layoutErrors(CONFIG, next);
+}, applyScenario);
+
 window.addEventListener('resize', onWindowResize, false);
 function onWindowResize() {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
+    setOrthographicAspect(orthoCamera, camera.aspect);
     renderer.setSize(window.innerWidth, window.innerHeight);
 }
 
+const clock = new THREE.Clock();
+
 function animate() {
     requestAnimationFrame(animate);
+    const delta = clock.getDelta();
+    sunPanel.tick(delta);
+    tickSweptPath(delta);
+    tickCameraFlight(delta);
+    tickFlythrough(delta);
     controls.update();
-    renderer.render(scene, camera);
+    renderer.render(scene, activeCamera);
 }
 animate();
@@ -0,0 +1,95 @@
+import * as THREE from 'three';
+
+// --- Annotations ---
+// Dimension lines, outlines and text labels drawn over the model for the measure tool and the
+// design dimensions. Everything is drawn on top of the scene so it stays readable under roofs;
+// labels keep the same size on screen at any zoom, in perspective and orthographic views alike.
+
+const LABEL_HEIGHT = 0.04; // Share of the view height
+const LABEL_FONT = 'bold 40px sans-serif';
+const TICK = 0.25; // m, half-length of the ticks at each end of a dimension line
+
+function lineMaterial(colour) {
+    return new THREE.LineBasicMaterial({ color: colour, depthTest: false, transparent: true });
+}
+
+function onTop(object) {
+    object.renderOrder = 20;
+    return object;
+}
+
+export function createLabel(text, position, colour = '#ffffff') {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.font = LABEL_FONT;
+    canvas.width = Math.ceil(ctx.measureText(text).width) + 16;
+    canvas.height = 56;
+
+    // Resizing the canvas resets the context
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.font = LABEL_FONT;
+    ctx.fillStyle = colour;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, 8, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, sizeAttenuation: false, depthTest: false }));
+    sprite.position.copy(position);
+
+    // Without size attenuation a perspective camera scales sprites to the view height at unit
+    // distance; an orthographic one draws them in world units, so they are sized per camera
+    const aspect = canvas.width / canvas.height;
+    sprite.onBeforeRender = (renderer, scene, camera) => {
+        const viewHeight = camera.isOrthographicCamera
+            ? (camera.top - camera.bottom) / camera.zoom
+            : 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / camera.zoom;
+        sprite.scale.set(LABEL_HEIGHT * viewHeight * aspect, LABEL_HEIGHT * viewHeight, 1);
+        sprite.updateMatrixWorld();
+    };
+    return onTop(sprite);
+}
+
+// points: [Vector3]; closed joins the last point back to the first
+export function createPolyline(points, colour, closed = false) {
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    return onTop(closed ? new THREE.LineLoop(geometry, lineMaterial(colour)) : new THREE.Line(geometry, lineMaterial(colour)));
+}
+
+// Dimension from one point to another, drawn `offset` (Vector3) away from them on extension
+// lines, with end ticks across it and the text at its middle
+export function createDimension(from, to, text, { offset = new THREE.Vector3(), colour = 0xffffff } = {}) {
+    const group = new THREE.Group();
+    const a = from.clone().add(offset);
+    const b = to.clone().add(offset);
+
+    // Ticks run along the offset, or across the line in plan where there is none
+    const along = b.clone().sub(a).normalize();
+    const tick = offset.lengthSq() > 0
+        ? offset.clone().normalize()
+        : new THREE.Vector3(-along.z, 0, along.x).normalize();
+    if (tick.lengthSq() === 0) tick.set(1, 0, 0); // Vertical line with no offset
+    tick.multiplyScalar(TICK);
+
+    const segments = [a, b];
+    if (offset.lengthSq() > 0) segments.push(from, a, to, b);
+    [a, b].forEach((end) => segments.push(end.clone().sub(tick), end.clone().add(tick)));
+    group.add(onTop(new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(segments), lineMaterial(colour))));
+
+    group.add(createLabel(text, a.clone().add(b).multiplyScalar(0.5)));
+    return group;
+}
+
+// Frees an annotation group's geometry, materials and label textures. Sprites share one
+// geometry across the whole library, so theirs is left alone.
+export function disposeAnnotations(group) {
+    group.traverse((child) => {
+        if (child.geometry && !child.isSprite) child.geometry.dispose();
+        if (child.material) {
+            if (child.material.map) child.material.map.dispose();
+            child.material.dispose();
+        }
+    });
+    group.clear();
+}
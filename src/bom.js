@@ -0,0 +1,50 @@
+// --- Bill of Materials ---
+// Builders tag each structural mesh with userData.bom = { item, spec, unit, size } where `size`
+// is the length (m), area (m²) or 1 (ea) of one piece. Top-level groups carry userData.bomGroup.
+// The BOM is read back from the scene, so it always matches what is drawn.
+
+function findBomGroup(object) {
+    for (let node = object; node; node = node.parent) {
+        if (node.userData.bomGroup) return node.userData.bomGroup;
+    }
+    return 'Unassigned';
+}
+
+// Aggregates identical pieces (same group, item, spec and size) into one line.
+export function collectBom(groups) {
+    const lines = new Map();
+
+    groups.forEach((group) => {
+        group.traverse((child) => {
+            const tag = child.userData.bom;
+            if (!tag) return;
+
+            const quantity = child.isInstancedMesh ? child.count : 1;
+            const bomGroup = findBomGroup(child);
+            const key = [bomGroup, tag.item, tag.spec, tag.size.toFixed(3)].join('|');
+
+            if (!lines.has(key)) {
+                lines.set(key, { group: bomGroup, item: tag.item, spec: tag.spec, unit: tag.unit, size: tag.size, quantity: 0 });
+            }
+            lines.get(key).quantity += quantity;
+        });
+    });
+
+    return [...lines.values()].map((line) => ({ ...line, total: line.size * line.quantity }));
+}
+
+const CSV_COLUMNS = ['group', 'item', 'spec', 'quantity', 'unit', 'size', 'total'];
+
+function csvCell(value) {
+    const text = typeof value === 'number' ? String(Math.round(value * 1000) / 1000) : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function bomToCsv(lines) {
+    const rows = lines.map((line) => CSV_COLUMNS.map((col) => csvCell(line[col])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+export function bomToJson(lines) {
+    return JSON.stringify({ generated: new Date().toISOString(), lines }, null, 2);
+}
@@ -0,0 +1,37 @@
+import { createPanel, createButton, createTable, downloadFile } from './ui.js';
+import { bomToCsv, bomToJson } from './bom.js';
+
+// --- Bill of Materials Panel ---
+// Shows the BOM lines and exports them; getLines() re-reads the current scene.
+
+function formatSize(line) {
+    if (line.unit === 'ea') return '';
+    return `${line.size.toFixed(2)} ${line.unit}`;
+}
+
+function formatTotal(line) {
+    return line.unit === 'ea' ? `${line.quantity} ea` : `${line.total.toFixed(1)} ${line.unit}`;
+}
+
+export function createBomPanel(getLines) {
+    const { body } = createPanel('Bill of Materials');
+    const output = document.createElement('div');
+
+    body.appendChild(createButton('Export CSV', () => {
+        downloadFile('solar-carport-bom.csv', bomToCsv(getLines()), 'text/csv');
+    }));
+    body.appendChild(createButton('Export JSON', () => {
+        downloadFile('solar-carport-bom.json', bomToJson(getLines()), 'application/json');
+    }));
+    body.appendChild(output);
+
+    return {
+        refresh() {
+            const lines = getLines();
+            output.replaceChildren(createTable(
+                ['Item', 'Qty', 'Each', 'Total'],
+                lines.map((line) => [`${line.group}: ${line.item}`, line.quantity, formatSize(line), formatTotal(line)])
+            ));
+        }
+    };
+}
@@ -0,0 +1,83 @@
+import { createPanel, createField, createNumberInput, createButton, createTable, downloadFile } from './ui.js';
+import { CABLE_SIZES } from './cableRouting.js';
+
+// --- DC Cabling Panel ---
+// Cable size, inverter location on the plant room wall, drop limit and the cable schedule.
+// `cabling` is CONFIG.cabling; onChange re-routes, onShowRuns toggles the 3D runs.
+
+const CSV_COLUMNS = ['string', 'positive_m', 'negative_m', 'cable_m', 'size_mm2', 'drop_v', 'drop_percent', 'loss_w', 'flag'];
+
+function toCsv(runs) {
+    const rows = runs.map((r) => [
+        r.id, r.positive.toFixed(1), r.negative.toFixed(1), r.cableLength.toFixed(1), r.crossSection,
+        r.drop.toFixed(2), r.dropPercent.toFixed(2), r.loss.toFixed(1), r.flagged ? 'over limit' : ''
+    ]);
+    return [CSV_COLUMNS, ...rows].map((row) => row.join(',')).join('\n') + '\n';
+}
+
+export function createCablePanel(cabling, onChange, onShowRuns) {
+    const { body } = createPanel('DC Cabling');
+    let lastRuns = [];
+
+    const sizeSelect = document.createElement('select');
+    CABLE_SIZES.forEach((size) => sizeSelect.add(new Option(`${size} mm²`, String(size))));
+    sizeSelect.value = String(cabling.crossSection);
+    sizeSelect.addEventListener('change', () => {
+        cabling.crossSection = parseFloat(sizeSelect.value);
+        onChange();
+    });
+    body.appendChild(createField('Cable size', sizeSelect));
+
+    const numberField = (label, key, min, max, step) => createField(label, createNumberInput({
+        value: cabling[key],
+        min,
+        max,
+        step,
+        onChange: (value) => {
+            if (!Number.isFinite(value)) return;
+            cabling[key] = value;
+            onChange();
+        }
+    }));
+    body.appendChild(numberField('Inverter position z (m)', 'inverterZ', -100, 100, 0.5));
+    body.appendChild(numberField('Inverter height (m)', 'inverterHeight', 0.3, 4, 0.1));
+    body.appendChild(numberField('Slack (%)', 'slack', 0, 30, 1));
+    body.appendChild(numberField('Max drop (%)', 'maxDropPercent', 0.1, 5, 0.1));
+
+    const showToggle = document.createElement('input');
+    showToggle.type = 'checkbox';
+    showToggle.checked = true;
+    showToggle.addEventListener('change', () => onShowRuns(showToggle.checked));
+    body.appendChild(createField('Show cable runs', showToggle));
+
+    body.appendChild(createButton('Export cable schedule CSV', () => {
+        downloadFile('cable-schedule.csv', toCsv(lastRuns), 'text/csv');
+    }));
+
+    const output = document.createElement('div');
+    body.appendChild(output);
+
+    return {
+        // runs: [{ id, positive, negative, cableLength, crossSection, drop, dropPercent, loss, flagged }]
+        show(runs) {
+            lastRuns = runs;
+            const totalCable = runs.reduce((sum, r) => sum + r.cableLength, 0);
+            const totalLoss = runs.reduce((sum, r) => sum + r.loss, 0);
+            const flagged = runs.filter((r) => r.flagged).length;
+
+            const summary = document.createElement('p');
+            summary.textContent = `${Math.round(totalCable).toLocaleString('en-GB')} m of ${cabling.crossSection} mm² cable, `
+                + `${(totalLoss / 1000).toFixed(2)} kW loss at Imp, ${flagged} over ${cabling.maxDropPercent}% drop`;
+
+            const table = createTable(
+                ['String', 'Cable (m)', 'Drop (V)', 'Drop', 'Loss (W)'],
+                runs.map((r) => [r.id, r.cableLength.toFixed(0), r.drop.toFixed(1), `${r.dropPercent.toFixed(2)}%`, r.loss.toFixed(0)])
+            );
+            runs.forEach((r, i) => {
+                if (r.flagged) table.tBodies[0].rows[i].className = 'flagged';
+            });
+
+            output.replaceChildren(summary, table);
+        }
+    };
+}
@@ -0,0 +1,108 @@
+// --- DC Cable Routing ---
+// Routes each string's + and - home runs through the structure's own containment:
+// along the row to the nearest frame line, along the rafters (over the ridge if needed)
+// to the eaves on the plant-room side, across braces onto the neighbouring canopy where a
+// structure has no columns on that side, down a column and along a ground duct to the inverter.
+// Points are plain { x, y, z } in world metres. Routing over a canopy happens in its own axes
+// (x across the span from the ridge line, z along it), so rotated structures route the same way;
+// the plant-room side is always the structure's local -x (west at rotation 0).
+
+export const CABLE_SIZES = [4, 6, 10, 16]; // mm² copper
+
+const DUCT_HEIGHT = 0.1; // Ground duct drawn just above the surface
+
+function nearestIndex(values, target) {
+    return values.reduce((best, v, i) => (Math.abs(v - target) < Math.abs(values[best] - target) ? i : best), 0);
+}
+
+// Local (x across, z along) to world, and back; rotation in degrees about +Y
+function toWorld(frame, x, y, z) {
+    const rad = frame.rotation * Math.PI / 180;
+    return {
+        x: frame.x + x * Math.cos(rad) + z * Math.sin(rad),
+        y,
+        z: frame.z - x * Math.sin(rad) + z * Math.cos(rad)
+    };
+}
+
+function toLocal(frame, point) {
+    const rad = frame.rotation * Math.PI / 180;
+    const dx = point.x - frame.x;
+    const dz = point.z - frame.z;
+    return { x: dx * Math.cos(rad) - dz * Math.sin(rad), z: dx * Math.sin(rad) + dz * Math.cos(rad) };
+}
+
+// Top of the rafter at local x; the rafter line is straight on each side of the centre line.
+function rafterHeight(frame, x) {
+    const [left, centre, right] = frame.heights;
+    const t = Math.min(1, Math.abs(x) / frame.halfSpan);
+    return centre + ((x < 0 ? left : right) - centre) * t;
+}
+
+// Rafter route from local x to the low-x (plant-room) eaves at a frame line, via the centre line
+// (ridge or valley) if needed.
+function alongRafters(frame, x, z, points) {
+    if (x > 0) points.push(toWorld(frame, 0, frame.heights[1], z));
+    points.push(toWorld(frame, -frame.halfSpan, frame.heights[0], z));
+}
+
+// frame: { x, z, rotation, halfSpan, heights: [west, centre, east], frameZ: [z...], braces: [...] }
+//   x/z/rotation — the structure's placement; heights — top of rafter across the span;
+//   frameZ — frame lines in local z
+//   braces — per frame line, { frame, index } of the neighbour frame line the braces connect to
+//   on the low-x side, or null where the structure has its own column there
+// inverter: { wallX, y, z } — connection point on the plant room wall
+export function routeCable(start, frame, inverter) {
+    const local = toLocal(frame, start);
+    let index = nearestIndex(frame.frameZ, local.z);
+    const points = [{ ...start }];
+
+    // Along the row to the frame line, on top of the rafter
+    points.push(toWorld(frame, local.x, rafterHeight(frame, local.x), frame.frameZ[index]));
+    alongRafters(frame, local.x, frame.frameZ[index], points);
+
+    // Across braces until a frame line with a column on the plant-room side is reached
+    let current = frame;
+    while (current.braces[index]) {
+        const { frame: next, index: nextIndex } = current.braces[index];
+        const z = next.frameZ[nextIndex];
+        points.push(toWorld(next, next.halfSpan, next.heights[2], z));
+        alongRafters(next, next.halfSpan, z, points);
+        current = next;
+        index = nextIndex;
+    }
+
+    // Down the column, then the ground duct to the wall and up to the inverter
+    const foot = toWorld(current, -current.halfSpan, DUCT_HEIGHT, current.frameZ[index]);
+    points.push(foot);
+    points.push({ x: inverter.wallX, y: DUCT_HEIGHT, z: foot.z });
+    points.push({ x: inverter.wallX, y: DUCT_HEIGHT, z: inverter.z });
+    points.push({ x: inverter.wallX, y: inverter.y, z: inverter.z });
+    return points;
+}
+
+export function routeLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        length += Math.hypot(b.x - a.x, b.y - a.y, b.z - a.z);
+    }
+    return length;
+}
+
+// Loop voltage drop for a string home run.
+// length: one-way route (m) of the + and - runs added together; current at Imp (A).
+// options: { crossSection (mm²), resistivity (Ω·mm²/m), slack (%), stringVoltage (V) }
+export function voltageDrop(length, current, { crossSection, resistivity, slack, stringVoltage }) {
+    const cableLength = length * (1 + slack / 100);
+    const resistance = resistivity * cableLength / crossSection;
+    const drop = current * resistance;
+    return {
+        cableLength,
+        resistance,
+        drop,
+        dropPercent: drop / stringVoltage * 100,
+        loss: current * current * resistance
+    };
+}
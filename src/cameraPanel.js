@@ -0,0 +1,134 @@
+import { createPanel, createField, createNumberInput, createInput, createButton, createErrorText, downloadFile } from './ui.js';
+
+// --- Camera Panel ---
+// Saved camera bookmarks, the flythrough through them and fixed-size render export.
+// `camera` is CONFIG.camera. onBookmark(action, index, name) edits the scenario's bookmarks:
+// 'save' stores the current view as `name` (returning an error message or ''), 'go' flies to
+// one, 'up' moves it one place earlier in the flythrough and 'delete' removes it. onPlay toggles
+// the flythrough, onRender(index) resolves to { blob, width, height, name } for a bookmark and
+// onFrames() returns { count, render(i) } for the flythrough frames, render(i) resolving like onRender.
+
+export const RENDER_SIZES = [
+    { id: '1920x1080', label: 'Full HD (1920 x 1080)', width: 1920, height: 1080 },
+    { id: '2560x1440', label: 'QHD (2560 x 1440)', width: 2560, height: 1440 },
+    { id: '3840x2160', label: '4K UHD (3840 x 2160)', width: 3840, height: 2160 },
+    { id: '7680x4320', label: '8K UHD (7680 x 4320)', width: 7680, height: 4320 }
+];
+
+export function createCameraPanel(camera, onBookmark, onPlay, onRender, onFrames) {
+    const { body } = createPanel('Camera & Flythrough');
+    const error = createErrorText();
+    const status = document.createElement('p');
+
+    const nameInput = createInput('text', { value: '', placeholder: 'Bookmark name' });
+    body.appendChild(createField('Name', nameInput));
+    body.appendChild(createButton('Save current view', () => {
+        const problem = onBookmark('save', -1, nameInput.value.trim());
+        error.textContent = problem;
+        if (!problem) nameInput.value = '';
+    }));
+
+    const bookmarkSelect = document.createElement('select');
+    body.appendChild(createField('Bookmark', bookmarkSelect));
+    const selected = () => bookmarkSelect.selectedIndex;
+    const goButton = createButton('Go to', () => onBookmark('go', selected()));
+    const upButton = createButton('Move up', () => onBookmark('up', selected()));
+    const deleteButton = createButton('Delete', () => onBookmark('delete', selected()));
+    body.append(goButton, upButton, deleteButton);
+
+    const { flythrough, render } = camera;
+    body.appendChild(createField('Seconds between bookmarks', createNumberInput({
+        value: flythrough.secondsPerLeg,
+        min: 1,
+        max: 60,
+        step: 0.5,
+        onChange: (value) => {
+            if (Number.isFinite(value) && value >= 1) flythrough.secondsPerLeg = value;
+        }
+    })));
+
+    const loopToggle = document.createElement('input');
+    loopToggle.type = 'checkbox';
+    loopToggle.checked = flythrough.loop;
+    loopToggle.addEventListener('change', () => { flythrough.loop = loopToggle.checked; });
+    body.appendChild(createField('Back to the start', loopToggle));
+
+    const playButton = createButton('Play flythrough', () => onPlay());
+    body.appendChild(playButton);
+
+    const sizeSelect = document.createElement('select');
+    RENDER_SIZES.forEach((size) => sizeSelect.appendChild(new Option(size.label, size.id)));
+    sizeSelect.value = render.size;
+    sizeSelect.addEventListener('change', () => { render.size = sizeSelect.value; });
+    body.appendChild(createField('Render size', sizeSelect));
+
+    body.appendChild(createField('Frames per second', createNumberInput({
+        value: flythrough.fps,
+        min: 1,
+        max: 60,
+        step: 1,
+        onChange: (value) => {
+            if (Number.isInteger(value) && value >= 1) flythrough.fps = value;
+        }
+    })));
+
+    const renderButton = createButton('Render bookmark PNG', async () => {
+        renderButton.disabled = true;
+        error.textContent = '';
+        try {
+            const { blob, width, height, name } = await onRender(selected());
+            downloadFile(`${name}.png`, blob, 'image/png');
+            status.textContent = `Saved ${name}.png (${width} x ${height} px)`;
+        } catch (err) {
+            error.textContent = `Render failed: ${err.message}`;
+        }
+        renderButton.disabled = false;
+    });
+    body.appendChild(renderButton);
+
+    // Frames are downloaded one at a time as they are encoded, so long sequences at 4K never
+    // have to fit in memory together; the browser may ask once to allow multiple downloads
+    let exporting = false;
+    const framesButton = createButton('Export flythrough frames', async () => {
+        if (exporting) {
+            exporting = false; // Stops after the frame being encoded
+            return;
+        }
+        exporting = true;
+        framesButton.textContent = 'Cancel export';
+        error.textContent = '';
+        const { count, render: renderFrame } = onFrames();
+        try {
+            for (let i = 0; i < count && exporting; i++) {
+                const { blob, width, height, name } = await renderFrame(i);
+                downloadFile(`${name}.png`, blob, 'image/png');
+                status.textContent = `Frame ${i + 1} of ${count} saved (${width} x ${height} px)`;
+            }
+        } catch (err) {
+            error.textContent = `Export failed: ${err.message}`;
+        }
+        exporting = false;
+        framesButton.textContent = 'Export flythrough frames';
+    });
+    body.appendChild(framesButton);
+    body.appendChild(status);
+    body.appendChild(error);
+
+    return {
+        // bookmarks: the scenario's [{ name }]; index: the one to select, default the current one
+        show(bookmarks, index = selected()) {
+            bookmarkSelect.replaceChildren(...bookmarks.map((b) => new Option(b.name, b.name)));
+            bookmarkSelect.selectedIndex = Math.min(Math.max(index, 0), bookmarks.length - 1);
+            [goButton, upButton, deleteButton, renderButton].forEach((button) => {
+                button.disabled = bookmarks.length === 0;
+            });
+            // A flythrough needs somewhere to fly from and to
+            [playButton, framesButton].forEach((button) => {
+                button.disabled = bookmarks.length < 2 && !exporting;
+            });
+        },
+        setPlaying(playing) {
+            playButton.textContent = playing ? 'Stop flythrough' : 'Play flythrough';
+        }
+    };
+}
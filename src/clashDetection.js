@@ -0,0 +1,169 @@
+import * as THREE from 'three';
+import { polygonsOverlap } from './scenario.js';
+import { convexHull } from './sitePlan.js';
+
+// --- Clash Detection ---
+// Site-wide clearance check read back from the scene, like the BOM and site plan. Tagged objects
+// become items: a plan outline (world x/z, convex) and a height range, in one of these categories:
+//   car, coach         — parked vehicles (userData.vehicle), one item per vehicle
+//   column, rafter, brace — structure members (userData.member)
+//   roof, container, pitch, road, fence — from the site plan layers (userData.plan)
+//   tree               — userData.tree, one item per tree
+// Rules name two categories and the clearance between them (m):
+//   plan     — outlines at least `clearance` apart; 0 only forbids overlaps
+//   headroom — where the outlines overlap, b's underside at least `clearance` above a's top
+
+export const CLASH_CATEGORIES = ['car', 'coach', 'column', 'rafter', 'brace', 'roof', 'container', 'pitch', 'road', 'fence', 'tree'];
+
+const PLAN_CATEGORIES = { ROOF: 'roof', CONTAINERS: 'container', PITCH: 'pitch', ROADS: 'road', FENCES: 'fence' };
+
+function categoryOf(object) {
+    const { vehicle, member, plan, tree } = object.userData;
+    if (vehicle) return vehicle === 'Coach' ? 'coach' : 'car';
+    if (tree) return 'tree';
+    if (member) return member.type;
+    if (plan) return PLAN_CATEGORIES[plan.layer] || null;
+    return null;
+}
+
+function labelOf(object, category) {
+    const { vehicle, bay, member } = object.userData;
+    if (vehicle) return bay ? `${vehicle} in bay ${bay}` : vehicle;
+    if (member) return `${member.structure} ${member.type} F${member.frame + 1}${member.side ? ` (${member.side})` : ''}`;
+    // Otherwise the nearest named object or structure up the tree (containers, roads, roofs...)
+    for (let o = object; o; o = o.parent) {
+        if (o.name) return o.name;
+        if (o.userData.structure) return `${o.userData.structure.name} ${category}`;
+    }
+    return category;
+}
+
+// Bounding box of every mesh under object in the object's own axes, so rotated vehicles and
+// members get a tight outline, then taken to world plan corners and a height range
+function itemShape(object) {
+    const box = new THREE.Box3();
+    const toLocal = object.matrixWorld.clone().invert();
+    object.traverse((child) => {
+        if (!child.geometry) return;
+        if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+        box.union(child.geometry.boundingBox.clone().applyMatrix4(toLocal.clone().multiply(child.matrixWorld)));
+    });
+    const corners = [];
+    for (let i = 0; i < 8; i++) {
+        corners.push(new THREE.Vector3(
+            i & 1 ? box.max.x : box.min.x,
+            i & 2 ? box.max.y : box.min.y,
+            i & 4 ? box.max.z : box.min.z
+        ).applyMatrix4(object.matrixWorld));
+    }
+    return {
+        corners: convexHull(corners.map((c) => ({ x: c.x, y: c.z }))).map((p) => ({ x: p.x, z: p.y })),
+        minX: Math.min(...corners.map((c) => c.x)),
+        maxX: Math.max(...corners.map((c) => c.x)),
+        minY: Math.min(...corners.map((c) => c.y)),
+        maxY: Math.max(...corners.map((c) => c.y)),
+        minZ: Math.min(...corners.map((c) => c.z)),
+        maxZ: Math.max(...corners.map((c) => c.z))
+    };
+}
+
+// groups: scene groups to search; categorised objects are not searched further
+// Returns [{ category, label, corners: [{ x, z }], minX, maxX, minY, maxY, minZ, maxZ }].
+export function collectClashItems(groups) {
+    const items = [];
+    const visit = (object) => {
+        const category = categoryOf(object);
+        if (category) {
+            items.push({ category, label: labelOf(object, category), ...itemShape(object) });
+            return;
+        }
+        object.children.forEach(visit);
+    };
+    groups.forEach((group) => {
+        group.updateMatrixWorld(true);
+        visit(group);
+    });
+    return items;
+}
+
+function closestOnSegment(p, a, b) {
+    const ab = { x: b.x - a.x, z: b.z - a.z };
+    const len2 = ab.x * ab.x + ab.z * ab.z;
+    const t = len2 > 0 ? Math.min(1, Math.max(0, ((p.x - a.x) * ab.x + (p.z - a.z) * ab.z) / len2)) : 0;
+    return { x: a.x + ab.x * t, z: a.z + ab.z * t };
+}
+
+// Gap between two convex outlines and the closest pair of points; 0 and no points when they overlap
+function outlineGap(a, b) {
+    if (polygonsOverlap(a, b)) return { distance: 0, points: null };
+    let best = { distance: Infinity, points: null };
+    [[a, b], [b, a]].forEach(([from, to]) => {
+        from.forEach((p) => {
+            to.forEach((q, i) => {
+                const c = closestOnSegment(p, q, to[(i + 1) % to.length]);
+                const distance = Math.hypot(c.x - p.x, c.z - p.z);
+                if (distance < best.distance) best = { distance, points: [p, c] };
+            });
+        });
+    });
+    return best;
+}
+
+function centroid(corners) {
+    return {
+        x: corners.reduce((sum, c) => sum + c.x, 0) / corners.length,
+        z: corners.reduce((sum, c) => sum + c.z, 0) / corners.length
+    };
+}
+
+function extent(corners) {
+    const xs = corners.map((c) => c.x);
+    const zs = corners.map((c) => c.z);
+    return (Math.max(...xs) - Math.min(...xs)) * (Math.max(...zs) - Math.min(...zs));
+}
+
+// rules: [{ a, b, type: 'plan' | 'headroom', clearance }]
+// Returns one entry per offending pair: { rule (index), a, b (labels), type, clearance, value, overlap,
+// position: { x, y, z } } — value is the plan gap or headroom (m); position is where to look.
+export function checkClearances(items, rules) {
+    const byCategory = {};
+    items.forEach((item) => {
+        if (!byCategory[item.category]) byCategory[item.category] = [];
+        byCategory[item.category].push(item);
+    });
+
+    const results = [];
+    rules.forEach((rule, index) => {
+        const reach = rule.type === 'plan' ? rule.clearance : 0;
+        (byCategory[rule.a] || []).forEach((a) => {
+            (byCategory[rule.b] || []).forEach((b) => {
+                if (a === b) return;
+                if (a.minX > b.maxX + reach || b.minX > a.maxX + reach || a.minZ > b.maxZ + reach || b.minZ > a.maxZ + reach) return;
+
+                const gap = outlineGap(a.corners, b.corners);
+                // Overlaps are pointed at the smaller item, gaps at their middle
+                const spot = gap.points
+                    ? { x: (gap.points[0].x + gap.points[1].x) / 2, z: (gap.points[0].z + gap.points[1].z) / 2 }
+                    : centroid(extent(a.corners) < extent(b.corners) ? a.corners : b.corners);
+
+                const overlap = !gap.points;
+                if (rule.type === 'headroom' && !overlap) return;
+                const value = rule.type === 'headroom' ? b.minY - a.maxY : gap.distance;
+                const enough = value >= rule.clearance - 1e-9;
+                if (rule.type === 'headroom' ? enough : enough && !overlap) return;
+
+                results.push({
+                    rule: index,
+                    a: a.label,
+                    b: b.label,
+                    type: rule.type,
+                    clearance: rule.clearance,
+                    value,
+                    overlap: rule.type === 'plan' && overlap,
+                    position: { x: spot.x, y: rule.type === 'headroom' ? a.maxY : 0, z: spot.z }
+                });
+            });
+        });
+    });
+    return results;
+}
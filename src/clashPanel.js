@@ -0,0 +1,54 @@
+import { createPanel, createField, createNumberInput, createTable } from './ui.js';
+
+// --- Clash Detection Panel ---
+// Clearance of every rule and the offending pairs from the latest run; clicking a result flies
+// the camera to it. `clash` is CONFIG.clash; onChange re-runs the check, onSelect(result) is the click.
+
+function ruleLabel(rule) {
+    return rule.type === 'headroom' ? `${rule.a} headroom under ${rule.b} (m)` : `${rule.a} to ${rule.b} (m)`;
+}
+
+function describe(result) {
+    if (result.overlap) return 'Overlaps';
+    const kind = result.type === 'headroom' ? ' headroom' : '';
+    return `${result.value.toFixed(2)} m${kind}, needs ${result.clearance.toFixed(2)} m`;
+}
+
+export function createClashPanel(clash, onChange, onSelect) {
+    const { body } = createPanel('Clash Detection');
+
+    clash.rules.forEach((rule) => {
+        body.appendChild(createField(ruleLabel(rule), createNumberInput({
+            value: rule.clearance,
+            min: 0,
+            max: 10,
+            step: 0.1,
+            onChange: (value) => {
+                if (!Number.isFinite(value) || value < 0) return;
+                rule.clearance = value;
+                onChange();
+            }
+        })));
+    });
+
+    const output = document.createElement('div');
+    body.appendChild(output);
+
+    return {
+        // results: checkClearances() entries
+        show(results) {
+            const summary = document.createElement('p');
+            summary.textContent = results.length
+                ? `${results.length} clearance problems; click one to fly to it`
+                : `No clashes: all ${clash.rules.length} clearance rules are met`;
+
+            const table = createTable(['Item', 'Against', 'Problem'], results.map((r) => [r.a, r.b, describe(r)]));
+            results.forEach((result, i) => {
+                const row = table.tBodies[0].rows[i];
+                row.className = 'flagged clickable';
+                row.addEventListener('click', () => onSelect(result));
+            });
+            output.replaceChildren(summary, ...(results.length ? [table] : []));
+        }
+    };
+}
@@ -0,0 +1,196 @@
+import { MODULE_LIBRARY } from './moduleLibrary.js';
+
+// --- Configuration ---
+// The canopy design and every analysis setting, kept apart from the site scenario (src/scenario.js)
+// so one design can be dropped onto many sites. createConfig() hands out an independent copy with
+// the default module's datasheet applied, ready to build in the browser or in Node.
+
+const DEFAULTS = {
+    structure: {
+        length: 96, // meters
+        width: 12, // meters per port
+        columnSpacing: 6, // meters
+        eavesHeight: 5, // meters
+        ridgeHeight: 5.9, // meters, ridge or high edge (mono-pitch, butterfly)
+        roofType: 'duo', // see ROOF_TYPES in src/roofForms.js
+        rackTilt: 10, // degrees, racking rows on a flat roof
+        rackSpacing: 0.8, // meters, clear gap on plan between flat-roof racking rows
+        braceGap: 1.5, // meters, widest open air gap braced between parallel spans (nextTo places at it)
+        rafterColor: 0x1a1a1a, // Black steel
+        roofSheetColor: 0x222222, // Dark grey/black trapezoidal
+    },
+    parking: {
+        // Design standards every layout is checked against (m); aisles are one-way, per layout
+        standards: {
+            car: { bayWidth: 2.4, bayLength: 4.8, parallelLength: 6.0, aisle: { 90: 6.0, 60: 4.2, 45: 3.6, parallel: 3.0 } },
+            coach: { bayWidth: 3.5, bayLength: 12, parallelLength: 15, aisle: { 90: 14, 60: 10, 45: 8, parallel: 4.0 } },
+            columnClearance: 0.3 // Kept clear of every column face
+        },
+        car: {
+            width: 2.4,
+            length: 4.8,
+            parallelLength: 6.0, // Bay length along the aisle for parallel parking
+            layout: '90', // See PARKING_LAYOUTS in src/parkingLayout.js
+            rows: 1, // A 90° row and its aisle fit inside the columns of a 12m span
+            aisleWidth: 6.0,
+            endClearance: 2, // Kept free at each end of the canopy
+            lineColor: 0xffffff,
+            lineWidth: 0.1,
+            colors: [
+                { name: 'Dark Grey', color: 0x444444 } // Only use dark grey
+            ]
+        },
+        coach: {
+            width: 3.5,
+            length: 12,
+            parallelLength: 15,
+            layout: 'parallel',
+            rows: 2,
+            aisleWidth: 4.0,
+            endClearance: 2,
+            lineColor: 0xffffff,
+            lineWidth: 0.15,
+            colors: [
+                { name: 'Dark Grey', color: 0x444444 } // Only use dark grey
+            ]
+        }
+    },
+    // Coach swept-path check (src/sweptPath.js), driven from the access road into every coach bay
+    sweptPath: {
+        vehicle: {
+            wheelbase: 6.1, // m, front axle to the middle of the rear bogie
+            frontOverhang: 2.7,
+            rearOverhang: 3.2,
+            width: 2.55,
+            height: 3.7, // Braces higher than this are driven under
+            maxSteer: 40 // degrees at the front wheels
+        },
+        margin: 0.3, // m kept clear all round the body
+        approach: 6, // m from the canopy end back to the rear axle at the start
+        step: 0.2, // m travelled between poses
+        lookahead: 5, // m, pure-pursuit steering target ahead on the path
+        tolerance: { position: 0.3, heading: 5 }, // m and degrees off the bay where it stops
+        speed: 4 // m/s when played back
+    },
+    // Orthographic views, section cut and image export (src/orthoViews.js)
+    views: {
+        section: {
+            enabled: false,
+            structure: null, // Canopy name; the first canopy when unset or no longer there
+            frame: 1, // Frame line the cut is made beyond, 1-based
+            reverse: false // Keep the other side of the cut
+        },
+        imageScale: 2 // Exported image size as a multiple of the screen
+    },
+    // Bookmark flythrough and fixed-size renders (src/flythrough.js); the bookmarks themselves
+    // belong to the site scenario
+    camera: {
+        flythrough: {
+            secondsPerLeg: 5, // Time from one bookmark to the next
+            loop: false, // Fly back to the first bookmark at the end
+            fps: 30 // Exported frame sequences
+        },
+        render: {
+            size: '3840x2160' // See RENDER_SIZES in src/cameraPanel.js
+        }
+    },
+    // Site clearance rules (src/clashDetection.js): categories a and b, 'plan' gap or 'headroom'
+    // of b above a, in metres; checked whenever the layout changes
+    clash: {
+        rules: [
+            { a: 'car', b: 'column', type: 'plan', clearance: 0.3 },
+            { a: 'coach', b: 'column', type: 'plan', clearance: 0.5 },
+            { a: 'coach', b: 'rafter', type: 'headroom', clearance: 0.5 }, // Eaves
+            { a: 'coach', b: 'brace', type: 'headroom', clearance: 0.5 },
+            { a: 'container', b: 'pitch', type: 'plan', clearance: 1.5 },
+            { a: 'container', b: 'column', type: 'plan', clearance: 1.0 },
+            { a: 'tree', b: 'roof', type: 'plan', clearance: 2.0 },
+            { a: 'tree', b: 'container', type: 'plan', clearance: 1.0 },
+            { a: 'fence', b: 'road', type: 'plan', clearance: 1.0 }
+        ]
+    },
+    solar: {
+        moduleId: 'trina-tsm-neg9r25-445', // Datasheet in src/moduleLibrary.js
+        model: 'Trina TSM-NEG9R.25',
+        wattPeak: 445, // W per module at STC
+        width: 1.134, // meters
+        length: 1.762, // meters
+        orientation: 'portrait', // long side down the slope, or 'landscape'
+        autoFit: true, // fill the slope; false uses rowsPerSlope/panelsPerRow as given
+        rowsPerSlope: 3,
+        panelsPerRow: 83,
+        gapX: 0.03, // Increased gap slightly for visibility
+        gapY: 0.05,
+        edgeClearance: 0.2, // meters, at each gable end of the roof sheet
+        eavesClearance: 0.2, // meters, from the eaves edge of the roof sheet
+        ridgeClearance: 0.3, // meters, below the ridge line
+        color: 0x1e365c, // Deep blue/black
+        frameColor: 0x888888 // Lighter grey for visible frame edge
+    },
+    vehicles: {
+        carCount: 30,
+        coachCount: 6
+    },
+    random: {
+        seed: 1 // Vehicle occupancy and tree placement; shared in the URL
+    },
+    site: {
+        latitude: 51.5, // degrees north
+        longitude: -0.13, // degrees east
+        utcOffset: 1 // hours, local clock time at the site
+    },
+    sun: {
+        date: '2026-06-21', // YYYY-MM-DD
+        minutes: 13 * 60, // local time, minutes after midnight
+        playSpeed: 60 // simulated minutes per second when playing
+    },
+    electrical: {
+        inverterId: 'huawei-sun2000-100ktl-m2', // See INVERTER_LIBRARY in src/stringDesign.js
+        modulesPerString: 0, // 0 = longest string the inverter window allows
+        minAmbient: -10, // °C, coldest site temperature (sets Voc cold)
+        maxCellTemp: 70 // °C, hottest cell temperature (sets Vmp hot)
+    },
+    cabling: {
+        crossSection: 6, // mm² copper
+        resistivity: 0.0216, // Ω·mm²/m, copper at 70°C conductor temperature
+        slack: 5, // % added to routed length for terminations and drops
+        maxDropPercent: 1, // % of string Vmp
+        inverterZ: 0, // meters, along the storage container's east wall
+        inverterHeight: 1.5 // meters above ground
+    },
+    loads: {
+        windPressure: 0.6, // kN/m², peak velocity pressure x net pressure coefficient
+        snow: 0.5, // kN/m² on plan
+        roofSheetWeight: 0.08, // kN/m², trapezoidal sheet and purlins
+        gammaG: 1.35, // Partial factor, permanent
+        gammaQ: 1.5, // Partial factor, variable
+        psiWind: 0.6, // Combination factor when wind accompanies
+        psiSnow: 0.5, // Combination factor when snow accompanies
+        fy: 355, // N/mm², steel grade S355
+        columnSection: 'UC 203x203x46', // See SECTION_LIBRARY in src/structuralCheck.js
+        rafterSection: 'UB 305x165x40',
+        braceSection: 'RHS 200x150x8'
+    },
+    yield: {
+        losses: 14, // % system losses (inverter, cabling, temperature, soiling)
+        albedo: 0.2, // ground reflectance (tarmac/grass)
+        // Ratio of measured to clear-sky irradiation per month (Jan..Dec), accounts for cloud
+        clearSkyRatio: [0.38, 0.42, 0.46, 0.52, 0.55, 0.55, 0.55, 0.53, 0.50, 0.45, 0.40, 0.36]
+    }
+};
+
+// Copies a module datasheet (src/moduleLibrary.js) into config.solar
+export function applyModule(config, sheet) {
+    config.solar.moduleId = sheet.id;
+    config.solar.datasheet = sheet;
+    config.solar.model = `${sheet.manufacturer.split(' ')[0]} ${sheet.model}`;
+    config.solar.wattPeak = sheet.wattPeak;
+    config.solar.length = sheet.dimensions.length / 1000;
+    config.solar.width = sheet.dimensions.width / 1000;
+}
+
+export function createConfig() {
+    const config = structuredClone(DEFAULTS);
+    applyModule(config, MODULE_LIBRARY.find((sheet) => sheet.id === config.solar.moduleId));
+    return config;
+}
@@ -0,0 +1,79 @@
+import { computeSunPosition, siteTimeToDate } from './solarPosition.js';
+
+// --- Energy Yield ---
+// Clear-sky irradiance scaled by monthly clear-sky ratios, transposed onto each roof slope.
+// Angles in degrees, azimuth clockwise from north (90 = east, 270 = west).
+
+const DEG = Math.PI / 180;
+const SOLAR_CONSTANT = 1353; // W/m², as used by the Meinel clear-sky model
+
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Clear-sky beam/diffuse/global irradiance (W/m²) for a sun elevation.
+export function clearSkyIrradiance(elevation) {
+    if (elevation <= 0) return { dni: 0, dhi: 0, ghi: 0 };
+
+    const zenith = 90 - elevation;
+    // Kasten & Young air mass
+    const airMass = 1 / (Math.cos(zenith * DEG) + 0.50572 * Math.pow(96.07995 - zenith, -1.6364));
+    const dni = SOLAR_CONSTANT * Math.pow(0.7, Math.pow(airMass, 0.678));
+    const dhi = 0.1 * dni;
+    const ghi = dni * Math.sin(elevation * DEG) + dhi;
+    return { dni, dhi, ghi };
+}
+
+// Cosine of the angle of incidence between the sun and a tilted surface.
+export function incidenceCosine(sun, tilt, surfaceAzimuth) {
+    const zenith = (90 - sun.elevation) * DEG;
+    return Math.cos(zenith) * Math.cos(tilt * DEG)
+        + Math.sin(zenith) * Math.sin(tilt * DEG) * Math.cos((sun.azimuth - surfaceAzimuth) * DEG);
+}
+
+// Plane-of-array irradiance (W/m²) with an isotropic sky and ground reflection.
+export function planeOfArrayIrradiance(sun, irradiance, tilt, surfaceAzimuth, albedo) {
+    const beam = irradiance.dni * Math.max(0, incidenceCosine(sun, tilt, surfaceAzimuth));
+    const sky = irradiance.dhi * (1 + Math.cos(tilt * DEG)) / 2;
+    const ground = irradiance.ghi * albedo * (1 - Math.cos(tilt * DEG)) / 2;
+    return beam + sky + ground;
+}
+
+// Monthly and annual energy for a set of surfaces.
+// surfaces: [{ tilt, azimuth, kwp, ...labels }] — labels are passed through to the result.
+// options: { latitude, longitude, utcOffset, year, losses (%), clearSkyRatio[12], albedo, stepMinutes }
+export function computeYield(surfaces, options) {
+    const { latitude, longitude, utcOffset, year, losses, clearSkyRatio, albedo, stepMinutes = 15 } = options;
+    const performance = 1 - losses / 100;
+    const stepHours = stepMinutes / 60;
+
+    const results = surfaces.map((surface) => ({ ...surface, monthly: new Array(12).fill(0), annual: 0 }));
+
+    for (let month = 0; month < 12; month++) {
+        const days = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        const monthStr = String(month + 1).padStart(2, '0');
+
+        for (let day = 1; day <= days; day++) {
+            const dateStr = `${year}-${monthStr}-${String(day).padStart(2, '0')}`;
+
+            for (let minutes = stepMinutes / 2; minutes < 24 * 60; minutes += stepMinutes) {
+                const sun = computeSunPosition(siteTimeToDate(dateStr, minutes, utcOffset), latitude, longitude);
+                if (sun.elevation <= 0) continue;
+
+                const irradiance = clearSkyIrradiance(sun.elevation);
+                results.forEach((result) => {
+                    const poa = planeOfArrayIrradiance(sun, irradiance, result.tilt, result.azimuth, albedo);
+                    // kWh = (W/m² / 1000 W/m² at STC) * kWp * hours
+                    result.monthly[month] += (poa / 1000) * result.kwp * stepHours;
+                });
+            }
+        }
+
+        results.forEach((result) => {
+            result.monthly[month] *= clearSkyRatio[month] * performance;
+        });
+    }
+
+    results.forEach((result) => {
+        result.annual = result.monthly.reduce((sum, kwh) => sum + kwh, 0);
+    });
+    return results;
+}
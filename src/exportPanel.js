@@ -0,0 +1,55 @@
+import { createPanel, createField, createButton, createErrorText, downloadFile } from './ui.js';
+import { EXPORT_FORMATS } from './modelExport.js';
+
+// --- Model Export Panel ---
+// Format choice, what to include and the export button.
+// onExport(formatId, options) resolves to the file content for the chosen format.
+
+const INCLUDE_OPTIONS = [
+    ['vehicles', 'Include vehicles', true],
+    ['vegetation', 'Include trees', true],
+    ['environment', 'Include ground, roads & fences', true],
+    ['expandInstances', 'Expand instanced panels (glTF)', false]
+];
+
+export function createExportPanel(onExport) {
+    const { body } = createPanel('Export Model');
+    const options = {};
+
+    const formatSelect = document.createElement('select');
+    EXPORT_FORMATS.forEach((format) => formatSelect.add(new Option(format.label, format.id)));
+    formatSelect.value = EXPORT_FORMATS[0].id;
+    body.appendChild(createField('Format', formatSelect));
+
+    INCLUDE_OPTIONS.forEach(([key, label, checked]) => {
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = checked;
+        options[key] = checked;
+        toggle.addEventListener('change', () => {
+            options[key] = toggle.checked;
+        });
+        body.appendChild(createField(label, toggle));
+    });
+
+    const note = document.createElement('p');
+    note.textContent = 'OBJ carries geometry only; use glTF to keep materials and textures.';
+    const error = createErrorText();
+
+    const exportButton = createButton('Export', async () => {
+        const format = EXPORT_FORMATS.find((f) => f.id === formatSelect.value);
+        exportButton.disabled = true;
+        error.textContent = '';
+        try {
+            const content = await onExport(format.id, { ...options });
+            downloadFile(`solar-carport-site.${format.extension}`, content, format.mimeType);
+        } catch (err) {
+            error.textContent = `Export failed: ${err.message}`;
+        }
+        exportButton.disabled = false;
+    });
+
+    body.appendChild(exportButton);
+    body.appendChild(note);
+    body.appendChild(error);
+}
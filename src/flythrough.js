@@ -0,0 +1,42 @@
+import * as THREE from 'three';
+
+// --- Flythrough ---
+// A camera path through the saved bookmarks, in list order: position and target each follow a
+// centripetal Catmull-Rom curve through the bookmark poses, so the camera passes every bookmark
+// without stopping, and eases in and out at the two ends.
+
+const RAMP_SECONDS = 1.5; // Speeding up at the start and slowing down at the end
+
+// bookmarks: [{ position: [x, y, z], target: [x, y, z] }], at least two; secondsPerLeg: time
+// between bookmarks; loop returns to the first one. Returns { duration (s), poseAt(seconds) }.
+export function createFlythrough(bookmarks, secondsPerLeg, loop) {
+    const curve = (key) => new THREE.CatmullRomCurve3(
+        bookmarks.map((bookmark) => new THREE.Vector3().fromArray(bookmark[key])),
+        loop,
+        'centripetal'
+    );
+    const positions = curve('position');
+    const targets = curve('target');
+    // The curves are parametric per segment, so equal steps of u take equal time on every leg;
+    // the ramps add half their time to each end, so every leg in between takes secondsPerLeg
+    const flying = (loop ? bookmarks.length : bookmarks.length - 1) * secondsPerLeg;
+    const ramp = Math.min(RAMP_SECONDS, flying / 2);
+    const duration = flying + ramp;
+    const speed = 1 / flying; // Share of the path per second between the ramps
+
+    function progress(seconds) {
+        const t = THREE.MathUtils.clamp(seconds, 0, duration);
+        if (t < ramp) return speed * t * t / (2 * ramp);
+        if (t > duration - ramp) return 1 - speed * (duration - t) ** 2 / (2 * ramp);
+        return speed * (t - ramp / 2);
+    }
+
+    return {
+        duration,
+        // { position, target } Vector3s; times past the end hold the last pose
+        poseAt(seconds) {
+            const u = progress(seconds);
+            return { position: positions.getPoint(u), target: targets.getPoint(u) };
+        }
+    };
+}
@@ -0,0 +1,47 @@
+import * as THREE from 'three';
+
+// --- Image Export ---
+// High-resolution PNGs for drawings and marketing, rendered on the page's own canvas so lighting,
+// tone mapping and labels match the screen exactly: either a multiple of the current view, or
+// any camera at a fixed size such as 4K. The screen picks up again on the next frame.
+
+// The drawing buffer is only kept until control returns to the browser, so it is copied now;
+// resolves to { blob, width, height } and rejects when the browser cannot encode an image that size
+function encodeCanvas(canvas) {
+    const { width, height } = canvas;
+    return new Promise((resolve, reject) => canvas.toBlob((blob) => {
+        if (blob) resolve({ blob, width, height });
+        else reject(new Error(`${width} x ${height} px is too large to encode`));
+    }, 'image/png'));
+}
+
+// Renders one frame `scale` times larger in each direction (capped at what the GPU can draw)
+export function renderImage(renderer, scene, camera, scale) {
+    const ratio = renderer.getPixelRatio();
+    const canvas = renderer.domElement;
+    const largest = Math.max(canvas.width, canvas.height) / ratio;
+    const capped = Math.min(scale * ratio, renderer.capabilities.maxTextureSize / largest);
+
+    renderer.setPixelRatio(capped);
+    renderer.render(scene, camera);
+    const image = encodeCanvas(canvas);
+    renderer.setPixelRatio(ratio);
+    return image;
+}
+
+// Renders `camera` (its aspect set to width / height) at exactly width x height pixels, scaled
+// down to what the GPU can draw; the page layout is left alone while the canvas is resized
+export function renderImageAt(renderer, scene, camera, width, height) {
+    const ratio = renderer.getPixelRatio();
+    const canvas = renderer.domElement;
+    const screen = renderer.getSize(new THREE.Vector2());
+    const fit = Math.min(1, renderer.capabilities.maxTextureSize / Math.max(width, height));
+
+    renderer.setPixelRatio(1);
+    renderer.setSize(Math.floor(width * fit), Math.floor(height * fit), false);
+    renderer.render(scene, camera);
+    const image = encodeCanvas(canvas);
+    renderer.setPixelRatio(ratio);
+    renderer.setSize(screen.x, screen.y, false);
+    return image;
+}
@@ -0,0 +1,33 @@
+// --- Info Overlay ---
+// Renders the model summary into the #info box using the same markup the page always had.
+
+function metric(value) {
+    const span = document.createElement('span');
+    span.className = 'key-metric';
+    span.textContent = value;
+    return span;
+}
+
+// parts alternate between plain text and { metric } values
+function line(...parts) {
+    const p = document.createElement('p');
+    parts.forEach((part) => p.append(typeof part === 'string' ? part : metric(part.metric)));
+    return p;
+}
+
+function metres(value) {
+    return `${Number(value.toFixed(2))}m`;
+}
+
+export function renderInfoOverlay(el, summary) {
+    el.replaceChildren(
+        line('Length: ', { metric: metres(summary.length) },
+            ' | Width: ', { metric: `${metres(summary.overallWidth)} (${summary.structureCount} x ${metres(summary.span)} Spans)` }),
+        line('Height: ', { metric: `${summary.eavesHeight.toFixed(1)}m Eaves / ${summary.ridgeHeight.toFixed(1)}m Ridge` }),
+        line('Solar Panels: ', { metric: `${summary.totalPanels} Total` }, ' | ', { metric: `${summary.kwp.toFixed(1)} kWp` }),
+        line(`Layout: ${summary.structureCount} Structures, ${summary.panelsPerRow} Panels/Row, ${summary.rowsPerSlope} Rows/Slope`),
+        line(`Panel Model: ${summary.moduleModel} (${summary.wattPeak} Wp)`),
+        line('Parking: ', { metric: `${summary.carBays} Car` }, ' | ', { metric: `${summary.coachBays} Coach` }, ' Bays'),
+        line(`Vehicles Placed: ${summary.cars} Cars, ${summary.coaches} Coaches`)
+    );
+}
@@ -0,0 +1,27 @@
+import { createButton } from './ui.js';
+
+// --- Inspector ---
+// Details card for the clicked element (see src/selection.js), shown in the #inspector box.
+// details: { title, rows: [[label, value]] } or null to hide the card; onClose clears the selection.
+
+export function renderInspector(el, details, onClose) {
+    el.hidden = !details;
+    if (!details) {
+        el.replaceChildren();
+        return;
+    }
+
+    const title = document.createElement('h2');
+    title.textContent = details.title;
+
+    const table = document.createElement('table');
+    table.className = 'data-table';
+    const tbody = table.createTBody();
+    details.rows.forEach(([label, value]) => {
+        const tr = tbody.insertRow();
+        tr.insertCell().textContent = label;
+        tr.insertCell().textContent = value;
+    });
+
+    el.replaceChildren(title, table, createButton('Close', onClose));
+}
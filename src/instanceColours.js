@@ -0,0 +1,34 @@
+import * as THREE from 'three';
+
+// --- Instance Colour Overlays ---
+// The panel texture is near-black, so per-instance colours would barely show through it.
+// While an overlay is active the InstancedMesh swaps to a plain material and restores it afterwards.
+
+const overlayMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.6, metalness: 0.1 });
+
+// colourFn(index) returns a THREE.Color for each instance.
+export function applyInstanceColours(mesh, colourFn) {
+    if (!mesh.userData.originalMaterial) {
+        mesh.userData.originalMaterial = mesh.material;
+    }
+    mesh.material = overlayMaterial;
+
+    for (let i = 0; i < mesh.count; i++) {
+        mesh.setColorAt(i, colourFn(i));
+    }
+    if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+}
+
+export function clearInstanceColours(mesh) {
+    if (!mesh.userData.originalMaterial) return;
+
+    mesh.material = mesh.userData.originalMaterial;
+    delete mesh.userData.originalMaterial;
+
+    // instanceColor also tints the textured material: reset to white so it renders unchanged
+    const white = new THREE.Color(0xffffff);
+    for (let i = 0; i < mesh.count; i++) {
+        mesh.setColorAt(i, white);
+    }
+    if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+}
@@ -0,0 +1,75 @@
+import { createPanel, createField, createNumberInput, createTable, createErrorText } from './ui.js';
+import { ORIENTATIONS } from './panelLayout.js';
+
+// --- Panel Layout Panel ---
+// Orientation, gaps and clearances for the layout solver, plus its per-slope report.
+// `solar` is CONFIG.solar; validate() returns solver errors for the edited values.
+
+const CLEARANCE_FIELDS = [
+    { key: 'gapX', label: 'Gap along row (m)' },
+    { key: 'gapY', label: 'Gap between rows (m)' },
+    { key: 'edgeClearance', label: 'Gable clearance (m)' },
+    { key: 'eavesClearance', label: 'Eaves clearance (m)' },
+    { key: 'ridgeClearance', label: 'Ridge clearance (m)' }
+];
+
+export function createLayoutPanel(solar, onApply, validate) {
+    const { body } = createPanel('Panel Layout');
+    const errorText = createErrorText();
+
+    // Applies one edit, rolling it back if the solver refuses the layout
+    const apply = (key, value) => {
+        const previous = solar[key];
+        solar[key] = value;
+        const errors = validate();
+        errorText.textContent = errors.join('. ');
+        if (errors.length > 0) {
+            solar[key] = previous;
+            return;
+        }
+        onApply();
+    };
+
+    const orientation = document.createElement('select');
+    ORIENTATIONS.forEach((name) => orientation.add(new Option(name, name)));
+    orientation.value = solar.orientation;
+    orientation.addEventListener('change', () => apply('orientation', orientation.value));
+    body.appendChild(createField('Orientation', orientation));
+
+    const autoFit = document.createElement('input');
+    autoFit.type = 'checkbox';
+    autoFit.checked = solar.autoFit;
+    autoFit.addEventListener('change', () => apply('autoFit', autoFit.checked));
+    body.appendChild(createField('Auto-fit grid', autoFit));
+
+    CLEARANCE_FIELDS.forEach(({ key, label }) => {
+        body.appendChild(createField(label, createNumberInput({
+            value: solar[key],
+            min: 0,
+            max: 2,
+            step: 0.01,
+            onChange: (value) => {
+                if (Number.isFinite(value) && value >= 0) apply(key, value);
+            }
+        })));
+    });
+
+    body.appendChild(errorText);
+    const report = document.createElement('div');
+    body.appendChild(report);
+
+    return {
+        // layout: solver result for one slope (both slopes of a structure are identical)
+        show(layout) {
+            autoFit.checked = solar.autoFit;
+            orientation.value = solar.orientation;
+            report.replaceChildren(createTable(['Per slope', ''], [
+                ['Grid', `${layout.rows} rows x ${layout.cols} (${layout.orientation})`],
+                ['Max fit', `${layout.maxRows} rows x ${layout.maxCols}`],
+                ['Roof sheet', `${layout.roofArea.toFixed(1)} m²`],
+                ['Module area', `${layout.usedArea.toFixed(1)} m²`],
+                ['Unused', `${layout.unusedArea.toFixed(1)} m² (${(layout.unusedArea / layout.roofArea * 100).toFixed(1)}%)`]
+            ]));
+        }
+    };
+}
@@ -0,0 +1,94 @@
+import * as THREE from 'three';
+
+// --- Measure ---
+// Geometry behind the on-model measure tool: snapping a click to the mesh it landed on, and the
+// distance, vertical clearance and area between picked points. Points are world Vector3s (m).
+
+const COPLANAR = 0.999; // Normals closer than this belong to one flat face
+
+// World corners of the triangle a raycast hit landed on, with their vertex indices
+function hitTriangle(hit) {
+    const { object, face } = hit;
+    const position = object.geometry.attributes.position;
+    const matrix = object.matrixWorld.clone();
+    if (hit.instanceId !== undefined) {
+        const instance = new THREE.Matrix4();
+        object.getMatrixAt(hit.instanceId, instance);
+        matrix.multiply(instance);
+    }
+    const indices = [face.a, face.b, face.c];
+    return { indices, corners: indices.map((i) => new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(matrix)) };
+}
+
+// False for the diagonal of a flat quad (a box side, a ground plane): the other triangle on that
+// side, k being this one's third vertex, lies in the same plane. Only indexed geometry shares
+// vertices, so every side of a non-indexed triangle counts as an edge.
+function isFeatureEdge(geometry, [i, j, k], normal) {
+    const index = geometry.index;
+    if (!index) return true;
+    const position = geometry.attributes.position;
+    const triangle = new THREE.Triangle();
+    const other = new THREE.Vector3();
+    for (let t = 0; t < index.count; t += 3) {
+        const tri = [index.getX(t), index.getX(t + 1), index.getX(t + 2)];
+        if (!tri.includes(i) || !tri.includes(j) || tri.includes(k)) continue;
+        triangle.setFromAttributeAndIndices(position, tri[0], tri[1], tri[2]).getNormal(other);
+        if (Math.abs(other.dot(normal)) >= COPLANAR) return false;
+    }
+    return true;
+}
+
+// Snaps a hit to the nearest corner of the face it landed on, else to the nearest point on one of
+// its edges, when within radius (m); otherwise keeps the hit point.
+// Returns { point: Vector3, snap: 'vertex' | 'edge' | 'surface' }.
+export function snapHit(hit, radius) {
+    if (!hit.face) return { point: hit.point.clone(), snap: 'surface' };
+    const { indices, corners } = hitTriangle(hit);
+
+    const vertex = corners.reduce((best, c) => (c.distanceTo(hit.point) < best.distanceTo(hit.point) ? c : best));
+    if (vertex.distanceTo(hit.point) <= radius) return { point: vertex, snap: 'vertex' };
+
+    const { position } = hit.object.geometry.attributes;
+    const localNormal = new THREE.Triangle().setFromAttributeAndIndices(position, ...indices).getNormal(new THREE.Vector3());
+    let best = null;
+    for (let n = 0; n < 3; n++) {
+        const m = (n + 1) % 3;
+        if (!isFeatureEdge(hit.object.geometry, [indices[n], indices[m], indices[3 - n - m]], localNormal)) continue;
+        const point = new THREE.Line3(corners[n], corners[m]).closestPointToPoint(hit.point, true, new THREE.Vector3());
+        if (!best || point.distanceTo(hit.point) < best.distanceTo(hit.point)) best = point;
+    }
+    if (best && best.distanceTo(hit.point) <= radius) return { point: best, snap: 'edge' };
+    return { point: hit.point.clone(), snap: 'surface' };
+}
+
+// Straight-line distance with its level and vertical parts
+export function measureDistance(a, b) {
+    return {
+        distance: a.distanceTo(b),
+        horizontal: Math.hypot(b.x - a.x, b.z - a.z),
+        vertical: Math.abs(b.y - a.y)
+    };
+}
+
+// Clear height from a point straight up to the first surface above it (e.g. a coach roof to the
+// rafters), or down to the first one below when nothing is above (e.g. a soffit to the ground).
+// roots: objects to test against. Returns { from, to, clearance, direction: 'up' | 'down' } or null.
+export function verticalClearance(point, roots) {
+    const lift = 0.01; // Start just off the clicked surface
+    for (const direction of ['up', 'down']) {
+        const dir = new THREE.Vector3(0, direction === 'up' ? 1 : -1, 0);
+        const raycaster = new THREE.Raycaster(point.clone().addScaledVector(dir, lift), dir);
+        const hit = raycaster.intersectObjects(roots, true).find((h) => h.object.isMesh);
+        if (hit) return { from: point.clone(), to: hit.point.clone(), clearance: Math.abs(hit.point.y - point.y), direction };
+    }
+    return null;
+}
+
+// Area enclosed by points in order (m²), in whatever plane they lie; plan area for points on the ground
+export function polygonArea(points) {
+    const normal = new THREE.Vector3();
+    points.forEach((p, i) => {
+        normal.add(new THREE.Vector3().crossVectors(p, points[(i + 1) % points.length]));
+    });
+    return normal.length() / 2;
+}
@@ -0,0 +1,51 @@
+import { createPanel, createField, createButton, createTable } from './ui.js';
+
+// --- Measure Panel ---
+// Picks the measure mode, lists the measurements taken and toggles the design dimensions.
+// onMode(mode) switches tools ('off' hands clicks back to the inspector), onFinish closes an
+// area, onClear removes every measurement and onShowDimensions(visible) toggles the annotations.
+
+export const MEASURE_MODES = [
+    { id: 'off', label: 'Off (inspect)', hint: '' },
+    { id: 'distance', label: 'Point to point', hint: 'Click two points; corners and edges snap' },
+    { id: 'clearance', label: 'Vertical clearance', hint: 'Click a surface to measure the clear height above it' },
+    { id: 'area', label: 'Area', hint: 'Click the corners, then Finish or click the first corner again' }
+];
+
+export function createMeasurePanel(onMode, onFinish, onClear, onShowDimensions) {
+    const { body } = createPanel('Measure');
+
+    const hint = document.createElement('p');
+    const modeSelect = document.createElement('select');
+    MEASURE_MODES.forEach((mode) => modeSelect.appendChild(new Option(mode.label, mode.id)));
+    modeSelect.addEventListener('change', () => {
+        hint.textContent = MEASURE_MODES.find((mode) => mode.id === modeSelect.value).hint;
+        onMode(modeSelect.value);
+    });
+    body.appendChild(createField('Tool', modeSelect));
+    body.appendChild(hint);
+
+    body.appendChild(createButton('Finish area', () => onFinish()));
+    body.appendChild(createButton('Clear', () => onClear()));
+
+    const dimensionToggle = document.createElement('input');
+    dimensionToggle.type = 'checkbox';
+    dimensionToggle.checked = true;
+    dimensionToggle.addEventListener('change', () => onShowDimensions(dimensionToggle.checked));
+    body.appendChild(createField('Show design dimensions', dimensionToggle));
+
+    const output = document.createElement('div');
+    body.appendChild(output);
+
+    return {
+        // measurements: [{ type (mode label), text }]; pending: points clicked towards the next one
+        show(measurements, pending) {
+            const summary = document.createElement('p');
+            summary.textContent = pending > 0
+                ? `${measurements.length} measurements, ${pending} points picked`
+                : `${measurements.length} measurements`;
+            const table = createTable(['#', 'Type', 'Result'], measurements.map((m, i) => [i + 1, m.type, m.text]));
+            output.replaceChildren(summary, ...(measurements.length ? [table] : []));
+        }
+    };
+}
@@ -0,0 +1,85 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+
+// --- Model Export ---
+// Copies the live site groups into a standalone scene and serialises it to glTF/GLB or OBJ.
+// Copies share geometry and materials with the live model, so nothing here may dispose them.
+
+export const EXPORT_FORMATS = [
+    { id: 'glb', label: 'glTF binary (.glb)', extension: 'glb', mimeType: 'model/gltf-binary' },
+    { id: 'gltf', label: 'glTF (.gltf)', extension: 'gltf', mimeType: 'model/gltf+json' },
+    { id: 'obj', label: 'Wavefront OBJ (.obj)', extension: 'obj', mimeType: 'text/plain' }
+];
+
+// Instanced panels become one mesh per module sharing a single geometry, for tools
+// without EXT_mesh_gpu_instancing (and for OBJ, which has no instancing at all).
+function expandInstances(root) {
+    const instanced = [];
+    root.traverse((child) => {
+        if (child.isInstancedMesh) instanced.push(child);
+    });
+
+    instanced.forEach((mesh) => {
+        const group = new THREE.Group();
+        group.name = mesh.name || 'Instances';
+        group.position.copy(mesh.position);
+        group.quaternion.copy(mesh.quaternion);
+        group.scale.copy(mesh.scale);
+
+        const matrix = new THREE.Matrix4();
+        for (let i = 0; i < mesh.count; i++) {
+            const copy = new THREE.Mesh(mesh.geometry, mesh.material);
+            mesh.getMatrixAt(i, matrix);
+            matrix.decompose(copy.position, copy.quaternion, copy.scale);
+            copy.name = `${group.name} ${i + 1}`;
+            group.add(copy);
+        }
+        mesh.parent.add(group);
+        mesh.removeFromParent();
+    });
+}
+
+// sources: [{ object, name, category }] — category null is always exported, otherwise
+// 'vegetation' / 'environment' and the flags in options decide. Vehicles are recognised
+// by userData.vehicle wherever they sit.
+// options: { vehicles, vegetation, environment, expandInstances }
+export function buildExportScene(sources, options) {
+    const exportScene = new THREE.Scene();
+    exportScene.name = 'Solar carport site';
+
+    sources.forEach(({ object, name, category }) => {
+        if (category && !options[category]) return;
+        if (!object.visible) return;
+
+        object.updateMatrixWorld(true);
+        const copy = object.clone();
+        copy.name = name;
+        object.matrixWorld.decompose(copy.position, copy.quaternion, copy.scale);
+
+        const removed = [];
+        copy.traverse((child) => {
+            if (child === copy) return;
+            if (!child.visible || (!options.vehicles && child.userData.vehicle)) removed.push(child);
+        });
+        removed.forEach((child) => child.removeFromParent());
+
+        exportScene.add(copy);
+    });
+
+    if (options.expandInstances) expandInstances(exportScene);
+    return exportScene;
+}
+
+// Resolves to an ArrayBuffer (glb), a JSON string (gltf) or OBJ text, ready for a Blob.
+export async function exportModel(exportScene, formatId) {
+    if (formatId === 'obj') {
+        expandInstances(exportScene);
+        return new OBJExporter().parse(exportScene);
+    }
+    const result = await new GLTFExporter().parseAsync(exportScene, {
+        binary: formatId === 'glb',
+        onlyVisible: true
+    });
+    return formatId === 'glb' ? result : JSON.stringify(result);
+}
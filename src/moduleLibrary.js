@@ -0,0 +1,102 @@
+// --- PV Module Library ---
+// Datasheet values at STC, in the same JSON shape accepted by "Load datasheet".
+// Dimensions in mm, weight in kg, temperature coefficients in %/°C.
+
+export const MODULE_LIBRARY = [
+    {
+        id: 'trina-tsm-neg9r25-445',
+        manufacturer: 'Trina Solar',
+        model: 'TSM-NEG9R.25',
+        wattPeak: 445,
+        dimensions: { length: 1762, width: 1134, thickness: 30 },
+        weight: 21.0,
+        voc: 53.3,
+        isc: 10.59,
+        vmp: 44.8,
+        imp: 9.94,
+        tempCoeffPmax: -0.30,
+        tempCoeffVoc: -0.25,
+        tempCoeffIsc: 0.04
+    },
+    {
+        id: 'ja-jam54d40-440',
+        manufacturer: 'JA Solar',
+        model: 'JAM54D40 440/GB',
+        wattPeak: 440,
+        dimensions: { length: 1762, width: 1134, thickness: 30 },
+        weight: 24.0,
+        voc: 39.32,
+        isc: 14.07,
+        vmp: 32.8,
+        imp: 13.42,
+        tempCoeffPmax: -0.29,
+        tempCoeffVoc: -0.25,
+        tempCoeffIsc: 0.045
+    },
+    {
+        id: 'longi-lr5-54hth-430',
+        manufacturer: 'LONGi',
+        model: 'LR5-54HTH-430M',
+        wattPeak: 430,
+        dimensions: { length: 1722, width: 1134, thickness: 30 },
+        weight: 21.6,
+        voc: 39.25,
+        isc: 13.78,
+        vmp: 32.95,
+        imp: 13.05,
+        tempCoeffPmax: -0.29,
+        tempCoeffVoc: -0.23,
+        tempCoeffIsc: 0.05
+    },
+    {
+        id: 'jinko-jkm580n-72hl4-v',
+        manufacturer: 'Jinko Solar',
+        model: 'JKM580N-72HL4-V',
+        wattPeak: 580,
+        dimensions: { length: 2278, width: 1134, thickness: 30 },
+        weight: 28.0,
+        voc: 51.27,
+        isc: 14.31,
+        vmp: 42.43,
+        imp: 13.67,
+        tempCoeffPmax: -0.29,
+        tempCoeffVoc: -0.25,
+        tempCoeffIsc: 0.045
+    }
+];
+
+// Module length and width bounds (mm); anything smaller was probably entered in metres
+const MIN_DIMENSION = 500;
+const MAX_DIMENSION = 3000;
+
+const REQUIRED_NUMBERS = ['wattPeak', 'weight', 'voc', 'isc', 'vmp', 'imp', 'tempCoeffPmax', 'tempCoeffVoc', 'tempCoeffIsc'];
+
+// Checks an imported datasheet; returns a list of problems (empty when usable).
+export function validateDatasheet(sheet) {
+    const errors = [];
+    if (!sheet || typeof sheet !== 'object') return ['Datasheet must be a JSON object'];
+
+    if (typeof sheet.manufacturer !== 'string' || typeof sheet.model !== 'string') {
+        errors.push('manufacturer and model are required strings');
+    }
+    REQUIRED_NUMBERS.forEach((key) => {
+        if (!Number.isFinite(sheet[key])) errors.push(`${key} must be a number`);
+    });
+
+    const dims = sheet.dimensions || {};
+    ['length', 'width'].forEach((key) => {
+        const value = dims[key];
+        if (!Number.isFinite(value) || value < MIN_DIMENSION || value > MAX_DIMENSION) {
+            const hint = value > 0 && value * 1000 >= MIN_DIMENSION && value * 1000 <= MAX_DIMENSION
+                ? `; ${value} looks like metres, enter ${Math.round(value * 1000)}` : '';
+            errors.push(`dimensions.${key} must be ${MIN_DIMENSION}-${MAX_DIMENSION} mm${hint}`);
+        }
+    });
+    if (sheet.vmp >= sheet.voc) errors.push('vmp must be below voc');
+    if (sheet.imp >= sheet.isc) errors.push('imp must be below isc');
+    return errors;
+}
+
+export function datasheetLabel(sheet) {
+    return `${sheet.manufacturer} ${sheet.model} (${sheet.wattPeak} Wp)`;
+}
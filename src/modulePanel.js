@@ -0,0 +1,81 @@
+import { createPanel, createField, createTable, createErrorText } from './ui.js';
+import { MODULE_LIBRARY, validateDatasheet, datasheetLabel } from './moduleLibrary.js';
+
+// --- PV Module Panel ---
+// Selects the module used by the canopy. Extra datasheets can be loaded from JSON files
+// and are appended to the list for this session. onSelect(datasheet) applies the choice.
+
+function datasheetRows(sheet) {
+    const { length, width, thickness } = sheet.dimensions;
+    return [
+        ['Dimensions', `${length} x ${width}${thickness ? ` x ${thickness}` : ''} mm`],
+        ['Power (Wp)', sheet.wattPeak],
+        ['Voc / Isc', `${sheet.voc} V / ${sheet.isc} A`],
+        ['Vmp / Imp', `${sheet.vmp} V / ${sheet.imp} A`],
+        ['Temp. coeff. Pmax / Voc / Isc', `${sheet.tempCoeffPmax} / ${sheet.tempCoeffVoc} / ${sheet.tempCoeffIsc} %/°C`],
+        ['Weight', `${sheet.weight} kg`]
+    ];
+}
+
+export function createModulePanel(initialId, onSelect) {
+    const { body } = createPanel('PV Module');
+    const library = [...MODULE_LIBRARY];
+
+    const select = document.createElement('select');
+    const details = document.createElement('div');
+    const errorText = createErrorText();
+
+    const showDetails = (sheet) => {
+        details.replaceChildren(createTable(['Datasheet', ''], datasheetRows(sheet)));
+    };
+
+    const addOption = (sheet) => select.add(new Option(datasheetLabel(sheet), sheet.id));
+    library.forEach(addOption);
+    select.value = initialId;
+    select.addEventListener('change', () => {
+        const sheet = library.find((s) => s.id === select.value);
+        showDetails(sheet);
+        onSelect(sheet);
+    });
+    body.appendChild(createField('Module', select));
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        let sheet;
+        try {
+            sheet = JSON.parse(await file.text());
+        } catch (err) {
+            errorText.textContent = `Could not parse ${file.name}: ${err.message}`;
+            return;
+        }
+        const errors = validateDatasheet(sheet);
+        errorText.textContent = errors.join('. ');
+        if (errors.length > 0) return;
+
+        // Ids are the select's option values, so an import may not reuse one
+        const taken = (id) => library.some((s) => s.id === id);
+        if (sheet.id && taken(sheet.id)) {
+            errorText.textContent = `A module with id "${sheet.id}" is already in the list`;
+            return;
+        }
+        for (let n = library.length; !sheet.id; n++) {
+            if (!taken(`custom-${n}`)) sheet.id = `custom-${n}`;
+        }
+        library.push(sheet);
+        addOption(sheet);
+        select.value = sheet.id;
+        showDetails(sheet);
+        onSelect(sheet);
+    });
+    body.appendChild(createField('Load datasheet', fileInput));
+    body.appendChild(errorText);
+    body.appendChild(details);
+
+    showDetails(library.find((s) => s.id === initialId));
+}
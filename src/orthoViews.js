@@ -0,0 +1,81 @@
+import * as THREE from 'three';
+import { footprintToWorld } from './scenario.js';
+
+// --- Orthographic Views ---
+// Named drawing views and section cuts. Directions are the way the camera looks in world axes
+// (+X east, +Y up, +Z south), so the north elevation looks south at the north face. The plan is
+// drawn north up: OrbitControls keeps +Y as the camera's up, so looking straight down leaves
+// the camera a hair to the south of its target.
+
+export const VIEWS = [
+    { id: 'perspective', label: 'Perspective' },
+    { id: 'plan', label: 'Plan', direction: [0, -1, 0] },
+    { id: 'north', label: 'North elevation', direction: [0, 0, 1] },
+    { id: 'south', label: 'South elevation', direction: [0, 0, -1] },
+    { id: 'east', label: 'East elevation', direction: [-1, 0, 0] },
+    { id: 'west', label: 'West elevation', direction: [1, 0, 0] },
+    { id: 'section', label: 'Section' } // Looks along the section plane's normal
+];
+
+const MARGIN = 1.1; // Frame around the fitted extents
+
+// Points the camera along direction at target and sizes its frustum so the whole box is in view.
+// box: world Box3; target: point the view centres on (default the box centre), e.g. on a cut.
+export function fitOrthographic(camera, box, direction, aspect, target = box.getCenter(new THREE.Vector3())) {
+    const radius = box.getBoundingSphere(new THREE.Sphere()).radius;
+    const distance = radius + target.distanceTo(box.getCenter(new THREE.Vector3())) + 10;
+    camera.position.copy(target).addScaledVector(direction, -distance);
+    if (Math.abs(direction.y) > 0.999) camera.position.z += distance * 1e-4;
+    camera.lookAt(target);
+    camera.updateMatrixWorld();
+
+    // Extents across and up the screen, from the box corners in camera axes
+    const toCamera = camera.matrixWorldInverse;
+    let halfWidth = 0;
+    let halfHeight = 0;
+    for (let i = 0; i < 8; i++) {
+        const corner = new THREE.Vector3(
+            i & 1 ? box.max.x : box.min.x,
+            i & 2 ? box.max.y : box.min.y,
+            i & 4 ? box.max.z : box.min.z
+        ).applyMatrix4(toCamera);
+        halfWidth = Math.max(halfWidth, Math.abs(corner.x));
+        halfHeight = Math.max(halfHeight, Math.abs(corner.y));
+    }
+    const half = Math.max(halfHeight, halfWidth / aspect) * MARGIN;
+    camera.top = half;
+    camera.bottom = -half;
+    setOrthographicAspect(camera, aspect);
+    camera.near = 0.1;
+    camera.far = 2 * distance + 2 * radius;
+    camera.zoom = 1;
+    camera.updateProjectionMatrix();
+}
+
+// Keeps the frustum height and widens or narrows it to the viewport
+export function setOrthographicAspect(camera, aspect) {
+    const half = (camera.top - camera.bottom) / 2;
+    camera.left = -half * aspect;
+    camera.right = half * aspect;
+    camera.updateProjectionMatrix();
+}
+
+// Vertical cut across a canopy just beyond one of its frame lines, keeping that frame and the
+// canopy behind it. structure: a port's userData.structure; frame: frame line index; reverse
+// keeps the part on the other side instead. offset: m from the frame line to the cut.
+// Returns { plane (clipping plane, kept side positive), point (on the cut, at ground level on the
+// centre line), direction (to look from the removed side at the cut) }.
+export function sectionCut(structure, frame, reverse, offset) {
+    const { footprint, frameZ } = structure;
+    const origin = footprintToWorld(footprint, 0, 0);
+    const unit = footprintToWorld(footprint, 0, 1);
+    const along = new THREE.Vector3(unit.x - origin.x, 0, unit.z - origin.z); // Local +z in world axes
+    const cut = footprintToWorld(footprint, 0, frameZ[frame] + (reverse ? -offset : offset));
+    const point = new THREE.Vector3(cut.x, 0, cut.z);
+    const direction = reverse ? along : along.clone().negate();
+    return {
+        plane: new THREE.Plane().setFromNormalAndCoplanarPoint(direction, point),
+        point,
+        direction
+    };
+}
@@ -0,0 +1,14 @@
+// --- Panel Indexing ---
+// Solar instances are written slope by slope, then row by row up the slope, then along the
+// structure length (the pIdx loops in createStructure). Rows and columns here are 1-based.
+
+export function describePanel(structure, index) {
+    const perSlope = structure.panelsPerRow * structure.rowsPerSlope;
+    const slope = structure.slopes[Math.floor(index / perSlope)];
+    const within = index % perSlope;
+    return {
+        slope: slope.name,
+        row: Math.floor(within / structure.panelsPerRow) + 1,
+        col: (within % structure.panelsPerRow) + 1
+    };
+}
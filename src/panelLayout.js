@@ -0,0 +1,94 @@
+// --- Panel Layout Solver ---
+// Fits a grid of modules onto one roof slope. Works in slope coordinates:
+//   u — distance along the slope, increasing towards the ridge (or high edge)
+//   v — distance along the structure length
+// Rows run along v and are numbered from the eaves upwards; columns run along +v.
+
+export const ORIENTATIONS = ['portrait', 'landscape'];
+
+function maxFit(available, size, gap) {
+    return Math.max(0, Math.floor((available + gap) / (size + gap)));
+}
+
+// options:
+//   slopeExtent [uMin, uMax]    usable roof sheet, eaves edge to ridge line (m)
+//   lengthExtent [vMin, vMax]   roof sheet along the structure (m)
+//   moduleLength, moduleWidth   module long/short side (m)
+//   orientation                 'portrait' (long side down the slope) or 'landscape'
+//   gapX, gapY                  gaps between modules along v / along u (m)
+//   edgeClearance               at each gable end (m)
+//   eavesClearance, ridgeClearance
+//   rows, cols                  explicit grid, or null for the maximum that fits
+//   tilt                        racking angle (rad) for modules tilted up off a level deck;
+//                               each row then takes its plan depth along u
+// Returns the grid, module centre positions and area figures. `ok` is false (with `errors`)
+// when an explicit grid would overhang the roof sheet; no positions are produced then.
+export function solvePanelLayout(options) {
+    const {
+        slopeExtent, lengthExtent, moduleLength, moduleWidth, orientation = 'portrait',
+        gapX, gapY, edgeClearance, eavesClearance, ridgeClearance, rows = null, cols = null, tilt = 0
+    } = options;
+
+    const alongSlope = orientation === 'landscape' ? moduleWidth : moduleLength;
+    const alongLength = orientation === 'landscape' ? moduleLength : moduleWidth;
+    const rowDepth = alongSlope * Math.cos(tilt);
+
+    const uMin = slopeExtent[0] + eavesClearance;
+    const uMax = slopeExtent[1] - ridgeClearance;
+    const vMin = lengthExtent[0] + edgeClearance;
+    const vMax = lengthExtent[1] - edgeClearance;
+
+    const maxRows = maxFit(uMax - uMin, rowDepth, gapY);
+    const maxCols = maxFit(vMax - vMin, alongLength, gapX);
+
+    const errors = [];
+    if (rows !== null && rows > maxRows) {
+        errors.push(`${rows} rows overhang the roof sheet (max ${maxRows} ${orientation})`);
+    }
+    if (cols !== null && cols > maxCols) {
+        errors.push(`${cols} panels per row overhang the roof sheet (max ${maxCols} ${orientation})`);
+    }
+
+    const roofArea = (slopeExtent[1] - slopeExtent[0]) * (lengthExtent[1] - lengthExtent[0]);
+    const result = {
+        ok: errors.length === 0,
+        errors,
+        orientation,
+        alongSlope,
+        alongLength,
+        rowDepth,
+        maxRows,
+        maxCols,
+        rows: 0,
+        cols: 0,
+        positions: [],
+        roofArea,
+        usedArea: 0,
+        unusedArea: roofArea
+    };
+    if (!result.ok) return result;
+
+    result.rows = rows ?? maxRows;
+    result.cols = cols ?? maxCols;
+
+    // Centre the grid in the usable band in both directions
+    const gridDepth = result.rows * rowDepth + Math.max(0, result.rows - 1) * gapY;
+    const gridLength = result.cols * alongLength + Math.max(0, result.cols - 1) * gapX;
+    const u0 = (uMin + uMax) / 2 - gridDepth / 2 + rowDepth / 2;
+    const v0 = (vMin + vMax) / 2 - gridLength / 2 + alongLength / 2;
+
+    for (let row = 0; row < result.rows; row++) {
+        for (let col = 0; col < result.cols; col++) {
+            result.positions.push({
+                row,
+                col,
+                u: u0 + row * (rowDepth + gapY),
+                v: v0 + col * (alongLength + gapX)
+            });
+        }
+    }
+
+    result.usedArea = result.rows * result.cols * moduleLength * moduleWidth;
+    result.unusedArea = roofArea - result.usedArea;
+    return result;
+}
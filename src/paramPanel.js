@@ -0,0 +1,97 @@
+import { createPanel, createField, createNumberInput, createErrorText } from './ui.js';
+import { ROOF_TYPES } from './roofForms.js';
+
+// --- Design Parameters Panel ---
+// Edits CONFIG in place and asks the app to rebuild the canopy.
+// Each field maps onto a CONFIG section/key pair.
+export const PARAM_FIELDS = [
+    { section: 'structure', key: 'width', label: 'Span per port (m)', min: 6, max: 30, step: 0.5 },
+    { section: 'structure', key: 'length', label: 'Length (m)', min: 12, max: 200, step: 1 },
+    { section: 'structure', key: 'columnSpacing', label: 'Column spacing (m)', min: 3, max: 12, step: 0.5 },
+    { section: 'structure', key: 'eavesHeight', label: 'Eaves height (m)', min: 2.5, max: 8, step: 0.1 },
+    { section: 'structure', key: 'ridgeHeight', label: 'Ridge / high edge height (m)', min: 2.5, max: 10, step: 0.1 },
+    { section: 'structure', key: 'rackTilt', label: 'Rack tilt, flat roof (°)', min: 0, max: 35, step: 1 },
+    { section: 'structure', key: 'rackSpacing', label: 'Rack row gap, flat roof (m)', min: 0, max: 5, step: 0.1 },
+    // Typing a grid size switches the layout solver from auto-fit to that explicit grid
+    { section: 'solar', key: 'rowsPerSlope', label: 'Rows per slope', min: 1, max: 100, step: 1, manualGrid: true }, // a long flat roof takes many racking rows
+    { section: 'solar', key: 'panelsPerRow', label: 'Panels per row', min: 1, max: 200, step: 1, manualGrid: true }
+];
+
+// Returns a list of human readable problems, empty when the values can be built.
+export function validateParams(config) {
+    const errors = [];
+    const s = config.structure;
+
+    for (const field of PARAM_FIELDS) {
+        const value = config[field.section][field.key];
+        if (!Number.isFinite(value) || value < field.min || value > field.max) {
+            errors.push(`${field.label} must be between ${field.min} and ${field.max}`);
+        }
+    }
+    if (!ROOF_TYPES.some((type) => type.id === s.roofType)) {
+        errors.push(`Roof type must be one of ${ROOF_TYPES.map((type) => type.id).join(', ')}`);
+    }
+    if (s.ridgeHeight <= s.eavesHeight) {
+        errors.push('Ridge height must be above eaves height');
+    }
+    if (s.columnSpacing > s.length) {
+        errors.push('Column spacing cannot exceed the structure length');
+    }
+    return errors;
+}
+
+// validate(config) can add model-level problems (e.g. panels overhanging the roof).
+export function createParamPanel(config, onApply, validate = () => []) {
+    const { body } = createPanel('Design Parameters', { open: true });
+    const errorText = createErrorText();
+    const inputs = [];
+
+    const apply = (field, value) => {
+        const previous = config[field.section][field.key];
+        const previousAutoFit = config.solar.autoFit;
+        config[field.section][field.key] = value;
+        if (field.manualGrid) config.solar.autoFit = false;
+
+        let errors = validateParams(config);
+        if (errors.length === 0) errors = validate(config);
+        errorText.textContent = errors.join('. ');
+        if (errors.length > 0) {
+            // Keep the last buildable value so the scene never shows an invalid model
+            config[field.section][field.key] = previous;
+            config.solar.autoFit = previousAutoFit;
+            return;
+        }
+        onApply();
+    };
+
+    const roofField = { section: 'structure', key: 'roofType' };
+    const roofType = document.createElement('select');
+    ROOF_TYPES.forEach((type) => roofType.add(new Option(type.label, type.id)));
+    roofType.value = config.structure.roofType;
+    roofType.addEventListener('change', () => apply(roofField, roofType.value));
+    inputs.push({ field: roofField, input: roofType });
+    body.appendChild(createField('Roof type', roofType));
+
+    for (const field of PARAM_FIELDS) {
+        const input = createNumberInput({
+            value: config[field.section][field.key],
+            min: field.min,
+            max: field.max,
+            step: field.step,
+            onChange: (value) => apply(field, value)
+        });
+        inputs.push({ field, input });
+        body.appendChild(createField(field.label, input));
+    }
+
+    body.appendChild(errorText);
+
+    return {
+        // Re-reads CONFIG after something else (e.g. module selection) changed it
+        refresh() {
+            inputs.forEach(({ field, input }) => {
+                input.value = config[field.section][field.key];
+            });
+        }
+    };
+}
@@ -0,0 +1,127 @@
+import { polygonsOverlap } from './scenario.js';
+
+// --- Parking Layout ---
+// Marked bays under one canopy, in the structure's own axes: x across the span (0 on the
+// centre line), z along it. The aisle runs along z and traffic drives towards +z, so angled
+// bays lean forward. Rows and aisle together are centred on the span; with a single row the
+// aisle is on the -x side. Bay corners run entrance (aisle side) first: [A, B, B + d, A + d].
+
+export const PARKING_LAYOUTS = [
+    { id: '90', label: '90° (perpendicular)', angle: 90 },
+    { id: '60', label: '60° angled', angle: 60 },
+    { id: '45', label: '45° angled', angle: 45 },
+    { id: 'parallel', label: 'Parallel', angle: 0 }
+];
+
+// Plan size of one bay for a layout.
+//   pitch — length along the aisle taken by each bay
+//   depth — width across the span taken by a row
+//   line  — direction and length of the side markings, for a bay on the +x side of the aisle
+//   overhang — extra length along the aisle past the last bay's entrance
+// Angled markings are long enough for the whole vehicle rectangle to fit between them.
+function bayShape(layout, settings) {
+    if (layout.angle === 0) {
+        return { pitch: settings.parallelLength, depth: settings.width, line: { x: settings.width, z: 0 }, overhang: 0 };
+    }
+    const rad = layout.angle * Math.PI / 180;
+    const depth = settings.length * Math.sin(rad) + settings.width * Math.cos(rad);
+    const lineLen = depth / Math.sin(rad);
+    return {
+        pitch: settings.width / Math.sin(rad),
+        depth,
+        line: { x: lineLen * Math.sin(rad), z: lineLen * Math.cos(rad) },
+        overhang: lineLen * Math.cos(rad)
+    };
+}
+
+// length: canopy length (m); span: canopy width (m), rows reaching past its eaves are left out
+// settings: CONFIG.parking.car / .coach — { layout, rows (1 | 2), aisleWidth, endClearance,
+//   width, length (angled bay), parallelLength }
+// Returns null for an unknown layout id, otherwise
+// { layout, pitch, depth, moduleWidth, aisleX, perRow, bays, dividers, overhanging } where
+//   aisleX: centre line of the aisle
+//   bays: [{ row, corners: [{ x, z }] x4, centre: { x, z }, heading }] — heading is the vehicle's
+//   turn about +Y (rad) with its nose into the bay; row 0 is the -x row
+//   dividers: [{ points: [{ x, z }, { x, z }], bays: [index...] }] markings and the bays they border
+//   overhanging: the rows left out, as row numbers
+export function layoutBays(length, settings, span = Infinity) {
+    const layout = PARKING_LAYOUTS.find((l) => l.id === settings.layout);
+    if (!layout) return null;
+    const shape = bayShape(layout, settings);
+    const rows = settings.rows === 1 ? 1 : 2;
+    const moduleWidth = rows * shape.depth + settings.aisleWidth;
+
+    const run = length - 2 * settings.endClearance;
+    const perRow = Math.max(0, Math.floor((run - shape.overhang) / shape.pitch + 1e-9));
+    const startZ = -(perRow * shape.pitch + shape.overhang) / 2;
+
+    // Aisle edge and the side of it the bays sit on, per row
+    const rowEdges = rows === 2
+        ? [{ x: -settings.aisleWidth / 2, side: -1 }, { x: settings.aisleWidth / 2, side: 1 }]
+        : [{ x: -moduleWidth / 2 + settings.aisleWidth, side: 1 }];
+
+    const bays = [];
+    const dividers = [];
+    const overhanging = [];
+    rowEdges.forEach(({ x, side }, row) => {
+        const d = { x: side * shape.line.x, z: shape.line.z };
+        if (Math.max(Math.abs(x), Math.abs(x + d.x)) > span / 2 + 1e-9) {
+            overhanging.push(row);
+            return;
+        }
+        const first = bays.length;
+        const marking = (z, i) => ({
+            points: [{ x, z }, { x: x + d.x, z: z + d.z }],
+            bays: [first + i - 1, first + i].filter((b) => b >= first && b < first + perRow)
+        });
+        for (let i = 0; i < perRow; i++) {
+            const z = startZ + i * shape.pitch;
+            const a = { x, z };
+            const b = { x, z: z + shape.pitch };
+            bays.push({
+                row,
+                corners: [a, b, { x: b.x + d.x, z: b.z + d.z }, { x: a.x + d.x, z: a.z + d.z }],
+                centre: { x: x + d.x / 2, z: z + shape.pitch / 2 + d.z / 2 },
+                heading: layout.angle === 0 ? 0 : Math.atan2(d.x, d.z)
+            });
+            dividers.push(marking(z, i));
+        }
+        if (perRow > 0) dividers.push(marking(startZ + perRow * shape.pitch, perRow));
+    });
+
+    const aisleX = rows === 2 ? 0 : -moduleWidth / 2 + settings.aisleWidth / 2;
+    return { layout, pitch: shape.pitch, depth: shape.depth, moduleWidth, aisleX, perRow, bays, dividers, overhanging };
+}
+
+// settings as layoutBays; standard: CONFIG.parking.standards.car / .coach —
+// { bayWidth, bayLength, parallelLength, aisle: { [layout id]: minimum one-way aisle } }
+export function checkParkingStandards(settings, standard) {
+    const layout = PARKING_LAYOUTS.find((l) => l.id === settings.layout);
+    if (!layout) return [`Unknown parking layout "${settings.layout}"`];
+
+    const errors = [];
+    const below = (label, value, min) => {
+        if (value < min - 1e-9) errors.push(`${label} ${value.toFixed(2)} m is below the ${min.toFixed(2)} m minimum`);
+    };
+    below('Bay width', settings.width, standard.bayWidth);
+    if (layout.angle === 0) {
+        below('Parallel bay length', settings.parallelLength, standard.parallelLength);
+    } else {
+        below('Bay length', settings.length, standard.bayLength);
+    }
+    below(`Aisle for ${layout.label} bays:`, settings.aisleWidth, standard.aisle[layout.id]);
+    return errors;
+}
+
+// Bays overlapping a column outline. Both are plan polygons in the same axes:
+// bays: [{ corners }], columns: [{ label, corners }] (already grown by the clearance).
+// Returns [{ bay (index), column (label) }].
+export function findColumnClashes(bays, columns) {
+    const clashes = [];
+    bays.forEach((bay, i) => {
+        columns.forEach((column) => {
+            if (polygonsOverlap(bay.corners, column.corners)) clashes.push({ bay: i, column: column.label });
+        });
+    });
+    return clashes;
+}
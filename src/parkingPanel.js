@@ -0,0 +1,103 @@
+import { createPanel, createField, createNumberInput, createTable } from './ui.js';
+import { PARKING_LAYOUTS } from './parkingLayout.js';
+
+// --- Parking Panel ---
+// Layout, rows and bay sizes for car and coach ports, with the bay counts under each canopy,
+// what every other layout would fit, and any standards failures or column clashes.
+// `parking` is CONFIG.parking; onChange regenerates the bays.
+
+const KINDS = [['car', 'Car'], ['coach', 'Coach']];
+
+const SIZE_FIELDS = [
+    { key: 'aisleWidth', label: 'aisle width (m)' },
+    { key: 'width', label: 'bay width (m)' },
+    { key: 'length', label: 'angled bay length (m)' },
+    { key: 'parallelLength', label: 'parallel bay length (m)' }
+];
+
+function shortLabel(layout) {
+    return layout.angle === 0 ? 'Par.' : `${layout.angle}°`;
+}
+
+export function createParkingPanel(parking, onChange) {
+    const { body } = createPanel('Parking');
+
+    KINDS.forEach(([kind, name]) => {
+        const settings = parking[kind];
+
+        const layout = document.createElement('select');
+        PARKING_LAYOUTS.forEach((l) => layout.add(new Option(l.label, l.id)));
+        layout.value = settings.layout;
+        layout.addEventListener('change', () => {
+            settings.layout = layout.value;
+            onChange();
+        });
+        body.appendChild(createField(`${name} layout`, layout));
+
+        const rows = document.createElement('select');
+        [[2, 'Both sides of the aisle'], [1, 'One side']].forEach(([value, label]) => rows.add(new Option(label, value)));
+        rows.value = settings.rows;
+        rows.addEventListener('change', () => {
+            settings.rows = parseInt(rows.value, 10);
+            onChange();
+        });
+        body.appendChild(createField(`${name} rows`, rows));
+
+        SIZE_FIELDS.forEach(({ key, label }) => {
+            body.appendChild(createField(`${name} ${label}`, createNumberInput({
+                value: settings[key],
+                min: 0.5,
+                max: 30,
+                step: 0.1,
+                onChange: (value) => {
+                    if (!Number.isFinite(value) || value <= 0) return;
+                    settings[key] = value;
+                    onChange();
+                }
+            })));
+        });
+    });
+
+    const output = document.createElement('div');
+    body.appendChild(output);
+
+    return {
+        // canopies: [{ name, kind, bays, clear, clashes: [{ bay, column }], overhanging (rows left out),
+        //   options: [clear bays per layout] }]
+        // standardsErrors: { car: [...], coach: [...] }
+        show(canopies, standardsErrors) {
+            const total = (kind, key) => canopies.filter((c) => c.kind === kind).reduce((sum, c) => sum + c[key], 0);
+            const summary = document.createElement('p');
+            summary.textContent = `${total('car', 'bays')} car bays (${total('car', 'clear')} clear), `
+                + `${total('coach', 'bays')} coach bays (${total('coach', 'clear')} clear) under ${canopies.length} canopies`;
+
+            const countTable = createTable(
+                ['Canopy', 'Layout', 'Bays', 'Clear', ...PARKING_LAYOUTS.map(shortLabel)],
+                canopies.map((c) => {
+                    const current = PARKING_LAYOUTS.find((l) => l.id === parking[c.kind].layout);
+                    return [c.name, current ? shortLabel(current) : '-', c.bays, c.clear, ...c.options];
+                })
+            );
+            canopies.forEach((c, i) => {
+                if (c.clear < c.bays) countTable.tBodies[0].rows[i].className = 'flagged';
+            });
+
+            const note = document.createElement('p');
+            note.textContent = 'Layout columns give the clear bays each layout fits at its minimum standard aisle.';
+
+            const issues = [
+                ...KINDS.flatMap(([kind, name]) => standardsErrors[kind].map((error) => [`${name} bays`, error])),
+                ...canopies.filter((c) => c.overhanging > 0).map((c) => [
+                    c.name, `${c.overhanging} bay row${c.overhanging > 1 ? 's' : ''} left out: rows and aisle are wider than the span`
+                ]),
+                ...canopies.flatMap((c) => c.clashes.map((clash) => [`Bay ${clash.bay}`, `Clashes with column ${clash.column}`]))
+            ];
+            const issueTable = createTable(['Check', 'Issue'], issues);
+            issues.forEach((_, i) => {
+                issueTable.tBodies[0].rows[i].className = 'flagged';
+            });
+
+            output.replaceChildren(summary, countTable, note, ...(issues.length ? [issueTable] : []));
+        }
+    };
+}
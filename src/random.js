@@ -0,0 +1,30 @@
+// --- Seeded Random ---
+// Reproducible replacement for Math.random(). Each consumer asks for its own named stream,
+// so adding draws in one place (e.g. parking) never shifts another (e.g. trees).
+
+// FNV-1a hash of the stream name, mixed with the seed
+function streamSeed(seed, name) {
+    let hash = 0x811c9dc5 ^ (seed >>> 0);
+    for (let i = 0; i < name.length; i++) {
+        hash ^= name.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// mulberry32: returns a function giving floats in [0, 1), like Math.random()
+export function createRandom(seed, name = '') {
+    let state = streamSeed(seed, name);
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Fresh seed for "new scene" buttons; the only place Math.random() is still used.
+export function newSeed() {
+    return Math.floor(Math.random() * 1000000);
+}
@@ -0,0 +1,138 @@
+// --- Roof Forms ---
+// Cross-section of each canopy roof type in the structure's own axes: x across the span
+// (0 on the centre line), y up, z along the length. The builder, panel layout, cable router,
+// bracing and structural check all read the same description, so they agree on every form.
+//   duo       — symmetric ridge at ridgeHeight, eaves at eavesHeight on both sides
+//   mono      — one slope across the full span, low eaves on the side facing nearest south
+//   butterfly — two slopes falling to a central gutter at eavesHeight, edges at ridgeHeight
+//   flat      — level deck at eavesHeight carrying tilted racking rows that face nearest south
+// Azimuths are degrees clockwise from north; rotation is the structure's turn about +Y
+// (degrees, anticlockwise seen from above), as in src/scenario.js.
+
+export const ROOF_TYPES = [
+    { id: 'duo', label: 'Duo-pitch' },
+    { id: 'mono', label: 'Mono-pitch' },
+    { id: 'butterfly', label: 'Butterfly' },
+    { id: 'flat', label: 'Flat with tilt frames' }
+];
+
+const OVERHANG = 0.5; // m of roof sheet beyond the rafter line
+const SHEET_LIFT = 0.15; // roof sheet centre above the rafter centre line
+const PANEL_LIFT = 0.2; // panel plane above the rafter centre line
+const RACK_CLEARANCE = 0.3; // lowest module edge above the flat deck
+
+// World azimuth faced by a local horizontal direction given as a local azimuth (270 = local -x)
+export function facingAzimuth(localAzimuth, rotation) {
+    return ((localAzimuth - rotation) % 360 + 360) % 360;
+}
+
+// Angular distance from due south
+function offSouth(localAzimuth, rotation) {
+    const diff = Math.abs(facingAzimuth(localAzimuth, rotation) - 180);
+    return Math.min(diff, 360 - diff);
+}
+
+// Of the given local azimuths, the one facing closest to south (first wins a tie)
+function southmost(localAzimuths, rotation) {
+    return localAzimuths.reduce((best, az) => (offSouth(az, rotation) < offSouth(best, rotation) - 1e-9 ? az : best));
+}
+
+// structure: CONFIG.structure (width, eavesHeight, ridgeHeight, roofType, rackTilt, rackSpacing)
+// Returns {
+//   type, halfSpan, roofLen, pitchRad, slopeLen,
+//   edges: { left, centre, right }  — top of the rafter line at x = -halfSpan, 0, +halfSpan
+//   rafters: [{ cx, cy, pitch, length }] and sheets: [{ cx, cy, pitch, width }] per frame / roof
+//   slopes: [{ cx, cy, pitch, upSlope, localAzimuth, slopeExtent, lengthExtent }] panel planes
+//   rack: null | { tilt (rad), axis: 'x' | 'z', dir: ±1, gap } for the flat roof's racking rows
+//   wind: { pitchRad, slopeLen } — the surface the structural check applies wind to
+// }
+// pitch is the rotation about +z; upSlope the sign of local x going up the slope.
+export function roofForm(structure, rotation = 0, length = structure.length) {
+    const type = structure.roofType || 'duo';
+    const halfSpan = structure.width / 2;
+    const eaves = structure.eavesHeight;
+    const rise = structure.ridgeHeight - eaves;
+    const roofLen = length + 1; // Slight overhang
+    const lengthExtent = [-roofLen / 2, roofLen / 2];
+
+    const pitched = (cx, run, pitch, upSlope, localAzimuth) => {
+        const slopeLen = Math.sqrt(rise * rise + run * run);
+        const rafterLen = slopeLen + OVERHANG;
+        const cy = eaves + rise / 2;
+        return {
+            slopeLen,
+            rafter: { cx, cy, pitch, length: rafterLen },
+            sheet: { cx, cy: cy + SHEET_LIFT, pitch, width: rafterLen },
+            // The sheet runs from its low edge (incl. overhang) up to the ridge / high edge
+            slope: { cx, cy: cy + PANEL_LIFT, pitch, upSlope, localAzimuth, slopeExtent: [-rafterLen / 2, slopeLen / 2], lengthExtent }
+        };
+    };
+
+    let parts;
+    let edges;
+    let rack = null;
+
+    if (type === 'mono') {
+        // Low eaves on the side facing closest to south; +x (east at rotation 0) wins a tie
+        const side = southmost([90, 270], rotation) === 90 ? 1 : -1;
+        const pitch = Math.atan(rise / (2 * halfSpan));
+        parts = [pitched(0, 2 * halfSpan, -side * pitch, -side, side > 0 ? 90 : 270)];
+        edges = { left: side > 0 ? eaves + rise : eaves, centre: eaves + rise / 2, right: side > 0 ? eaves : eaves + rise };
+    } else if (type === 'butterfly') {
+        // Each half rises outwards from the gutter, so the west half faces east and vice versa
+        const pitch = Math.atan(rise / halfSpan);
+        parts = [
+            pitched(-halfSpan / 2, halfSpan, -pitch, -1, 90),
+            pitched(halfSpan / 2, halfSpan, pitch, 1, 270)
+        ];
+        edges = { left: eaves + rise, centre: eaves, right: eaves + rise };
+    } else if (type === 'flat') {
+        const deckWidth = 2 * halfSpan + OVERHANG;
+        const localAzimuth = southmost([180, 0, 90, 270], rotation);
+        const axis = localAzimuth === 90 || localAzimuth === 270 ? 'x' : 'z';
+        const dir = localAzimuth === 90 || localAzimuth === 180 ? 1 : -1;
+        const deckExtent = [-deckWidth / 2, deckWidth / 2];
+        rack = { tilt: (structure.rackTilt || 0) * Math.PI / 180, axis, dir, gap: structure.rackSpacing };
+        parts = [{
+            slopeLen: 2 * halfSpan,
+            rafter: { cx: 0, cy: eaves, pitch: 0, length: deckWidth },
+            sheet: { cx: 0, cy: eaves + SHEET_LIFT, pitch: 0, width: deckWidth },
+            // Racking rows are solved on plan: u runs against the facing direction, v along the rows
+            slope: {
+                cx: 0,
+                cy: eaves + PANEL_LIFT + RACK_CLEARANCE,
+                pitch: 0,
+                upSlope: 1,
+                localAzimuth,
+                slopeExtent: axis === 'x' ? deckExtent : lengthExtent,
+                lengthExtent: axis === 'x' ? lengthExtent : deckExtent
+            }
+        }];
+        edges = { left: eaves, centre: eaves, right: eaves };
+    } else {
+        const pitch = Math.atan(rise / halfSpan);
+        // Left slope rises towards +x (local +x points up the slope), right slope is mirrored
+        parts = [
+            pitched(-halfSpan / 2, halfSpan, pitch, 1, 270),
+            pitched(halfSpan / 2, halfSpan, -pitch, -1, 90)
+        ];
+        edges = { left: eaves, centre: eaves + rise, right: eaves };
+    }
+
+    const pitchRad = Math.abs(parts[0].rafter.pitch);
+    const slopeLen = parts[0].slopeLen;
+    return {
+        type,
+        halfSpan,
+        roofLen,
+        pitchRad,
+        slopeLen,
+        edges,
+        rafters: parts.map((p) => p.rafter),
+        sheets: parts.map((p) => p.sheet),
+        slopes: parts.map((p) => p.slope),
+        rack,
+        // Wind acts on the tilted modules of a flat roof rather than its level deck
+        wind: rack ? { pitchRad: rack.tilt, slopeLen } : { pitchRad, slopeLen }
+    };
+}
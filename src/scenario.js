@@ -0,0 +1,341 @@
+import { roofForm } from './roofForms.js';
+
+// --- Site Scenario ---
+// Everything that differs between sites: which canopies stand where, containers, hard standing,
+// roads, pitches, fences and where trees may grow. The canopy design itself (span, heights,
+// modules) stays in CONFIG so one design can be dropped onto many scenarios.
+// Positions are world metres (+X east, +Z south); width is the X extent, length the Z extent.
+
+export const SCENARIO_VERSION = 2;
+
+export const DEFAULT_SCENARIO = {
+    version: SCENARIO_VERSION,
+    name: 'Sports ground car park',
+    // x/z is the centre of the canopy, rotation turns it about the vertical (degrees, anticlockwise
+    // seen from above; 0 runs the ridge north-south) and length null uses CONFIG.structure.length.
+    // nextTo places a structure parallel to an earlier one, one span plus CONFIG.structure.braceGap
+    // across from its east eaves (x, z and rotation ignored), so it follows span changes.
+    // Parallel spans at most braceGap apart, whose facing eaves are at the same height, are braced
+    // together automatically: the structure on the east side drops its west columns wherever a
+    // neighbour column line is opposite.
+    // connect: false keeps a structure free-standing.
+    structures: [
+        { name: 'Car port', code: 'CP', parking: 'car', x: -6, z: 0, rotation: 0, length: null },
+        { name: 'Coach port', code: 'CH', parking: 'coach', nextTo: 'Car port', length: null }
+    ],
+    // length null matches the canopy length; the plant room holds the inverters (DC cabling)
+    containers: [
+        { name: 'Storage container', x: -17.5, z: 0, length: null, plantRoom: true }, // 1.5m clear of the car port
+        { name: 'Small container', x: -17.5, z: 53, length: 7 } // 1.5m south of the storage container
+    ],
+    hardStanding: [
+        { name: 'Canopy tarmac', x: 1.75, z: 0, width: 27.5, length: 100 },
+        { name: 'Container tarmac', x: -17, z: 4.25, width: 10, length: 108.5 }
+    ],
+    roads: [
+        { name: 'Main road', x: 20, z: 0, width: 6, length: 200 },
+        { name: 'North access', x: 5, z: -54, width: 34, length: 12 }, // 12m for the coach turning circle
+        { name: 'South access', x: 5, z: 54, width: 34, length: 12 }
+    ],
+    pitches: [
+        { name: 'Football pitch', x: -56.5, z: 0, width: 75, length: 110 } // 1.5m clear of the containers
+    ],
+    // Fences enclose a rectangle on the listed sides
+    fences: [
+        { name: 'Pitch fence', x: -56.5, z: 0, width: 80, length: 115, height: 3, sides: ['north', 'south', 'west'] }
+    ],
+    trees: {
+        count: 80,
+        area: { minX: -120, maxX: 30, minZ: -80, maxZ: 80 }
+    },
+    // No trees inside these rectangles
+    exclusionZones: [
+        { name: 'Structures', minX: -25, maxX: 17, minZ: -55, maxZ: 65 },
+        { name: 'Pitch', minX: -100, maxX: -10, minZ: -70, maxZ: 70 },
+        { name: 'Main road', minX: 16, maxX: 24, minZ: -100, maxZ: 100 },
+        { name: 'North access', minX: -14, maxX: 24, minZ: -62, maxZ: -47 },
+        { name: 'South access', minX: -14, maxX: 24, minZ: 47, maxZ: 62 }
+    ],
+    // Saved camera views (perspective position and orbit target), also the flythrough keyframes
+    // in list order; the first is where the camera starts. Optional in scenario files.
+    bookmarks: [
+        { name: 'Overview', position: [-40, 40, 60], target: [0, 0, 0] },
+        { name: 'Coach entrance', position: [10, 6, -75], target: [7.5, 3, -30] },
+        { name: 'From the main road', position: [30, 8, 35], target: [0, 3, 5] },
+        { name: 'Car port aisle', position: [-8.4, 1.7, 45], target: [-8.4, 2.5, 20] },
+        { name: 'Aerial from the pitch', position: [-90, 60, -40], target: [-10, 0, 0] }
+    ]
+};
+
+export const PARKING_TYPES = ['car', 'coach', 'none'];
+export const FENCE_SIDES = ['north', 'south', 'east', 'west'];
+
+// Container footprint is fixed; only the length varies
+export const CONTAINER_WIDTH = 8;
+export const CONTAINER_HEIGHT = 5;
+
+const RECT_LISTS = ['hardStanding', 'roads', 'pitches'];
+
+// Upper bounds that keep a hand-edited file from freezing the page while it is built
+const MAX_TREES = 1000;
+const MAX_LENGTH = 200; // m, canopies and containers, as the structure length field
+const MAX_SIZE = 1000; // m, hard standing, roads, pitches and fences
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkRect(item, label, errors) {
+    ['x', 'z'].forEach((key) => {
+        if (!isNumber(item[key])) errors.push(`${label}: ${key} must be a number`);
+    });
+    ['width', 'length'].forEach((key) => {
+        if (!(isNumber(item[key]) && item[key] > 0 && item[key] <= MAX_SIZE)) {
+            errors.push(`${label}: ${key} must be a positive number up to ${MAX_SIZE}`);
+        }
+    });
+}
+
+function checkZone(zone, label, errors) {
+    ['minX', 'maxX', 'minZ', 'maxZ'].forEach((key) => {
+        if (!isNumber(zone[key])) errors.push(`${label}: ${key} must be a number`);
+    });
+    if (zone.minX >= zone.maxX || zone.minZ >= zone.maxZ) errors.push(`${label}: min must be below max`);
+}
+
+const FRAME_TOLERANCE = 0.01; // m, column lines closer than this are treated as opposite
+
+// Frame (column/rafter) lines along a structure, in local z from its centre
+export function frameLines(length, columnSpacing) {
+    const count = Math.ceil(length / columnSpacing) + 1;
+    return Array.from({ length: count }, (_, i) => (i * columnSpacing) - (length / 2));
+}
+
+// Local axes of a structure in world x/z: across the span (west to east at rotation 0) and along it
+function axes(rotation) {
+    const rad = rotation * Math.PI / 180;
+    return {
+        across: { x: Math.cos(rad), z: -Math.sin(rad) },
+        along: { x: Math.sin(rad), z: Math.cos(rad) }
+    };
+}
+
+// World plan position of a point given in a footprint's local axes
+export function footprintToWorld(footprint, across, along) {
+    const { across: a, along: b } = axes(footprint.rotation);
+    return {
+        x: footprint.x + across * a.x + along * b.x,
+        z: footprint.z + across * a.z + along * b.z
+    };
+}
+
+// Plan rectangles of each structure, resolving nextTo placement.
+// structure: CONFIG.structure. Returns [{ name, x, z, rotation (deg), length, connect, frameZ,
+// edges (rafter heights, see roofForm), corners: [{ x, z }], minX, maxX, minZ, maxZ }].
+export function structureFootprints(scenario, structure) {
+    const placed = [];
+    scenario.structures.forEach((s) => {
+        const neighbour = s.nextTo && placed.find((p) => p.name === s.nextTo);
+        const centre = neighbour ? footprintToWorld(neighbour, structure.width + structure.braceGap, 0) : s;
+        const footprint = {
+            name: s.name,
+            x: centre.x,
+            z: centre.z,
+            rotation: neighbour ? neighbour.rotation : (s.rotation || 0),
+            length: s.length || structure.length,
+            connect: s.connect !== false
+        };
+        const halfW = structure.width / 2;
+        const halfL = footprint.length / 2;
+        footprint.frameZ = frameLines(footprint.length, structure.columnSpacing);
+        footprint.edges = roofForm(structure, footprint.rotation, footprint.length).edges;
+        footprint.corners = [[-halfW, -halfL], [halfW, -halfL], [halfW, halfL], [-halfW, halfL]]
+            .map(([across, along]) => footprintToWorld(footprint, across, along));
+        footprint.minX = Math.min(...footprint.corners.map((c) => c.x));
+        footprint.maxX = Math.max(...footprint.corners.map((c) => c.x));
+        footprint.minZ = Math.min(...footprint.corners.map((c) => c.z));
+        footprint.maxZ = Math.max(...footprint.corners.map((c) => c.z));
+        placed.push(footprint);
+    });
+    return placed;
+}
+
+// Shared-column connections between parallel spans. For each footprint, one entry per frame line:
+// null where the structure stands on its own west column, otherwise { structure, frame, gap } naming
+// the neighbour column line that carries the braces across the gap.
+export function structureConnections(footprints, structure) {
+    return footprints.map((b) => b.frameZ.map((z) => {
+        if (!b.connect) return null;
+        for (const a of footprints) {
+            const turn = (((b.rotation - a.rotation) % 360) + 360) % 360;
+            if (a === b || !a.connect || Math.min(turn, 360 - turn) > 1e-6) continue;
+            const { across, along } = axes(a.rotation);
+            const dx = b.x - a.x;
+            const dz = b.z - a.z;
+            const gap = (dx * across.x + dz * across.z) - structure.width;
+            if (gap <= 0 || gap > structure.braceGap + 1e-6) continue;
+            if (Math.abs(a.edges.right - b.edges.left) > 1e-6) continue; // braces run level
+            const offset = dx * along.x + dz * along.z + z;
+            const frame = a.frameZ.findIndex((az) => Math.abs(az - offset) < FRAME_TOLERANCE);
+            if (frame >= 0) return { structure: a.name, frame, gap };
+        }
+        return null;
+    }));
+}
+
+// Separating axis test on two convex plan polygons ([{ x, z }], edges in order)
+export function polygonsOverlap(a, b) {
+    const separated = (poly, other) => poly.some((p, i) => {
+        const q = poly[(i + 1) % poly.length];
+        const normal = { x: q.z - p.z, z: p.x - q.x };
+        const project = (points) => points.map((c) => c.x * normal.x + c.z * normal.z);
+        const pa = project(poly);
+        const pb = project(other);
+        return Math.max(...pa) <= Math.min(...pb) + 1e-9 || Math.max(...pb) <= Math.min(...pa) + 1e-9;
+    });
+    return !separated(a, b) && !separated(b, a);
+}
+
+function rectCorners(minX, maxX, minZ, maxZ) {
+    return [{ x: minX, z: minZ }, { x: maxX, z: minZ }, { x: maxX, z: maxZ }, { x: minX, z: maxZ }];
+}
+
+// Brings an older scenario file up to SCENARIO_VERSION; the result still needs validating.
+export function upgradeScenario(scenario) {
+    if (!scenario || scenario.version !== 1 || !Array.isArray(scenario.structures)
+        || !scenario.structures.every(isObject)) return scenario;
+    return {
+        ...scenario,
+        version: SCENARIO_VERSION,
+        // Version 1 only had X offsets and one fixed length, with bracedTo for side-by-side spans
+        structures: scenario.structures.map(({ bracedTo, ...s }) => (bracedTo
+            ? { ...s, nextTo: bracedTo, length: null }
+            : { ...s, z: 0, rotation: 0, length: null }))
+    };
+}
+
+// Returns a list of human readable problems, empty when the scenario can be built.
+// structure (CONFIG.structure) enables the container/canopy clash check.
+export function validateScenario(scenario, structure = null) {
+    if (!isObject(scenario)) return ['Scenario must be a JSON object'];
+    const errors = [];
+
+    if (scenario.version !== SCENARIO_VERSION) errors.push(`version must be ${SCENARIO_VERSION}`);
+    if (typeof scenario.name !== 'string') errors.push('name must be a string');
+
+    ['structures', 'containers', 'fences', 'exclusionZones', ...RECT_LISTS].forEach((key) => {
+        if (!Array.isArray(scenario[key])) {
+            errors.push(`${key} must be a list`);
+            return;
+        }
+        scenario[key].forEach((item, i) => {
+            if (!isObject(item)) errors.push(`${key}[${i}] must be an object`);
+        });
+    });
+    if (errors.length > 0) return errors;
+
+    // Structures
+    if (scenario.structures.length === 0) errors.push('At least one structure is required');
+    const names = new Set();
+    const codes = new Set();
+    scenario.structures.forEach((s, i) => {
+        const label = `structures[${i}]`;
+        if (typeof s.name !== 'string' || !s.name) errors.push(`${label}: name is required`);
+        if (names.has(s.name)) errors.push(`${label}: duplicate name "${s.name}"`);
+        if (typeof s.code !== 'string' || !s.code) errors.push(`${label}: code is required`);
+        if (codes.has(s.code)) errors.push(`${label}: duplicate code "${s.code}"`);
+        if (!PARKING_TYPES.includes(s.parking)) errors.push(`${label}: parking must be one of ${PARKING_TYPES.join(', ')}`);
+        if (s.nextTo !== undefined && s.nextTo !== null) {
+            if (!names.has(s.nextTo)) errors.push(`${label}: nextTo must name an earlier structure`);
+        } else {
+            if (!isNumber(s.x) || !isNumber(s.z)) errors.push(`${label}: x and z must be numbers`);
+            if (s.rotation !== undefined && !isNumber(s.rotation)) errors.push(`${label}: rotation must be a number of degrees`);
+        }
+        if (s.length !== null && s.length !== undefined && !(isNumber(s.length) && s.length > 0 && s.length <= MAX_LENGTH)) {
+            errors.push(`${label}: length must be a positive number up to ${MAX_LENGTH}, or null`);
+        }
+        if (s.connect !== undefined && typeof s.connect !== 'boolean') errors.push(`${label}: connect must be true or false`);
+        names.add(s.name);
+        codes.add(s.code);
+    });
+
+    // Containers
+    if (scenario.containers.length === 0) errors.push('At least one container is required (the plant room)');
+    if (scenario.containers.filter((c) => c.plantRoom).length > 1) errors.push('Only one container can be the plant room');
+    scenario.containers.forEach((c, i) => {
+        const label = `containers[${i}]`;
+        if (!isNumber(c.x) || !isNumber(c.z)) errors.push(`${label}: x and z must be numbers`);
+        if (c.length !== null && c.length !== undefined && !(isNumber(c.length) && c.length > 0 && c.length <= MAX_LENGTH)) {
+            errors.push(`${label}: length must be a positive number up to ${MAX_LENGTH}, or null`);
+        }
+    });
+
+    RECT_LISTS.forEach((key) => scenario[key].forEach((item, i) => checkRect(item, `${key}[${i}]`, errors)));
+
+    scenario.fences.forEach((f, i) => {
+        const label = `fences[${i}]`;
+        checkRect(f, label, errors);
+        if (!(isNumber(f.height) && f.height > 0)) errors.push(`${label}: height must be a positive number`);
+        if (!Array.isArray(f.sides) || f.sides.some((side) => !FENCE_SIDES.includes(side))) {
+            errors.push(`${label}: sides must list ${FENCE_SIDES.join('/')}`);
+        }
+    });
+
+    const trees = scenario.trees;
+    if (!isObject(trees) || !Number.isInteger(trees.count) || trees.count < 0 || trees.count > MAX_TREES) {
+        errors.push(`trees.count must be a whole number up to ${MAX_TREES}`);
+    } else {
+        checkZone(isObject(trees.area) ? trees.area : {}, 'trees.area', errors);
+    }
+    scenario.exclusionZones.forEach((zone, i) => checkZone(zone, `exclusionZones[${i}]`, errors));
+
+    if (scenario.bookmarks !== undefined) {
+        if (!Array.isArray(scenario.bookmarks)) {
+            errors.push('bookmarks must be a list');
+        } else {
+            const bookmarkNames = new Set();
+            scenario.bookmarks.forEach((b, i) => {
+                const label = `bookmarks[${i}]`;
+                if (!isObject(b)) {
+                    errors.push(`${label} must be an object`);
+                    return;
+                }
+                if (typeof b.name !== 'string' || !b.name) errors.push(`${label}: name is required`);
+                if (bookmarkNames.has(b.name)) errors.push(`${label}: duplicate name "${b.name}"`);
+                ['position', 'target'].forEach((key) => {
+                    if (!Array.isArray(b[key]) || b[key].length !== 3 || !b[key].every(isNumber)) {
+                        errors.push(`${label}: ${key} must be [x, y, z] in metres`);
+                    }
+                });
+                bookmarkNames.add(b.name);
+            });
+        }
+    }
+
+    // Canopies must not run into each other, and containers must not stand inside one
+    if (errors.length === 0 && structure) {
+        const footprints = structureFootprints(scenario, structure);
+        footprints.forEach((f, i) => {
+            footprints.slice(0, i).filter((other) => polygonsOverlap(f.corners, other.corners)).forEach((other) => {
+                errors.push(`${f.name} overlaps ${other.name}`);
+            });
+        });
+        scenario.containers.forEach((c) => {
+            const length = c.length || structure.length;
+            const box = rectCorners(c.x - CONTAINER_WIDTH / 2, c.x + CONTAINER_WIDTH / 2, c.z - length / 2, c.z + length / 2);
+            footprints.filter((f) => polygonsOverlap(box, f.corners)).forEach((f) => {
+                errors.push(`${c.name || 'Container'} overlaps ${f.name}`);
+            });
+        });
+    }
+
+    return errors;
+}
+
+export function scenarioToJson(scenario) {
+    return JSON.stringify(scenario, null, 2) + '\n';
+}
@@ -0,0 +1,57 @@
+import { createPanel, createField, createButton, createErrorText, downloadFile } from './ui.js';
+import { DEFAULT_SCENARIO, scenarioToJson, upgradeScenario } from './scenario.js';
+
+// --- Site Scenario Panel ---
+// Import/export of the site layout as JSON; older files are upgraded on import.
+// getScenario() returns the active scenario; validate(scenario) lists problems;
+// onLoad(scenario, imported) rebuilds the site from it; imported is false for the reset to the
+// default site.
+
+function describe(scenario) {
+    return `${scenario.name}: ${scenario.structures.length} structures, ${scenario.containers.length} containers, `
+        + `${scenario.roads.length} roads, ${scenario.pitches.length} pitches, ${scenario.fences.length} fences`;
+}
+
+export function createScenarioPanel(getScenario, validate, onLoad) {
+    const { body } = createPanel('Site Scenario');
+    const summary = document.createElement('p');
+    const errorText = createErrorText();
+
+    const load = (scenario, imported) => {
+        const errors = validate(scenario);
+        errorText.textContent = errors.join('. ');
+        if (errors.length > 0) return;
+        onLoad(scenario, imported);
+        summary.textContent = describe(scenario);
+    };
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        let scenario;
+        try {
+            scenario = JSON.parse(await file.text());
+        } catch (err) {
+            errorText.textContent = `Could not parse ${file.name}: ${err.message}`;
+            return;
+        }
+        load(upgradeScenario(scenario), true);
+    });
+    body.appendChild(createField('Import scenario', fileInput));
+
+    body.appendChild(createButton('Export scenario JSON', () => {
+        const scenario = getScenario();
+        const filename = `${scenario.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'scenario'}.json`;
+        downloadFile(filename, scenarioToJson(scenario), 'application/json');
+    }));
+    body.appendChild(createButton('Reset to default site', () => load(structuredClone(DEFAULT_SCENARIO), false)));
+
+    body.appendChild(errorText);
+    body.appendChild(summary);
+    summary.textContent = describe(getScenario());
+}
@@ -0,0 +1,170 @@
+import { describePanel } from './panelIndex.js';
+
+// --- Selection ---
+// What a click in the scene refers to, as a short key that survives rebuilds and shared links
+// (the `sel` URL value), and the details shown for it. Keys:
+//   panel:CP:57        — solar instance 57 of the structure coded CP, in pIdx order (panelIndex.js)
+//   column:CP:3:left   — a member on frame line 3 (1-based); rafters and braces have no side
+//   bay:12, bay:C3     — a parking bay by its label
+//   vehicle:12         — the vehicle parked in a bay
+// Column grid references letter the column lines across the span (A left, B right, in the
+// structure's own axes) and number the frame lines along it, e.g. CP-B3.
+
+const GRID_LINES = { left: 'A', right: 'B' };
+
+function capitalise(text) {
+    return text[0].toUpperCase() + text.slice(1);
+}
+
+function metres(value) {
+    return `${value.toFixed(2)} m`;
+}
+
+function pointInPolygon(point, corners) {
+    let inside = false;
+    for (let i = 0, j = corners.length - 1; i < corners.length; j = i++) {
+        const a = corners[i];
+        const b = corners[j];
+        if ((a.z > point.z) !== (b.z > point.z) && point.x < a.x + (point.z - a.z) * (b.x - a.x) / (b.z - a.z)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function memberSelectionKey(member, structures) {
+    const structure = structures.find((s) => s.name === member.structure);
+    if (!structure) return null;
+    return [member.type, structure.code, member.frame + 1, ...(member.side ? [member.side] : [])].join(':');
+}
+
+// Key of a tagged object itself (members and vehicles), or null
+function objectKey(object, structures) {
+    const { member, vehicle, bay } = object.userData;
+    if (member) return memberSelectionKey(member, structures);
+    if (vehicle && bay) return `vehicle:${bay}`;
+    return null;
+}
+
+// hit: a Raycaster intersection; structures: userData.structure of every port;
+// bays: the parking group's userData.bays. Returns the key of what was clicked, or null.
+export function selectionKeyAt(hit, structures, bays) {
+    for (let o = hit.object; o; o = o.parent) {
+        if (o.userData.isSolarArray && hit.instanceId !== undefined) {
+            const structure = structures.find((s) => s.solarMesh === o);
+            return structure ? `panel:${structure.code}:${hit.instanceId}` : null;
+        }
+        const key = objectKey(o, structures);
+        if (key) return key;
+    }
+    // Anything else at ground level (hardstanding, markings) picks the bay it lies in
+    if (hit.point.y > 0.5) return null;
+    const bay = bays.find((b) => pointInPolygon(hit.point, b.corners));
+    return bay ? `bay:${bay.label}` : null;
+}
+
+// groups: scene groups holding members and vehicles. Returns null for a key that no longer
+// exists (a stale link or a rebuilt model), otherwise
+// { key, kind, objects: [Object3D], instanceId (panels) | null, structure | null, bay | null }.
+export function resolveSelection(key, { structures, groups, bays }) {
+    if (typeof key !== 'string') return null;
+    const [kind, ...parts] = key.split(':');
+    const selection = { key, kind, objects: [], instanceId: null, structure: null, bay: null };
+
+    if (kind === 'panel') {
+        const structure = structures.find((s) => s.code === parts[0]);
+        const index = Number(parts[1]);
+        if (!structure || !Number.isInteger(index) || index < 0 || index >= structure.solarMesh.count) return null;
+        return { ...selection, objects: [structure.solarMesh], instanceId: index, structure };
+    }
+    if (kind === 'bay') {
+        const bay = bays.find((b) => b.label === parts[0]);
+        return bay ? { ...selection, bay } : null;
+    }
+
+    // Members and vehicles: every object carrying the key (rafters of a frame share one)
+    groups.forEach((group) => {
+        group.traverse((child) => {
+            if (objectKey(child, structures) === key) selection.objects.push(child);
+        });
+    });
+    if (selection.objects.length === 0) return null;
+    if (kind === 'vehicle') {
+        return { ...selection, bay: bays.find((b) => b.label === parts[0]) || null };
+    }
+    return { ...selection, structure: structures.find((s) => s.code === parts[0]) };
+}
+
+// Card contents for a resolved selection: { title, rows: [[label, value]] }
+// context: { solar: CONFIG.solar, strings: designStrings() strings }
+export function describeSelection(selection, { solar, strings }) {
+    const { kind, structure, bay } = selection;
+
+    if (kind === 'panel') {
+        const index = selection.instanceId;
+        const { slope, row, col } = describePanel(structure, index);
+        const slopeInfo = structure.slopes.find((s) => s.name === slope);
+        const string = strings.find((s) => s.structure === structure.name && s.panels.includes(index));
+        const sheet = solar.datasheet;
+        return {
+            title: `PV module ${structure.code} #${index + 1}`,
+            rows: [
+                ['Structure', structure.name],
+                ['Slope', `${slope}, ${slopeInfo.tilt.toFixed(1)}° tilt`],
+                ['Row (up slope)', `${row} of ${structure.rowsPerSlope}`],
+                ['Column (along)', `${col} of ${structure.panelsPerRow}`],
+                ['String', string ? string.id : '-'],
+                ['Module', solar.model],
+                ['Power', `${solar.wattPeak} Wp`],
+                ['Size', `${solar.length.toFixed(3)} x ${solar.width.toFixed(3)} m`],
+                ['Voc / Isc', `${sheet.voc} V / ${sheet.isc} A`],
+                ['Weight', `${sheet.weight} kg`]
+            ]
+        };
+    }
+
+    if (kind === 'bay') {
+        return {
+            title: `${capitalise(bay.kind)} bay ${bay.label}`,
+            rows: [
+                ['Canopy', bay.structure],
+                ['Layout', bay.layout],
+                ['Width', metres(bay.width)],
+                ['Length', metres(bay.length)],
+                ['Columns', bay.clear ? 'Clear' : 'Clashes, left empty']
+            ]
+        };
+    }
+
+    const object = selection.objects[0];
+    if (kind === 'vehicle') {
+        return {
+            title: `${object.userData.vehicle} in bay ${object.userData.bay}`,
+            rows: [
+                ['Type', object.userData.vehicle],
+                ['Bay', object.userData.bay],
+                ['Canopy', bay ? bay.structure : '-']
+            ]
+        };
+    }
+
+    // Members
+    const { member, bom } = object.userData;
+    const frames = structure.frameZ.length;
+    const rows = [
+        ['Structure', structure.name],
+        ['Frame line', `${member.frame + 1} of ${frames}`],
+        ['Along canopy', metres(structure.frameZ[member.frame] + structure.length / 2)]
+    ];
+    if (member.type === 'column') {
+        rows.push(
+            ['Side', member.side],
+            ['Grid reference', `${structure.code}-${GRID_LINES[member.side]}${member.frame + 1}`],
+            ['Height', metres(bom.size)]
+        );
+    } else {
+        rows.push(['Length', metres(bom.size)]);
+    }
+    rows.push(['Section', bom.spec]);
+    return { title: `${capitalise(member.type)} ${structure.code} F${member.frame + 1}`, rows };
+}
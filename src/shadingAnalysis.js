@@ -0,0 +1,133 @@
+import * as THREE from 'three';
+import { computeSunPosition, siteTimeToDate, sunDirection } from './solarPosition.js';
+import { clearSkyIrradiance } from './energyYield.js';
+
+// --- Shading Analysis ---
+// Ray-casts from the centre of every solar instance towards sampled sun positions across a year.
+// Loss per panel = beam irradiance blocked / beam irradiance available on the panel plane,
+// weighted by clear-sky DNI x cos(incidence) x monthly clear-sky ratio.
+// Diffuse light is treated as unshaded.
+
+const SAMPLE_DAY = 21; // Representative day of each month (includes both solstices)
+const PANELS_PER_CHUNK = 50; // Panels processed between UI yields
+
+// Sun samples for one representative day per month, every `hourStep` hours of daylight.
+export function sampleSunPositions({ latitude, longitude, utcOffset, year, clearSkyRatio, hourStep = 1, minElevation = 3 }) {
+    const samples = [];
+    for (let month = 0; month < 12; month++) {
+        const dateStr = `${year}-${String(month + 1).padStart(2, '0')}-${SAMPLE_DAY}`;
+        for (let minutes = (hourStep * 60) / 2; minutes < 24 * 60; minutes += hourStep * 60) {
+            const sun = computeSunPosition(siteTimeToDate(dateStr, minutes, utcOffset), latitude, longitude);
+            if (sun.elevation < minElevation) continue;
+
+            const d = sunDirection(sun.elevation, sun.azimuth);
+            samples.push({
+                ...sun,
+                month,
+                direction: new THREE.Vector3(d.x, d.y, d.z),
+                weight: clearSkyIrradiance(sun.elevation).dni * clearSkyRatio[month]
+            });
+        }
+    }
+    return samples;
+}
+
+// Meshes that can cast shade on the array. Anything entirely below the lowest panel
+// can never intersect an upward ray, so it is dropped up front.
+function collectOccluders(groups, minHeight) {
+    const occluders = [];
+    groups.forEach((group) => {
+        group.updateMatrixWorld(true);
+        group.traverse((child) => {
+            if (!child.isMesh || child.isInstancedMesh) return;
+            const box = new THREE.Box3().setFromObject(child);
+            if (box.max.y <= minHeight) return;
+            occluders.push({ mesh: child, box, opacity: child.userData.shadeOpacity ?? 1 });
+        });
+    });
+    return occluders;
+}
+
+// Fraction of light stopped along a ray: 1 for solid objects, partial for mesh fences.
+function blockage(raycaster, occluders) {
+    const hits = [];
+    let blocked = 0;
+    for (const occluder of occluders) {
+        if (!raycaster.ray.intersectsBox(occluder.box)) continue;
+        hits.length = 0;
+        occluder.mesh.raycast(raycaster, hits);
+        if (hits.length === 0) continue;
+        blocked = Math.max(blocked, occluder.opacity);
+        if (blocked >= 1) break;
+    }
+    return blocked;
+}
+
+// Runs the analysis without freezing the page.
+// arrays: InstancedMesh list, occluderGroups: Object3D list.
+// Resolves to one Float32Array of loss fractions (0..1) per InstancedMesh.
+export async function analyseShading(arrays, occluderGroups, samples, onProgress = () => {}) {
+    const matrix = new THREE.Matrix4();
+    const normalMatrix = new THREE.Matrix3();
+    const centre = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    const raycaster = new THREE.Raycaster();
+
+    // Panel centres and normals in world space
+    const panels = arrays.map((mesh) => {
+        mesh.updateMatrixWorld(true);
+        const entries = [];
+        for (let i = 0; i < mesh.count; i++) {
+            mesh.getMatrixAt(i, matrix);
+            matrix.premultiply(mesh.matrixWorld);
+            centre.setFromMatrixPosition(matrix);
+            normal.set(0, 1, 0).applyMatrix3(normalMatrix.getNormalMatrix(matrix)).normalize();
+            entries.push({ centre: centre.clone(), normal: normal.clone() });
+        }
+        return entries;
+    });
+
+    const minHeight = Math.min(...panels.flat().map((p) => p.centre.y));
+    const occluders = collectOccluders(occluderGroups, minHeight);
+
+    const total = panels.reduce((sum, entries) => sum + entries.length, 0);
+    let done = 0;
+    const results = panels.map((entries) => new Float32Array(entries.length));
+
+    for (let m = 0; m < panels.length; m++) {
+        const entries = panels[m];
+        for (let i = 0; i < entries.length; i++) {
+            const { centre: c, normal: n } = entries[i];
+            let available = 0;
+            let lost = 0;
+
+            for (const sample of samples) {
+                const cosIncidence = n.dot(sample.direction);
+                if (cosIncidence <= 0) continue; // Sun behind the panel plane
+
+                const beam = sample.weight * cosIncidence;
+                available += beam;
+
+                // Start just above the glass so the panel's own roof is not hit
+                raycaster.set(centre.copy(c).addScaledVector(n, 0.05), sample.direction);
+                lost += beam * blockage(raycaster, occluders);
+            }
+            results[m][i] = available > 0 ? lost / available : 0;
+
+            done++;
+            if (done % PANELS_PER_CHUNK === 0) {
+                onProgress(done / total);
+                await new Promise((resolve) => setTimeout(resolve));
+            }
+        }
+    }
+
+    onProgress(1);
+    return results;
+}
+
+// Green (no loss) through yellow to red at `maxLoss` and above.
+export function shadingColour(loss, maxLoss = 0.2) {
+    const t = THREE.MathUtils.clamp(loss / maxLoss, 0, 1);
+    return new THREE.Color().setHSL((1 - t) * 0.33, 0.9, 0.5);
+}
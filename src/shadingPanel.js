@@ -0,0 +1,100 @@
+import { createPanel, createField, createButton, createTable, createErrorText } from './ui.js';
+import { describePanel } from './panelIndex.js';
+
+// --- Shading Analysis Panel ---
+// Run button, heatmap toggle and per-slope / worst-panel summaries.
+// onRun(hourStep) runs the analysis; onHeatmap(visible) toggles the instance colours.
+
+const WORST_PANEL_COUNT = 10;
+
+function percent(fraction) {
+    return `${(fraction * 100).toFixed(1)}%`;
+}
+
+// structures: [{ structure: userData.structure, losses: Float32Array }]
+function summarise(structures) {
+    const slopes = [];
+    const panels = [];
+
+    structures.forEach(({ structure, losses }) => {
+        const perSlope = structure.panelsPerRow * structure.rowsPerSlope;
+        structure.slopes.forEach((slope, s) => {
+            const slice = losses.subarray(s * perSlope, (s + 1) * perSlope);
+            slopes.push({
+                structure: structure.name,
+                slope: slope.name,
+                mean: slice.reduce((sum, v) => sum + v, 0) / slice.length,
+                max: Math.max(...slice),
+                over5: slice.filter((v) => v > 0.05).length
+            });
+        });
+        losses.forEach((loss, i) => panels.push({ structure: structure.name, ...describePanel(structure, i), loss }));
+    });
+
+    panels.sort((a, b) => b.loss - a.loss);
+    return { slopes, worst: panels.slice(0, WORST_PANEL_COUNT).filter((p) => p.loss > 0) };
+}
+
+export function createShadingPanel(onRun, onHeatmap) {
+    const { body } = createPanel('Shading Analysis');
+
+    const stepSelect = document.createElement('select');
+    [['1', 'Hourly'], ['2', 'Every 2 hours'], ['0.5', 'Half-hourly']].forEach(([value, label]) => {
+        stepSelect.add(new Option(label, value));
+    });
+    body.appendChild(createField('Sun samples', stepSelect));
+
+    const heatmapToggle = document.createElement('input');
+    heatmapToggle.type = 'checkbox';
+    heatmapToggle.checked = false;
+    heatmapToggle.addEventListener('change', () => onHeatmap(heatmapToggle.checked));
+    body.appendChild(createField('Show heatmap', heatmapToggle));
+
+    const status = document.createElement('p');
+    const output = document.createElement('div');
+    const error = createErrorText();
+
+    const runButton = createButton('Run analysis', async () => {
+        runButton.disabled = true;
+        error.textContent = '';
+        try {
+            await onRun(parseFloat(stepSelect.value));
+        } catch (err) {
+            error.textContent = `Analysis failed: ${err.message}`;
+        } finally {
+            runButton.disabled = false;
+        }
+    });
+    body.appendChild(runButton);
+    body.appendChild(status);
+    body.appendChild(error);
+    body.appendChild(output);
+
+    return {
+        setHeatmapVisible(visible) {
+            heatmapToggle.checked = visible;
+        },
+        showProgress(fraction) {
+            status.textContent = `Analysing... ${Math.round(fraction * 100)}%`;
+        },
+        showResults(structures, sampleCount) {
+            const { slopes, worst } = summarise(structures);
+            status.textContent = `${sampleCount} sun positions per panel (21st of each month)`;
+            output.replaceChildren(
+                createTable(
+                    ['Structure', 'Slope', 'Mean', 'Max', '>5%'],
+                    slopes.map((r) => [r.structure, r.slope, percent(r.mean), percent(r.max), r.over5])
+                ),
+                createTable(
+                    ['Worst panels', 'Slope', 'Row', 'Col', 'Loss'],
+                    worst.map((p) => [p.structure, p.slope, p.row, p.col, percent(p.loss)])
+                )
+            );
+        },
+        // Layout changed: previous results no longer match the instances
+        invalidate() {
+            status.textContent = 'Layout changed — run the analysis again';
+            output.replaceChildren();
+        }
+    };
+}
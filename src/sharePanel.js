@@ -0,0 +1,51 @@
+import { createPanel, createField, createNumberInput, createButton, createErrorText } from './ui.js';
+
+// --- Share Panel ---
+// Scene seed and a copy-link button; the link itself is kept up to date in the address bar.
+// `random` is CONFIG.random; onSeedChange regenerates the seeded parts of the scene.
+
+export function createSharePanel(random, onSeedChange, newSeed) {
+    const { body } = createPanel('Share');
+
+    const seedInput = createNumberInput({
+        value: random.seed,
+        min: 0,
+        step: 1,
+        onChange: (value) => {
+            if (!Number.isInteger(value) || value < 0) {
+                seedInput.value = random.seed;
+                return;
+            }
+            random.seed = value;
+            onSeedChange();
+        }
+    });
+    body.appendChild(createField('Scene seed', seedInput));
+
+    body.appendChild(createButton('New seed', () => {
+        random.seed = newSeed();
+        seedInput.value = random.seed;
+        onSeedChange();
+    }));
+
+    const status = document.createElement('p');
+    const note = createErrorText();
+    body.appendChild(createButton('Copy link', async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            status.textContent = note.textContent
+                ? 'Link copied, see the note below'
+                : 'Link copied — it opens this exact model and view';
+        } catch (err) {
+            status.textContent = 'Copy the address bar to share this view';
+        }
+    }));
+    body.append(status, note);
+
+    return {
+        // What is wrong with, or missing from, the link; '' for nothing
+        setNote(text) {
+            note.textContent = text;
+        }
+    };
+}
@@ -0,0 +1,1264 @@
+import * as THREE from 'three';
+import { CONTAINER_WIDTH, CONTAINER_HEIGHT, structureFootprints, structureConnections, footprintToWorld } from './scenario.js';
+import { solvePanelLayout } from './panelLayout.js';
+import { roofForm, facingAzimuth } from './roofForms.js';
+import { PARKING_LAYOUTS, layoutBays, checkParkingStandards, findColumnClashes } from './parkingLayout.js';
+import { createRandom } from './random.js';
+import { computeYield } from './energyYield.js';
+import { INVERTER_LIBRARY, designStrings } from './stringDesign.js';
+import { routeCable, routeLength, voltageDrop } from './cableRouting.js';
+import { SECTION_LIBRARY, loadCombinations, moduleDeadLoad, checkFrames } from './structuralCheck.js';
+import { approachPath, simulateSweptPath, findPathCollisions } from './sweptPath.js';
+import { collectClashItems, checkClearances } from './clashDetection.js';
+import { collectBom } from './bom.js';
+import { collectSitePlan } from './sitePlan.js';
+
+// --- Site Model ---
+// The generated site (canopies, braces, containers, bays and vehicles, hard standing, roads,
+// pitches, fences and trees) and every metric read back from it. Nothing here touches the DOM,
+// a renderer or window, so the same model runs in the page and in Node for tests and batch runs:
+//
+//   const model = createSiteModel(createConfig(), structuredClone(DEFAULT_SCENARIO));
+//   model.summary().totalPanels;           // 996 with the defaults
+//   model.parkingGroup.userData.bays;      // [{ label, kind, x, z, heading, corners, clear }]
+//   planToDxf(model.sitePlan(200));        // src/sitePlan.js; bomToCsv(model.bom()) likewise
+//
+// Procedural textures are drawn through options.createTexture(width, height, draw), which returns
+// a THREE.Texture of a canvas painted by draw(ctx, width, height); without it materials are left
+// untextured. Build one model per design and scenario: the rebuild methods exist for the page,
+// where panels edit the config in place.
+
+function createCarStructure(color) {
+    const group = new THREE.Group();
+
+    // Lower body
+    const bodyGeo = new THREE.BoxGeometry(1.8, 0.8, 4.5);
+    const bodyMat = new THREE.MeshStandardMaterial({ color: color, roughness: 0.4, metalness: 0.6 });
+    const body = new THREE.Mesh(bodyGeo, bodyMat);
+    body.position.y = 0.5; // Raised for wheels
+    body.castShadow = true;
+    group.add(body);
+
+    // Cabin / Windows (Greenhouse)
+    const cabinGeo = new THREE.BoxGeometry(1.4, 0.6, 2.2);
+    const cabinMat = new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 0.1, metalness: 0.8 });
+    const cabin = new THREE.Mesh(cabinGeo, cabinMat);
+    cabin.position.set(0, 1.2, -0.2); // Set back slightly
+    cabin.castShadow = true;
+    group.add(cabin);
+
+    // Wheels (simple cylinders across)
+    const wheelGeo = new THREE.CylinderGeometry(0.3, 0.3, 1.9, 12);
+    const wheelMat = new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.9 });
+
+    const wheelFront = new THREE.Mesh(wheelGeo, wheelMat);
+    wheelFront.rotation.z = Math.PI / 2;
+    wheelFront.position.set(0, 0.3, 1.5);
+    group.add(wheelFront);
+
+    const wheelBack = new THREE.Mesh(wheelGeo, wheelMat);
+    wheelBack.rotation.z = Math.PI / 2;
+    wheelBack.position.set(0, 0.3, -1.5);
+    group.add(wheelBack);
+
+    return group;
+}
+
+export function createCoachStructure(color) {
+    const group = new THREE.Group();
+
+    // Main body
+    const bodyGeo = new THREE.BoxGeometry(2.5, 3.2, 12);
+    const bodyMat = new THREE.MeshStandardMaterial({ color: color, roughness: 0.5, metalness: 0.2 });
+    const body = new THREE.Mesh(bodyGeo, bodyMat);
+    body.position.y = 2.1; // 0.5 (wheels) + 1.6 (half height)
+    body.castShadow = true;
+    group.add(body);
+
+    // Windows band
+    const winGeo = new THREE.BoxGeometry(2.55, 1.0, 11.8);
+    const winMat = new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 0.1, metalness: 0.8 });
+    const windows = new THREE.Mesh(winGeo, winMat);
+    windows.position.y = 2.5;
+    group.add(windows);
+
+    // Wheels
+    const wheelGeo = new THREE.CylinderGeometry(0.5, 0.5, 2.6, 12);
+    const wheelMat = new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.9 });
+
+    const wheelFront = new THREE.Mesh(wheelGeo, wheelMat);
+    wheelFront.rotation.z = Math.PI / 2;
+    wheelFront.position.set(0, 0.5, 4.0);
+    group.add(wheelFront);
+
+    const wheelBack = new THREE.Mesh(wheelGeo, wheelMat);
+    wheelBack.rotation.z = Math.PI / 2;
+    wheelBack.position.set(0, 0.5, -3.5);
+    group.add(wheelBack);
+
+    const wheelBack2 = new THREE.Mesh(wheelGeo, wheelMat);
+    wheelBack2.rotation.z = Math.PI / 2;
+    wheelBack2.position.set(0, 0.5, -4.7);
+    group.add(wheelBack2);
+
+    return group;
+}
+
+// Panel grid for one slope of a roof form (src/roofForms.js) from the module and clearances in
+// config.solar. All slopes of a form are the same size. Flat roofs solve their racking rows on
+// plan, spaced by config.structure.rackSpacing instead of the module row gap.
+export function solveSlopeLayout(config, form = roofForm(config.structure)) {
+    const [slope] = form.slopes;
+    const solar = config.solar;
+    return solvePanelLayout({
+        slopeExtent: slope.slopeExtent,
+        lengthExtent: slope.lengthExtent,
+        moduleLength: solar.length,
+        moduleWidth: solar.width,
+        orientation: solar.orientation,
+        gapX: solar.gapX,
+        gapY: form.rack ? form.rack.gap : solar.gapY,
+        edgeClearance: solar.edgeClearance,
+        eavesClearance: solar.eavesClearance,
+        ridgeClearance: solar.ridgeClearance,
+        rows: solar.autoFit ? null : solar.rowsPerSlope,
+        cols: solar.autoFit ? null : solar.panelsPerRow,
+        tilt: form.rack ? form.rack.tilt : 0
+    });
+}
+
+// Flat roof racking: each solved row becomes a rack of modules tilted towards the facing side
+// (rack.axis/dir), with a rear frame rail on the deck. Returns the next instance index.
+function placeRackRows(config, group, solarInst, pIdx, form, slope, layout, frameMat, dummy) {
+    const { tilt, axis, dir } = form.rack;
+    const lift = layout.alongSlope * Math.sin(tilt) / 2; // module centre above its low edge
+    // Turn module +X (its long side) to face along the rack direction
+    const yaw = axis === 'x' ? (dir > 0 ? 0 : Math.PI) : -dir * Math.PI / 2;
+    // u runs back from the facing edge; v along the rack
+    const plan = (u, v) => (axis === 'x' ? { x: -dir * u, z: v } : { x: v, z: -dir * u });
+
+    for (const { u, v } of layout.positions) {
+        const at = plan(u, v);
+        dummy.position.set(at.x, slope.cy + lift, at.z);
+        dummy.rotation.set(0, yaw, 0);
+        dummy.rotateZ(-tilt);
+        if (layout.orientation === 'landscape') dummy.rotateY(Math.PI / 2);
+        dummy.updateMatrix();
+        solarInst.setMatrixAt(pIdx++, dummy.matrix);
+    }
+
+    // Rear rail under the high edge of each rack row, from the deck to the module frame
+    const deckTop = form.sheets[0].cy + 0.025;
+    const railHeight = slope.cy + 2 * lift - deckTop;
+    const rowLength = layout.cols * layout.alongLength + Math.max(0, layout.cols - 1) * config.solar.gapX;
+    const railGeo = new THREE.BoxGeometry(0.05, railHeight, rowLength);
+    const railBom = { item: 'Rack frame', spec: 'Aluminium rail', unit: 'm', size: rowLength };
+    layout.positions.filter((p) => p.col === 0).forEach(({ u, v }) => {
+        const at = plan(u + layout.rowDepth / 2, v + (rowLength - layout.alongLength) / 2);
+        const rail = new THREE.Mesh(railGeo, frameMat);
+        rail.position.set(at.x, deckTop + railHeight / 2, at.z);
+        rail.rotation.y = axis === 'x' ? 0 : Math.PI / 2;
+        rail.userData.bom = railBom;
+        rail.castShadow = true;
+        group.add(rail);
+    });
+    return pIdx;
+}
+
+// Eight-point compass name of an azimuth (degrees clockwise from north), used to label slopes
+function compassName(azimuth) {
+    const names = ['North', 'North-east', 'East', 'South-east', 'South', 'South-west', 'West', 'North-west'];
+    return names[Math.round(azimuth / 45) % 8];
+}
+
+// Explicit grids must fit every canopy in the scenario (length and, for the south-facing
+// roof forms, rotation change the roof), not just the default one
+export function layoutErrors(config, scenario) {
+    const forms = structureFootprints(scenario, config.structure).map((f) => roofForm(config.structure, f.rotation, f.length));
+    return [...new Set(forms.flatMap((form) => solveSlopeLayout(config, form).errors))];
+}
+
+// Ground-level rectangle { x, z, width, length } from the scenario, just above the grass
+function flatRect(rect, material, y) {
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(rect.width, rect.length), material);
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.position.set(rect.x, y, rect.z);
+    mesh.receiveShadow = true;
+    mesh.name = rect.name || '';
+    return mesh;
+}
+
+function createTree() {
+    const group = new THREE.Group();
+
+    // Trunk
+    const trunkGeo = new THREE.CylinderGeometry(0.2, 0.4, 1.5, 6);
+    const trunkMat = new THREE.MeshStandardMaterial({ color: 0x4d2926, roughness: 0.9 });
+    const trunk = new THREE.Mesh(trunkGeo, trunkMat);
+    trunk.position.y = 0.75;
+    trunk.castShadow = true;
+    group.add(trunk);
+
+    // Foliage (Low Poly)
+    const leavesGeo = new THREE.DodecahedronGeometry(1.5);
+    const leavesMat = new THREE.MeshStandardMaterial({ color: 0x2d4c1e, roughness: 0.8 });
+    const leaves = new THREE.Mesh(leavesGeo, leavesMat);
+    leaves.position.y = 2.5;
+    leaves.castShadow = true;
+    group.add(leaves);
+
+    return group;
+}
+
+// Plan outline (world x/z) of a box mesh such as a column, brace or bay marking, grown on every side
+function boxOutline(mesh, grow = 0) {
+    const hx = mesh.geometry.parameters.width / 2 + grow;
+    const hz = mesh.geometry.parameters.depth / 2 + grow;
+    return [[-hx, -hz], [hx, -hz], [hx, hz], [-hx, hz]].map(([x, z]) => {
+        const world = new THREE.Vector3(x, 0, z).applyMatrix4(mesh.matrixWorld);
+        return { x: world.x, z: world.z };
+    });
+}
+
+// Frees GPU resources held by a generated group before it is replaced.
+export function disposeGroup(group) {
+    group.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+            const materials = Array.isArray(child.material) ? [...child.material] : [child.material];
+            // Overlays (heatmaps etc.) park the real material in userData while active
+            if (child.userData.originalMaterial) materials.push(child.userData.originalMaterial);
+            materials.forEach((mat) => {
+                if (mat.map) mat.map.dispose();
+                mat.dispose();
+            });
+        }
+    });
+}
+
+// World position of one instance of an instanced mesh, such as a PV module
+function instancePosition(mesh, index) {
+    const matrix = new THREE.Matrix4();
+    mesh.getMatrixAt(index, matrix);
+    matrix.premultiply(mesh.matrixWorld);
+    return new THREE.Vector3().setFromMatrixPosition(matrix);
+}
+
+// config: createConfig() (src/config.js), scenario: a validated site scenario (src/scenario.js).
+// Returns the model: its groups (all under model.root), the rebuild methods and the metrics.
+export function createSiteModel(config, scenario, { createTexture = null } = {}) {
+    const model = {
+        config,
+        scenario,
+        root: new THREE.Group(), // Holds every generated group; add it to a scene to draw the site
+        ports: [], // One group per canopy; port.userData.structure describes it
+        braceGroup: null,
+        parkingGroup: null, // userData: bays, canopies and parking counts
+        containerGroup: null,
+        plantRoom: null, // The container whose east wall carries the inverters
+        envGroup: null,
+        fenceGroup: null,
+        treeGroup: new THREE.Group()
+    };
+    model.root.name = 'Site';
+    model.root.add(model.treeGroup);
+
+    // Repeating canvas texture, or null when textures are skipped
+    function texture(width, height, draw, repeatX = 1, repeatY = 1) {
+        if (!createTexture) return null;
+        const map = createTexture(width, height, draw);
+        map.wrapS = THREE.RepeatWrapping;
+        map.wrapT = THREE.RepeatWrapping;
+        map.repeat.set(repeatX, repeatY);
+        return map;
+    }
+
+    // Replaces one generated group, or the list of canopies, under the root and frees the old one
+    function swap(key, next) {
+        [].concat(model[key] || []).forEach((group) => {
+            model.root.remove(group);
+            disposeGroup(group);
+        });
+        model[key] = next;
+        model.root.add(...[].concat(next));
+    }
+
+    // --- Canopies ---
+    // footprint: placement from structureFootprints (src/scenario.js).
+    // options.braces: per frame line, the neighbour connection that replaces the left column (or null).
+    // The cross-section (columns, rafters, sheets, panel planes) comes from roofForm, config.structure.roofType.
+    function createStructure(footprint, options = {}) {
+        const group = new THREE.Group();
+
+        const form = roofForm(config.structure, footprint.rotation, footprint.length);
+        const { halfSpan, roofLen, edges } = form;
+        const { frameZ } = footprint;
+        const braces = options.braces || frameZ.map(() => null);
+
+        // 1. Columns (RSJs), up to the rafter line on each side
+        const colMat = new THREE.MeshStandardMaterial({ color: config.structure.rafterColor, roughness: 0.7 });
+        // BOM tags, one per member type (sizes mirror the geometry below)
+        const column = (height) => ({
+            height,
+            geo: new THREE.BoxGeometry(0.2, height, 0.2),
+            bom: { item: 'Column', spec: 'Steel 200x200', unit: 'm', size: height }
+        });
+        const columns = { left: column(edges.left), right: column(edges.right) };
+        const rafters = form.rafters.map((rafter) => ({
+            ...rafter,
+            geo: new THREE.BoxGeometry(rafter.length, 0.3, 0.15),
+            bom: { item: 'Rafter', spec: 'Steel 300x150', unit: 'm', size: rafter.length }
+        }));
+
+        for (let i = 0; i < frameZ.length; i++) {
+            const z = frameZ[i];
+
+            // Columns; the left one is skipped where a neighbour's column carries this frame through braces
+            [['left', -halfSpan], ['right', halfSpan]].forEach(([side, x]) => {
+                if (side === 'left' && braces[i]) return;
+                const col = new THREE.Mesh(columns[side].geo, colMat);
+                col.position.set(x, columns[side].height / 2, z);
+                col.userData.bom = columns[side].bom;
+                col.userData.plan = { layer: 'COLUMNS', shape: 'outline' };
+                col.userData.member = { structure: options.name, type: 'column', frame: i, side };
+                col.castShadow = true;
+                col.receiveShadow = true;
+                group.add(col);
+            });
+
+            // Visual Rafters, centred on their run and turned to the roof pitch
+            rafters.forEach((rafter) => {
+                const mesh = new THREE.Mesh(rafter.geo, colMat);
+                mesh.position.set(rafter.cx, rafter.cy, z);
+                mesh.rotation.z = rafter.pitch;
+                mesh.userData.bom = rafter.bom;
+                mesh.userData.member = { structure: options.name, type: 'rafter', frame: i, side: null };
+                group.add(mesh);
+            });
+        }
+
+        // 2. Roof Sheet
+        const roofMat = new THREE.MeshStandardMaterial({ color: config.structure.roofSheetColor, roughness: 0.6, metalness: 0.3 });
+        form.sheets.forEach((sheet) => {
+            const roof = new THREE.Mesh(new THREE.BoxGeometry(sheet.width, 0.05, roofLen), roofMat);
+            roof.position.set(sheet.cx, sheet.cy, 0);
+            roof.rotation.z = sheet.pitch;
+            roof.userData.bom = { item: 'Roof sheet', spec: 'Trapezoidal steel', unit: 'm²', size: sheet.width * roofLen };
+            roof.userData.plan = { layer: 'ROOF', shape: 'outline' };
+            roof.castShadow = true;
+            group.add(roof);
+        });
+
+        // Butterfly roofs drain to a box gutter along the valley
+        if (form.type === 'butterfly') {
+            const gutter = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.2, roofLen), colMat);
+            gutter.position.set(0, edges.centre + 0.1, 0);
+            gutter.userData.bom = { item: 'Gutter', spec: 'Steel box gutter', unit: 'm', size: roofLen };
+            gutter.castShadow = true;
+            group.add(gutter);
+        }
+
+        // 3. Solar Panels (InstancedMesh)
+        // Grid solved per slope (all slopes of a form are identical); see solveSlopeLayout
+        const layout = solveSlopeLayout(config, form);
+        const totalPanels = layout.positions.length * form.slopes.length;
+
+        // Geometry: X=Length(SlopeDir), Y=Thick, Z=Width(RowDir)
+        // This alignment simplifies the rotation math along the slope.
+        // Landscape modules reuse it, turned 90 degrees on the roof plane.
+        const panelMeshGeo = new THREE.BoxGeometry(config.solar.length, 0.04, config.solar.width);
+
+        // Procedural Texture for Solar Panels
+        const panelTex = texture(256, 164, (ctx, w, h) => {
+            // Outer Frame (Dark grey - subtle against dark panel)
+            ctx.fillStyle = '#444444';
+            ctx.fillRect(0, 0, w, h);
+
+            // Inner Glass (Near-black with slight blue tint)
+            ctx.fillStyle = '#091428';
+            ctx.fillRect(4, 4, w - 8, h - 8);
+
+            // Grid Lines (Silver cell dividers)
+            ctx.strokeStyle = '#aaaaaa'; // Dimmer grid lines
+            ctx.globalAlpha = 0.2; // Keep grid lines subtle
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+
+            // Grid divisions
+            for (let i = 1; i < 6; i++) {
+                ctx.moveTo(0, h * i / 6);
+                ctx.lineTo(w, h * i / 6);
+            }
+            for (let j = 1; j < 10; j++) {
+                ctx.moveTo(w * j / 10, 0);
+                ctx.lineTo(w * j / 10, h);
+            }
+            ctx.stroke();
+            ctx.globalAlpha = 1.0; // Reset alpha
+        });
+
+        const panelMat = new THREE.MeshStandardMaterial({
+            map: panelTex,
+            color: 0xffffff, // Use white to retain texture colors
+            roughness: 0.1, // Restore glossiness
+            metalness: 0.8, // Restore metalness for specular highlights
+            emissive: 0x050a14, // Very faint blue emissive glow
+            emissiveIntensity: 0.2
+        });
+
+        const solarInst = new THREE.InstancedMesh(panelMeshGeo, panelMat, totalPanels);
+        const dummy = new THREE.Object3D();
+        let pIdx = 0;
+
+        // Pitched slopes: local +X points up the slope where upSlope is 1 and down it where -1.
+        // Every slope is filled eaves row first (front rack first on a flat roof).
+        for (const slope of form.slopes) {
+            if (form.rack) {
+                pIdx = placeRackRows(config, group, solarInst, pIdx, form, slope, layout, colMat, dummy);
+                continue;
+            }
+            for (const { u, v } of layout.positions) {
+                // Vector along slope (X) and building length (Z) on the unrotated plane,
+                // then rotated by the pitch around the Z axis
+                const vec = new THREE.Vector3(u * slope.upSlope, 0.05, v);
+                vec.applyAxisAngle(new THREE.Vector3(0, 0, 1), slope.pitch);
+
+                dummy.position.set(slope.cx + vec.x, slope.cy + vec.y, vec.z);
+                dummy.rotation.set(0, 0, slope.pitch);
+                if (layout.orientation === 'landscape') dummy.rotateY(Math.PI / 2);
+
+                dummy.updateMatrix();
+                solarInst.setMatrixAt(pIdx++, dummy.matrix);
+            }
+        }
+
+        group.add(solarInst);
+
+        // Slope metadata for analysis (yield, reporting). Azimuth is the direction each slope faces,
+        // turned with the structure; racked modules take the rack tilt.
+        const panelsPerSlope = layout.positions.length;
+        const tilt = THREE.MathUtils.radToDeg(form.rack ? form.rack.tilt : form.pitchRad);
+        solarInst.name = 'PV modules';
+        solarInst.userData.isSolarArray = true;
+        solarInst.userData.bom = { item: 'PV module', spec: config.solar.model, unit: 'ea', size: 1 };
+        solarInst.userData.plan = { layer: 'PV_OUTLINE', shape: 'instances', groupSize: panelsPerSlope };
+        group.userData.bomGroup = options.name;
+        group.userData.structure = {
+            name: options.name,
+            code: options.code, // Short prefix for string/grid references
+            pitchRad: form.pitchRad,
+            roof: form,
+            solarMesh: solarInst,
+            panelsPerRow: layout.cols,
+            rowsPerSlope: layout.rows,
+            layout,
+            length: footprint.length,
+            rotation: footprint.rotation, // degrees about +Y
+            footprint,
+            // Frame lines (one column/rafter set each) in local z
+            frameZ,
+            braces,
+            slopes: form.slopes.map((slope) => {
+                const azimuth = facingAzimuth(slope.localAzimuth, footprint.rotation);
+                return { name: compassName(azimuth), tilt, azimuth, panelCount: panelsPerSlope };
+            })
+        };
+
+        group.position.set(footprint.x, 0, footprint.z);
+        group.rotation.y = THREE.MathUtils.degToRad(footprint.rotation);
+        return group;
+    }
+
+    // Structures come from the site scenario (src/scenario.js), each at its own position, rotation
+    // and length. Parallel spans with a gap of at most braceGap share columns: the east structure
+    // skips its west column on every frame line opposite a neighbour column and is carried by
+    // horizontal braces from it, e.g. the default car port (spans -12 to 0) and coach port, one
+    // braceGap (1.5 m by default) further east. Placement is resolved from config so the design
+    // panel can resize the spans.
+    function buildStructures() {
+        const footprints = structureFootprints(model.scenario, config.structure);
+        const connections = structureConnections(footprints, config.structure);
+        return model.scenario.structures.map((entry, i) => {
+            const group = createStructure(footprints[i], {
+                name: entry.name,
+                code: entry.code,
+                braces: connections[i]
+            });
+            group.userData.structure.parking = entry.parking;
+            return group;
+        });
+    }
+
+    // Horizontal braces from each braced frame line's west eaves to the neighbour's east eaves,
+    // laid out in the braced structure's own axes
+    function createBraces(structures) {
+        const braceGroup = new THREE.Group();
+        const braceMat = new THREE.MeshStandardMaterial({ color: config.structure.rafterColor, roughness: 0.7 });
+        braceGroup.userData.bomGroup = 'Braces';
+
+        structures.forEach((port) => {
+            const { name, frameZ, braces, footprint, roof } = port.userData.structure;
+            const sections = new Map(); // one geometry per gap width
+
+            braces.forEach((connection, i) => {
+                if (!connection) return;
+                const { gap } = connection;
+                if (!sections.has(gap)) {
+                    sections.set(gap, {
+                        geo: new THREE.BoxGeometry(gap, 0.2, 0.15), // steel section across the gap
+                        bom: { item: 'Brace', spec: 'Steel 200x150', unit: 'm', size: gap }
+                    });
+                }
+                const { geo, bom } = sections.get(gap);
+                const brace = new THREE.Mesh(geo, braceMat);
+                // Centred in the gap, at the height of the eaves it carries
+                const centre = footprintToWorld(footprint, -(config.structure.width + gap) / 2, frameZ[i]);
+                brace.position.set(centre.x, roof.edges.left, centre.z);
+                brace.rotation.y = port.rotation.y;
+                brace.userData.bom = bom;
+                brace.userData.plan = { layer: 'BRACES', shape: 'outline' };
+                brace.userData.member = { structure: name, type: 'brace', frame: i, side: null };
+                brace.castShadow = true;
+                braceGroup.add(brace);
+            });
+        });
+        return braceGroup;
+    }
+
+    // --- Containers ---
+    function createContainer(customLength = null) {
+        const group = new THREE.Group();
+        const width = CONTAINER_WIDTH;
+        const height = CONTAINER_HEIGHT;
+        const length = customLength || config.structure.length; // Matches car port length length
+
+        // Procedural texture for trapezoidal sheeting (vertical dark grey/black stripes)
+        const sheetTex = texture(512, 512, (ctx, w, h) => {
+            ctx.fillStyle = '#0a0a0a'; // Dark base (valley)
+            ctx.fillRect(0, 0, w, h);
+
+            ctx.fillStyle = '#111111'; // Lighter (ridge)
+            const stripes = 40;
+            const stripeW = w / stripes;
+            for (let i = 0; i < stripes; i++) {
+                // Draw a slightly lighter strip in the middle of each segment
+                ctx.fillRect(i * stripeW + (stripeW * 0.2), 0, stripeW * 0.4, h);
+            }
+        }, 10, 1); // Repeated along the long side for realism
+
+        const sheetMat = new THREE.MeshStandardMaterial({
+            map: sheetTex,
+            color: 0x111111, // Darken overall color
+            roughness: 0.9, // Very rough
+            metalness: 0.1 // Not very metallic
+        });
+
+        const geo = new THREE.BoxGeometry(width, height, length);
+        const container = new THREE.Mesh(geo, sheetMat);
+        container.position.set(0, height / 2, 0);
+        container.userData.bom = { item: 'Container', spec: `${width} x ${length} x ${height} m`, unit: 'ea', size: 1 };
+        container.userData.plan = { layer: 'CONTAINERS', shape: 'outline' };
+        group.userData.bomGroup = 'Containers';
+        container.castShadow = true;
+        container.receiveShadow = true;
+        group.add(container);
+
+        return group;
+    }
+
+    // Containers from the scenario; the plant room's east wall carries the inverters.
+    function createContainers() {
+        const group = new THREE.Group();
+        model.plantRoom = null;
+        model.scenario.containers.forEach((entry) => {
+            const container = createContainer(entry.length);
+            container.name = entry.name;
+            container.position.set(entry.x, 0, entry.z);
+            if (entry.plantRoom || !model.plantRoom) model.plantRoom = container;
+            group.add(container);
+        });
+        return group;
+    }
+
+    // --- Parking & Vehicles ---
+    // Bays come from the parking engine (src/parkingLayout.js), laid out in each port's own axes,
+    // and are checked against the columns createStructure placed. Vehicles only fill clear bays.
+
+    // Plan outlines of every column, grown by the clearance, tagged e.g. "Car port F3 (left)"
+    function columnOutlines(clearance) {
+        const outlines = [];
+        model.ports.forEach((port) => {
+            port.updateMatrixWorld(true);
+            port.traverse((child) => {
+                const member = child.userData.member;
+                if (!member || member.type !== 'column') return;
+                outlines.push({ label: `${member.structure} F${member.frame + 1} (${member.side})`, corners: boxOutline(child, clearance) });
+            });
+        });
+        return outlines;
+    }
+
+    // One port's bays with their world plan corners and column clashes
+    function planPortParking(port, settings, columns) {
+        const { footprint } = port.userData.structure;
+        const plan = layoutBays(footprint.length, settings, config.structure.width);
+        const worldBays = plan.bays.map((bay) => ({
+            corners: bay.corners.map((c) => footprintToWorld(footprint, c.x, c.z))
+        }));
+        return { ...plan, worldBays, clashes: findColumnClashes(worldBays, columns) };
+    }
+
+    function generateParking() {
+        const group = new THREE.Group();
+        const random = createRandom(config.random.seed, 'parking');
+        const { standards } = config.parking;
+        const columns = columnOutlines(standards.columnClearance);
+
+        const bays = []; // Bay centres, outlines and vehicle headings (world) for the site plan, swept paths and inspector
+        const canopies = []; // Per-port aisles, counts and clashes
+        const counts = { car: 0, coach: 0 };
+
+        // Bays are numbered on from one port of a kind to the next; coach bays are prefixed C
+        ['car', 'coach'].forEach((kind) => {
+            const settings = config.parking[kind];
+            const lineMat = new THREE.MeshBasicMaterial({ color: settings.lineColor });
+
+            model.ports.filter((port) => port.userData.structure.parking === kind).forEach((port) => {
+                const { name, footprint, rotation } = port.userData.structure;
+                const plan = planPortParking(port, settings, columns);
+                const clashing = new Set(plan.clashes.map((c) => c.bay));
+
+                // Markings and vehicles sit in a group that carries the port's position and rotation
+                const portGroup = new THREE.Group();
+                portGroup.position.copy(port.position);
+                portGroup.rotation.copy(port.rotation);
+                group.add(portGroup);
+
+                const labels = plan.bays.map((_, i) => `${kind === 'coach' ? 'C' : ''}${counts[kind] + i + 1}`);
+                plan.bays.forEach((bay, i) => {
+                    const world = footprintToWorld(footprint, bay.centre.x, bay.centre.z);
+                    bays.push({
+                        label: labels[i],
+                        kind,
+                        structure: name,
+                        x: world.x,
+                        z: world.z,
+                        heading: bay.heading + rotation * Math.PI / 180,
+                        corners: plan.worldBays[i].corners,
+                        layout: plan.layout.label,
+                        width: settings.width,
+                        length: plan.layout.angle === 0 ? settings.parallelLength : settings.length,
+                        clear: !clashing.has(i)
+                    });
+
+                    if (!clashing.has(i) && random() > (kind === 'car' ? 0.3 : 0.4)) {
+                        const chosen = settings.colors[Math.floor(random() * settings.colors.length)].color;
+                        const vehicle = kind === 'car' ? createCarStructure(chosen) : createCoachStructure(chosen);
+                        vehicle.position.set(bay.centre.x, 0.02, bay.centre.z);
+                        vehicle.rotation.y = bay.heading; // Nose into the bay
+                        vehicle.castShadow = true;
+                        vehicle.userData.vehicle = kind === 'car' ? 'Car' : 'Coach';
+                        vehicle.userData.bay = labels[i];
+                        portGroup.add(vehicle);
+                    }
+                });
+
+                plan.dividers.forEach(({ points: [p, q], bays: bordering }) => {
+                    const len = Math.hypot(q.x - p.x, q.z - p.z);
+                    const line = new THREE.Mesh(new THREE.BoxGeometry(settings.lineWidth, 0.02, len), lineMat);
+                    line.userData.plan = { layer: 'BAYS', shape: 'centreline' };
+                    line.userData.marking = bordering.map((i) => labels[i]).join('/');
+                    line.position.set((p.x + q.x) / 2, 0.02, (p.z + q.z) / 2);
+                    line.rotation.y = Math.atan2(q.x - p.x, q.z - p.z);
+                    portGroup.add(line);
+                });
+                counts[kind] += plan.bays.length;
+
+                // Clear bays each layout would give at its minimum standard aisle, to compare against
+                const options = PARKING_LAYOUTS.map((layout) => {
+                    const alternative = planPortParking(port, {
+                        ...settings,
+                        layout: layout.id,
+                        aisleWidth: standards[kind].aisle[layout.id]
+                    }, columns);
+                    return alternative.bays.length - new Set(alternative.clashes.map((c) => c.bay)).size;
+                });
+
+                canopies.push({
+                    name,
+                    kind,
+                    aisleX: plan.aisleX,
+                    bays: plan.bays.length,
+                    clear: plan.bays.length - clashing.size,
+                    clashes: plan.clashes.map((c) => ({ bay: labels[c.bay], column: c.column })),
+                    overhanging: plan.overhanging.length,
+                    options
+                });
+            });
+        });
+
+        // Bay and vehicle counts for reporting
+        const vehicles = [];
+        group.traverse((child) => {
+            if (child.userData.vehicle) vehicles.push(child);
+        });
+        group.userData.bays = bays;
+        group.userData.canopies = canopies;
+        group.userData.parking = {
+            carBays: counts.car,
+            coachBays: counts.coach,
+            cars: vehicles.filter((v) => v.userData.vehicle === 'Car').length,
+            coaches: vehicles.filter((v) => v.userData.vehicle === 'Coach').length
+        };
+
+        return group;
+    }
+
+    // --- Environment ---
+    function createEnvironment() {
+        const group = new THREE.Group();
+
+        // 1. Hard Standing Area (Tarmac / Dark Asphalt tight to structures)
+        const hardStandingTex = texture(512, 512, (ctx, w, h) => {
+            ctx.fillStyle = '#2d2d2d'; // Darker gray base (Tarmac)
+            ctx.fillRect(0, 0, w, h);
+            // Add noise
+            // Fixed noise (seed 0): the texture is identical whatever the scene seed
+            const noise = createRandom(0, 'hard-standing');
+            for (let i = 0; i < 50000; i++) {
+                ctx.fillStyle = noise() > 0.5 ? '#363636' : '#242424';
+                ctx.fillRect(noise() * w, noise() * h, 2, 2);
+            }
+        }, 15, 30); // Tiling adjusted slightly for darker tarmac
+
+        const hardStandingMat = new THREE.MeshStandardMaterial({
+            map: hardStandingTex,
+            roughness: 0.9,
+            metalness: 0.1
+        });
+
+        // Tarmac rectangles from the scenario (under the canopies and the containers)
+        model.scenario.hardStanding.forEach((rect) => {
+            const tarmac = flatRect(rect, hardStandingMat, 0.05);
+            tarmac.userData.plan = { layer: 'HARDSTANDING', shape: 'outline' };
+            group.add(tarmac);
+        });
+
+        // 2. Sports Pitches (scenario; the markings are drawn to the texture)
+        const pitchTex = texture(1024, 1024, (ctx, w, h) => {
+            // Grass base
+            ctx.fillStyle = '#2d5a27'; // Football pitch green
+            ctx.fillRect(0, 0, w, h);
+
+            // Mowing strips (optional subtle variation)
+            ctx.fillStyle = '#32612b';
+            const strips = 10;
+            const stripH = h / strips;
+            for (let i = 0; i < strips; i += 2) {
+                ctx.fillRect(0, i * stripH, w, stripH);
+            }
+
+            // Lines
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 5;
+
+            // Border
+            const pad = 20;
+            ctx.strokeRect(pad, pad, w - pad * 2, h - pad * 2);
+
+            // Center Line
+            ctx.beginPath();
+            ctx.moveTo(pad, h / 2);
+            ctx.lineTo(w - pad, h / 2);
+            ctx.stroke();
+
+            // Center Circle
+            ctx.beginPath();
+            ctx.arc(w / 2, h / 2, 60, 0, Math.PI * 2);
+            ctx.stroke();
+
+            // Goal Areas (Approx)
+            const goalW = 200;
+            const goalH = 80;
+
+            // Top Goal
+            ctx.strokeRect((w - goalW) / 2, pad, goalW, goalH);
+            // Bottom Goal
+            ctx.strokeRect((w - goalW) / 2, h - pad - goalH, goalW, goalH);
+        });
+
+        const pitchMat = new THREE.MeshStandardMaterial({
+            map: pitchTex,
+            roughness: 0.8
+        });
+        model.scenario.pitches.forEach((rect) => {
+            const pitch = flatRect(rect, pitchMat, 0.06); // Raised slightly above hardstanding level
+            pitch.userData.plan = { layer: 'PITCH', shape: 'outline' };
+            group.add(pitch);
+        });
+
+        // 3. General Ground Plane (Grass)
+        // Cropped to active area, dynamically adjusted to include expanded pitch gap
+        const groundGeo = new THREE.PlaneGeometry(250, 250);
+        const groundMat = new THREE.MeshStandardMaterial({ color: 0x3a5f0b, roughness: 1 });
+        const ground = new THREE.Mesh(groundGeo, groundMat);
+        ground.rotation.x = -Math.PI / 2;
+        ground.position.set(-40, -0.1, 0); // Lowered significantly to avoid z-fighting
+        ground.receiveShadow = true;
+        group.add(ground);
+
+        // 4. Roads and access roads (scenario), sharing one dashed-centre-line material
+        const roadTex = texture(256, 256, (ctx, w, h) => {
+            // Dark tarmac base
+            ctx.fillStyle = '#333333';
+            ctx.fillRect(0, 0, w, h);
+            // Asphalt noise
+            const noise = createRandom(0, 'road');
+            for (let i = 0; i < 20000; i++) {
+                ctx.fillStyle = noise() > 0.5 ? '#3a3a3a' : '#2a2a2a';
+                ctx.fillRect(noise() * w, noise() * h, 2, 2);
+            }
+            // Center dashed line
+            ctx.fillStyle = '#ffffff';
+            const dashLen = 30;
+            const gapLen = 20;
+            const lineW = 4;
+            for (let y = 0; y < h; y += dashLen + gapLen) {
+                ctx.fillRect((w - lineW) / 2, y, lineW, dashLen);
+            }
+        }, 1, 20);
+
+        const roadMat = new THREE.MeshStandardMaterial({
+            map: roadTex,
+            roughness: 0.85,
+            metalness: 0.05
+        });
+        model.scenario.roads.forEach((rect) => {
+            const road = flatRect(rect, roadMat, 0.04);
+            road.userData.plan = { layer: 'ROADS', shape: 'outline' };
+            group.add(road);
+        });
+
+        return group;
+    }
+
+    // --- Vegetation ---
+    // Scatters trees from the seeded 'trees' stream; called again when the seed or scenario changes.
+    // Candidates falling in a scenario exclusion zone are dropped, not re-drawn.
+    function populateTrees(group) {
+        const random = createRandom(config.random.seed, 'trees');
+        const { count, area } = model.scenario.trees;
+        const excluded = (x, z) => model.scenario.exclusionZones.some((zone) => (
+            x > zone.minX && x < zone.maxX && z > zone.minZ && z < zone.maxZ
+        ));
+
+        for (let i = 0; i < count; i++) {
+            const x = area.minX + random() * (area.maxX - area.minX);
+            const z = area.minZ + random() * (area.maxZ - area.minZ);
+
+            if (!excluded(x, z)) {
+                const tree = createTree();
+                tree.name = `Tree ${group.children.length + 1}`;
+                tree.userData.tree = true;
+                tree.position.set(x, 0, z);
+
+                const scale = 0.8 + random() * 0.4;
+                tree.scale.setScalar(scale);
+                tree.rotation.y = random() * Math.PI;
+
+                group.add(tree);
+            }
+        }
+    }
+
+    // --- Fencing ---
+    function createFence(length, height) {
+        const group = new THREE.Group();
+
+        // 1. Posts
+        const postSpacing = 3.0;
+        const postCount = Math.floor(length / postSpacing) + 1;
+        const postGeo = new THREE.CylinderGeometry(0.05, 0.05, height, 8);
+        const postMat = new THREE.MeshStandardMaterial({ color: 0x555555, roughness: 0.7 });
+
+        for (let i = 0; i < postCount; i++) {
+            const x = (i * postSpacing) - (length / 2);
+            const post = new THREE.Mesh(postGeo, postMat);
+            post.position.set(x, height / 2, 0);
+            group.add(post);
+        }
+
+        // 2. Chain-link Mesh (Procedural Texture)
+        const fenceTex = texture(512, 512, (ctx, w, h) => {
+            // Transparent background
+            ctx.clearRect(0, 0, w, h);
+
+            ctx.strokeStyle = '#cccccc';
+            ctx.lineWidth = 4;
+
+            // Diagonal grid
+            const step = 40;
+            ctx.beginPath();
+            for (let x = -h; x < w + h; x += step) {
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x + h, h);
+
+                ctx.moveTo(x + step / 2, 0);
+                ctx.lineTo(x + step / 2 - h, h);
+            }
+            ctx.stroke();
+        });
+
+        const fenceMat = new THREE.MeshStandardMaterial({
+            map: fenceTex,
+            color: 0xaaaaaa,
+            side: THREE.DoubleSide,
+            transparent: true,
+            alphaTest: 0.5, // Crisp cutout
+            roughness: 0.8,
+            metalness: 0.4
+        });
+
+        const meshGeo = new THREE.PlaneGeometry(length, height);
+        const fenceMesh = new THREE.Mesh(meshGeo, fenceMat);
+        fenceMesh.position.set(0, height / 2, 0);
+        fenceMesh.userData.shadeOpacity = 0.3; // Chain-link lets most light through
+        fenceMesh.userData.plan = { layer: 'FENCES', shape: 'centreline' };
+        group.add(fenceMesh);
+
+        return group;
+    }
+
+    // Scenario fences: each encloses a rectangle on the listed sides (e.g. the pitch ball trellis,
+    // left open on the east so it does not close off the structures).
+    function createSiteFences() {
+        const group = new THREE.Group();
+        model.scenario.fences.forEach((fence) => {
+            const sides = {
+                north: { length: fence.width, x: fence.x, z: fence.z - fence.length / 2, rotation: 0 },
+                south: { length: fence.width, x: fence.x, z: fence.z + fence.length / 2, rotation: 0 },
+                east: { length: fence.length, x: fence.x + fence.width / 2, z: fence.z, rotation: Math.PI / 2 },
+                west: { length: fence.length, x: fence.x - fence.width / 2, z: fence.z, rotation: Math.PI / 2 }
+            };
+            fence.sides.forEach((name) => {
+                const side = sides[name];
+                const run = createFence(side.length, fence.height);
+                run.name = `${fence.name} (${name})`;
+                run.rotation.y = side.rotation;
+                run.position.set(side.x, 0, side.z);
+                group.add(run);
+            });
+        });
+        return group;
+    }
+
+    // --- Rebuild ---
+    // The canopies, their braces and the parking under them, after a structure or module change
+    function rebuildCanopy() {
+        swap('ports', buildStructures());
+        swap('braceGroup', createBraces(model.ports));
+        swap('parkingGroup', generateParking());
+    }
+
+    // Layout edits only touch the bays and vehicles
+    function rebuildParking() {
+        swap('parkingGroup', generateParking());
+    }
+
+    // The seeded tree scatter, after a seed or scenario change
+    function scatterTrees() {
+        disposeGroup(model.treeGroup);
+        model.treeGroup.clear();
+        populateTrees(model.treeGroup);
+    }
+
+    // Site furniture of another scenario; the trees and canopies follow with the two calls above
+    function setScenario(next) {
+        model.scenario = next;
+        swap('envGroup', createEnvironment());
+        swap('containerGroup', createContainers());
+        swap('fenceGroup', createSiteFences());
+    }
+
+    // --- Metrics ---
+    // Plain data for the panels, reports and batch assertions, read back from the generated groups
+
+    // Headline figures for the info overlay
+    function summary() {
+        const structures = model.ports.map((port) => port.userData.structure);
+        const totalPanels = structures.reduce((sum, structure) => sum + structure.solarMesh.count, 0);
+        // Plan extents of all canopies (north-south length, east-west width)
+        const footprints = structures.map((structure) => structure.footprint);
+        const extent = (min, max) => Math.max(...footprints.map((f) => f[max])) - Math.min(...footprints.map((f) => f[min]));
+
+        return {
+            length: extent('minZ', 'maxZ'),
+            span: config.structure.width,
+            structureCount: structures.length,
+            overallWidth: extent('minX', 'maxX'),
+            braceGap: config.structure.braceGap,
+            eavesHeight: config.structure.eavesHeight,
+            ridgeHeight: config.structure.ridgeHeight,
+            totalPanels,
+            panelsPerRow: structures[0].panelsPerRow,
+            rowsPerSlope: structures[0].rowsPerSlope,
+            moduleModel: config.solar.model,
+            wattPeak: config.solar.wattPeak,
+            kwp: totalPanels * config.solar.wattPeak / 1000,
+            ...model.parkingGroup.userData.parking
+        };
+    }
+
+    // One surface per roof slope of each structure, using the same pitch the geometry was built with
+    function energyYield() {
+        const surfaces = model.ports.flatMap((port) => {
+            const { name, slopes } = port.userData.structure;
+            return slopes.map((slope) => ({
+                structure: name,
+                slope: slope.name,
+                tilt: slope.tilt,
+                azimuth: slope.azimuth,
+                kwp: slope.panelCount * config.solar.wattPeak / 1000
+            }));
+        });
+
+        return computeYield(surfaces, {
+            ...config.site,
+            ...config.yield,
+            year: parseInt(config.sun.date, 10)
+        });
+    }
+
+    // Per-canopy bay counts and clashes, and every layout checked against the design standards
+    function parkingReport() {
+        const { standards } = config.parking;
+        return {
+            canopies: model.parkingGroup.userData.canopies,
+            standards: {
+                car: checkParkingStandards(config.parking.car, standards.car),
+                coach: checkParkingStandards(config.parking.coach, standards.coach)
+            }
+        };
+    }
+
+    // Strings follow the solved panel grid
+    function stringDesign() {
+        return designStrings(
+            model.ports.map((port) => port.userData.structure),
+            config.solar.datasheet,
+            INVERTER_LIBRARY.find((inv) => inv.id === config.electrical.inverterId),
+            config.electrical,
+            config.electrical.modulesPerString || null
+        );
+    }
+
+    // Containment description of each canopy for the router (placement, local frame lines),
+    // keyed by structure name; braced frame lines route over the braces to their neighbour.
+    function cableFrames() {
+        const frames = {};
+        model.ports.forEach((port) => {
+            const { name, footprint, frameZ, roof } = port.userData.structure;
+            frames[name] = {
+                x: footprint.x,
+                z: footprint.z,
+                rotation: footprint.rotation,
+                halfSpan: roof.halfSpan,
+                // top of rafter at the west edge, centre line and east edge
+                heights: [roof.edges.left, roof.edges.centre, roof.edges.right].map((h) => h + 0.3),
+                frameZ,
+                braces: []
+            };
+        });
+        model.ports.forEach((port) => {
+            const { name, braces } = port.userData.structure;
+            frames[name].braces = braces.map((connection) => connection && {
+                frame: frames[connection.structure],
+                index: connection.frame
+            });
+        });
+        return frames;
+    }
+
+    // Home runs from both ends of every string of design (stringDesign()) to the inverter point
+    // on the plant room. One run per string, in order, with ends: the two routed polylines.
+    function cableRuns(design) {
+        const frames = cableFrames();
+        const byName = Object.fromEntries(model.ports.map((port) => [port.userData.structure.name, port]));
+        const module = config.solar.datasheet;
+        const inverter = {
+            wallX: new THREE.Box3().setFromObject(model.plantRoom).max.x,
+            y: config.cabling.inverterHeight,
+            z: config.cabling.inverterZ
+        };
+
+        return design.strings.map((string) => {
+            const port = byName[string.structure];
+            port.updateMatrixWorld(true);
+            const mesh = port.userData.structure.solarMesh;
+            const ends = [string.panels[0], string.panels[string.panels.length - 1]]
+                .map((i) => routeCable(instancePosition(mesh, i), frames[string.structure], inverter));
+
+            const [positive, negative] = ends.map(routeLength);
+            const result = voltageDrop(positive + negative, module.imp, {
+                ...config.cabling,
+                stringVoltage: string.modules * module.vmp
+            });
+            const flagged = result.dropPercent > config.cabling.maxDropPercent;
+            return { id: string.id, positive, negative, crossSection: config.cabling.crossSection, flagged, ...result, ends };
+        });
+    }
+
+    // One entry per frame line; braced frame lines hand their brace loads to the neighbour column.
+    // Columns are checked at the taller side of the roof form; wind acts on its pitched (or racked) face.
+    function structuralFrames() {
+        const frames = [];
+        model.ports.forEach((port) => {
+            const { name, frameZ, braces, roof } = port.userData.structure;
+            const height = Math.max(roof.edges.left, roof.edges.right);
+            frameZ.forEach((z, i) => {
+                // Half the distance to each neighbouring frame line
+                const before = i > 0 ? z - frameZ[i - 1] : 0;
+                const after = i < frameZ.length - 1 ? frameZ[i + 1] - z : 0;
+                frames.push({
+                    structure: name,
+                    frame: i,
+                    tributary: (before + after) / 2,
+                    span: roof.halfSpan * 2,
+                    slopeLen: roof.wind.slopeLen,
+                    pitchRad: roof.wind.pitchRad,
+                    height,
+                    hasLeftColumns: !braces[i],
+                    braceTo: braces[i] ? braces[i].structure : null,
+                    braceFrame: braces[i] ? braces[i].frame : null,
+                    braceLength: braces[i] ? braces[i].gap : 0
+                });
+            });
+        });
+        return frames;
+    }
+
+    // Frame-line loads from config.loads; returns { members, combinations } (src/structuralCheck.js)
+    function structuralCheck() {
+        const loads = config.loads;
+        const section = (name) => SECTION_LIBRARY.find((s) => s.name === name);
+        const structures = model.ports.map((port) => port.userData.structure);
+        const moduleCount = structures.reduce((sum, structure) => sum + structure.solarMesh.count, 0);
+        const roofArea = structures.reduce((sum, { roof }) => sum + roof.slopes.length * roof.slopeLen * roof.roofLen, 0);
+
+        const combinations = loadCombinations(loads, moduleDeadLoad(moduleCount, config.solar.datasheet.weight, roofArea), structures[0].roof.pitchRad);
+        const members = checkFrames(structuralFrames(), combinations, {
+            column: section(loads.columnSection),
+            rafter: section(loads.rafterSection),
+            brace: section(loads.braceSection)
+        }, loads.fy);
+        return { members, combinations };
+    }
+
+    function sweptObstacles(vehicle) {
+        const obstacles = columnOutlines(0).map((column) => ({ ...column, label: `Column ${column.label}` }));
+
+        model.braceGroup.updateMatrixWorld(true);
+        model.braceGroup.traverse((child) => {
+            const member = child.userData.member;
+            if (!member || member.type !== 'brace') return;
+            if (new THREE.Box3().setFromObject(child).min.y >= vehicle.height) return; // Driven under
+            obstacles.push({ label: `Brace ${member.structure} F${member.frame + 1}`, corners: boxOutline(child) });
+        });
+
+        model.parkingGroup.updateMatrixWorld(true);
+        model.parkingGroup.traverse((child) => {
+            if (child.userData.marking === undefined) return;
+            obstacles.push({
+                label: `Bay line ${child.userData.marking}`,
+                corners: boxOutline(child),
+                ground: true,
+                bays: child.userData.marking.split('/')
+            });
+        });
+        return obstacles;
+    }
+
+    // config.sweptPath.vehicle driven from the access road into every coach bay; one result per
+    // bay with its poses, whether it got there and what its body touched on the way. Lines that border
+    // only the bay itself are left out; the rest only count where the parked body stands on them.
+    function sweptPaths() {
+        const options = config.sweptPath;
+        const { vehicle } = options;
+        const obstacles = sweptObstacles(vehicle);
+        const { bays, canopies } = model.parkingGroup.userData;
+
+        return bays.filter((bay) => bay.kind === 'coach').map((bay) => {
+            const { footprint, rotation } = model.ports.find((port) => port.userData.structure.name === bay.structure).userData.structure;
+            const { aisleX } = canopies.find((canopy) => canopy.name === bay.structure);
+            // Rear axle `approach` beyond the end the traffic enters from, on the aisle line. Parallel
+            // bays are lined up on the access road and driven into along their own row instead, as a
+            // taper from the aisle swings the nose into the eaves columns.
+            const rad = rotation * Math.PI / 180;
+            const across = Math.abs(Math.sin(bay.heading - rad)) < 1e-6
+                ? (bay.x - footprint.x) * Math.cos(rad) - (bay.z - footprint.z) * Math.sin(rad)
+                : aisleX;
+            const start = {
+                ...footprintToWorld(footprint, across, -footprint.length / 2 - options.approach),
+                heading: rad
+            };
+            const result = simulateSweptPath(start, approachPath(start, bay, vehicle, options.lookahead), vehicle, options);
+            return {
+                bay: bay.label,
+                ...result,
+                onRoad: model.scenario.roads.some((road) => (
+                    Math.abs(start.x - road.x) <= road.width / 2 && Math.abs(start.z - road.z) <= road.length / 2
+                )),
+                collisions: findPathCollisions(
+                    result.poses,
+                    vehicle,
+                    obstacles.filter((o) => !(o.bays && o.bays.every((label) => label === bay.label))),
+                    options.margin
+                )
+            };
+        });
+    }
+
+    // Every site group checked against config.clash.rules (src/clashDetection.js)
+    function clashes() {
+        const { ports, braceGroup, parkingGroup, containerGroup, envGroup, fenceGroup, treeGroup } = model;
+        return checkClearances(
+            collectClashItems([...ports, braceGroup, parkingGroup, containerGroup, envGroup, fenceGroup, treeGroup]),
+            config.clash.rules
+        );
+    }
+
+    function bom() {
+        return collectBom([...model.ports, model.braceGroup, model.containerGroup]);
+    }
+
+    // DXF/SVG plan data (src/sitePlan.js) at a drawing scale such as 200 for 1:200
+    function sitePlan(scale) {
+        const { ports, braceGroup, parkingGroup, containerGroup, envGroup, fenceGroup } = model;
+        return collectSitePlan(
+            [...ports, braceGroup, parkingGroup, containerGroup, envGroup, fenceGroup],
+            parkingGroup.userData.bays,
+            scale
+        );
+    }
+
+    setScenario(scenario);
+    scatterTrees();
+    rebuildCanopy();
+
+    return Object.assign(model, {
+        rebuildCanopy,
+        rebuildParking,
+        scatterTrees,
+        setScenario,
+        summary,
+        energyYield,
+        parkingReport,
+        stringDesign,
+        cableRuns,
+        structuralCheck,
+        sweptPaths,
+        clashes,
+        bom,
+        sitePlan
+    });
+}
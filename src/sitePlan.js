@@ -0,0 +1,320 @@
+import * as THREE from 'three';
+
+// --- Site Plan ---
+// Top-down 2D plan read back from the scene, so it always matches the 3D model.
+// Builders tag meshes with userData.plan = { layer, shape } where shape is:
+//   'outline'    — footprint of the mesh's bounding box (columns, containers, roads...)
+//   'centreline' — a line along the mesh's longest horizontal axis (bay lines, fences)
+//   'instances'  — one outline per `groupSize` instances of an InstancedMesh (PV per slope)
+// Plan coordinates are metres with +x east and +y north (world -z), as DXF expects.
+
+export const PLAN_LAYERS = [
+    // name, AutoCAD colour index, SVG stroke
+    { name: 'ROOF', aci: 8, colour: '#808080' },
+    { name: 'PV_OUTLINE', aci: 5, colour: '#1f4fd1' },
+    { name: 'COLUMNS', aci: 1, colour: '#d11f1f' },
+    { name: 'BRACES', aci: 6, colour: '#b01fd1' },
+    { name: 'BAYS', aci: 7, colour: '#000000' },
+    { name: 'BAY_NUMBERS', aci: 7, colour: '#000000' },
+    { name: 'ROADS', aci: 9, colour: '#606060' },
+    { name: 'HARDSTANDING', aci: 253, colour: '#a0a0a0' },
+    { name: 'PITCH', aci: 3, colour: '#2d8a27' },
+    { name: 'CONTAINERS', aci: 30, colour: '#d17a1f' },
+    { name: 'FENCES', aci: 4, colour: '#1fa0d1' },
+    { name: 'DIMENSIONS', aci: 2, colour: '#8a7a00' },
+    { name: 'TITLE', aci: 7, colour: '#000000' }
+];
+
+const TEXT_MM = { bay: 1.5, dimension: 2, title: 4 }; // Text heights on paper
+const DIMENSION_MM = 8; // Offset of the first dimension string from the drawing on paper
+
+function toPlan(v) {
+    return { x: v.x, y: -v.z };
+}
+
+// Andrew's monotone chain; points are { x, y }, returned anticlockwise without repeats.
+export function convexHull(points) {
+    const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+    if (sorted.length < 3) return sorted;
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const build = (list) => {
+        const hull = [];
+        list.forEach((p) => {
+            while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 1e-9) hull.pop();
+            hull.push(p);
+        });
+        hull.pop();
+        return hull;
+    };
+    return [...build(sorted), ...build([...sorted].reverse())];
+}
+
+function boxCorners(box, matrix) {
+    const corners = [];
+    for (let i = 0; i < 8; i++) {
+        corners.push(new THREE.Vector3(
+            i & 1 ? box.max.x : box.min.x,
+            i & 2 ? box.max.y : box.min.y,
+            i & 4 ? box.max.z : box.min.z
+        ).applyMatrix4(matrix));
+    }
+    return corners;
+}
+
+function outline(mesh, matrix = mesh.matrixWorld) {
+    if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+    return convexHull(boxCorners(mesh.geometry.boundingBox, matrix).map(toPlan));
+}
+
+// Ends of the longest local axis that lies (mostly) flat in the world
+function centreline(mesh) {
+    if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+    const box = mesh.geometry.boundingBox;
+    const centre = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+    const rotation = new THREE.Matrix3().setFromMatrix4(mesh.matrixWorld);
+
+    let best = null;
+    ['x', 'y', 'z'].forEach((axis) => {
+        const dir = new THREE.Vector3()[`set${axis.toUpperCase()}`](1).applyMatrix3(rotation);
+        const horizontal = Math.hypot(dir.x, dir.z) / dir.length();
+        if (horizontal < 0.7) return;
+        const length = size[axis] * dir.length();
+        if (!best || length > best.length) best = { axis, length };
+    });
+
+    const half = new THREE.Vector3()[`set${best.axis.toUpperCase()}`](size[best.axis] / 2);
+    const a = centre.clone().sub(half).applyMatrix4(mesh.matrixWorld);
+    const b = centre.clone().add(half).applyMatrix4(mesh.matrixWorld);
+    return [toPlan(a), toPlan(b)];
+}
+
+function instanceOutlines(mesh, groupSize) {
+    if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+    const outlines = [];
+    const matrix = new THREE.Matrix4();
+    for (let start = 0; start < mesh.count; start += groupSize) {
+        const points = [];
+        for (let i = start; i < Math.min(start + groupSize, mesh.count); i++) {
+            mesh.getMatrixAt(i, matrix);
+            matrix.premultiply(mesh.matrixWorld);
+            points.push(...boxCorners(mesh.geometry.boundingBox, matrix).map(toPlan));
+        }
+        outlines.push(convexHull(points));
+    }
+    return outlines;
+}
+
+function centroid(points) {
+    return {
+        x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+        y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+    };
+}
+
+// Unique values to the nearest millimetre, ascending
+function distinct(values) {
+    return [...new Set(values.map((v) => Math.round(v * 1000) / 1000))].sort((a, b) => a - b);
+}
+
+function formatLength(metres) {
+    return Number.isInteger(Math.round(metres * 1000) / 1000) ? `${metres.toFixed(0)}m` : `${metres.toFixed(2)}m`;
+}
+
+// Chain of dimensions between consecutive values along one axis, drawn at `at` on the other.
+// axis 'x' draws a horizontal string at y = at; axis 'y' a vertical string at x = at.
+function dimensionChain(values, axis, at, from, textHeight) {
+    const entities = [];
+    const point = (along, across) => (axis === 'x' ? { x: along, y: across } : { x: across, y: along });
+    const tick = textHeight / 2;
+
+    values.forEach((v) => {
+        entities.push({ type: 'line', layer: 'DIMENSIONS', a: point(v, from), b: point(v, at + Math.sign(at - from) * tick) });
+        entities.push({ type: 'line', layer: 'DIMENSIONS', a: point(v - tick / 2, at - tick / 2), b: point(v + tick / 2, at + tick / 2) });
+    });
+    for (let i = 1; i < values.length; i++) {
+        const a = values[i - 1];
+        const b = values[i];
+        entities.push({ type: 'line', layer: 'DIMENSIONS', a: point(a, at), b: point(b, at) });
+        entities.push({
+            type: 'text',
+            layer: 'DIMENSIONS',
+            at: point((a + b) / 2, at + Math.sign(at - from) * textHeight),
+            text: formatLength(b - a),
+            height: textHeight,
+            rotation: axis === 'x' ? 0 : 90
+        });
+    }
+    return entities;
+}
+
+function planBounds(entities) {
+    const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    const add = (p) => {
+        box.minX = Math.min(box.minX, p.x);
+        box.minY = Math.min(box.minY, p.y);
+        box.maxX = Math.max(box.maxX, p.x);
+        box.maxY = Math.max(box.maxY, p.y);
+    };
+    entities.forEach((e) => {
+        if (e.type === 'polyline') e.points.forEach(add);
+        if (e.type === 'line') [e.a, e.b].forEach(add);
+        if (e.type === 'text') add(e.at);
+    });
+    return box;
+}
+
+// roots: scene groups to read; bays: [{ label, x, z }] in world metres; scale: drawing scale (1:n).
+export function collectSitePlan(roots, bays, scale) {
+    const paper = (mm) => mm * scale / 1000;
+    const entities = [];
+
+    roots.forEach((root) => {
+        root.updateMatrixWorld(true);
+        root.traverse((child) => {
+            const tag = child.userData.plan;
+            if (!tag || !child.visible) return;
+            if (tag.shape === 'centreline') {
+                const [a, b] = centreline(child);
+                entities.push({ type: 'line', layer: tag.layer, a, b });
+            } else if (tag.shape === 'instances') {
+                instanceOutlines(child, tag.groupSize).forEach((points) => {
+                    entities.push({ type: 'polyline', layer: tag.layer, points, closed: true });
+                });
+            } else {
+                entities.push({ type: 'polyline', layer: tag.layer, points: outline(child), closed: true });
+            }
+        });
+    });
+
+    bays.forEach((bay) => {
+        entities.push({ type: 'text', layer: 'BAY_NUMBERS', at: toPlan(bay), text: bay.label, height: paper(TEXT_MM.bay), rotation: 0 });
+    });
+
+    // Dimension strings from the drawn columns and braces: frame spacing down the west side,
+    // spans and brace gap along the north end
+    const columns = entities.filter((e) => e.layer === 'COLUMNS').map((e) => centroid(e.points));
+    const braces = entities.filter((e) => e.layer === 'BRACES');
+    if (columns.length > 0) {
+        const xs = distinct([
+            ...columns.map((c) => c.x),
+            ...braces.flatMap((e) => [Math.min(...e.points.map((p) => p.x)), Math.max(...e.points.map((p) => p.x))])
+        ]);
+        const ys = distinct(columns.map((c) => c.y));
+        const top = ys[ys.length - 1];
+        const left = xs[0];
+        const textHeight = paper(TEXT_MM.dimension);
+        const step = paper(DIMENSION_MM);
+
+        entities.push(...dimensionChain(xs, 'x', top + step, top, textHeight));
+        entities.push(...dimensionChain([xs[0], xs[xs.length - 1]], 'x', top + 2 * step, top, textHeight));
+        entities.push(...dimensionChain(ys, 'y', left - step, left, textHeight));
+        entities.push(...dimensionChain([ys[0], ys[ys.length - 1]], 'y', left - 2 * step, left, textHeight));
+    }
+
+    const bounds = planBounds(entities);
+    entities.push({
+        type: 'text',
+        layer: 'TITLE',
+        at: { x: (bounds.minX + bounds.maxX) / 2, y: bounds.minY - paper(TEXT_MM.title * 2) },
+        text: `Site plan - scale 1:${scale} - dimensions in metres`,
+        height: paper(TEXT_MM.title),
+        rotation: 0
+    });
+
+    return { scale, layers: PLAN_LAYERS, entities, bounds: planBounds(entities) };
+}
+
+// --- DXF (R12 ASCII; units are metres, which R12 headers cannot declare) ---
+
+function dxfPairs(pairs) {
+    return pairs.map(([code, value]) => `${code}\n${value}`).join('\n');
+}
+
+// R12 text is plain ASCII: accents are dropped and anything else non-ASCII becomes '?'
+function dxfText(text) {
+    return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[\u2010-\u2015]/g, '-').replace(/[^\x20-\x7e]/g, '?');
+}
+
+function dxfEntity(e) {
+    if (e.type === 'line') {
+        return dxfPairs([[0, 'LINE'], [8, e.layer], [10, e.a.x], [20, e.a.y], [30, 0], [11, e.b.x], [21, e.b.y], [31, 0]]);
+    }
+    if (e.type === 'polyline') {
+        return [
+            dxfPairs([[0, 'POLYLINE'], [8, e.layer], [66, 1], [10, 0], [20, 0], [30, 0], [70, e.closed ? 1 : 0]]),
+            ...e.points.map((p) => dxfPairs([[0, 'VERTEX'], [8, e.layer], [10, p.x], [20, p.y], [30, 0]])),
+            dxfPairs([[0, 'SEQEND'], [8, e.layer]])
+        ].join('\n');
+    }
+    // Text centred on its insertion point (72/73 alignment uses the 11/21 point)
+    return dxfPairs([
+        [0, 'TEXT'], [8, e.layer], [10, e.at.x], [20, e.at.y], [30, 0], [40, e.height], [1, dxfText(e.text)],
+        [50, e.rotation], [72, 1], [11, e.at.x], [21, e.at.y], [31, 0], [73, 2]
+    ]);
+}
+
+export function planToDxf(plan) {
+    const { bounds } = plan;
+    const header = dxfPairs([
+        [0, 'SECTION'], [2, 'HEADER'],
+        [9, '$ACADVER'], [1, 'AC1009'],
+        [9, '$EXTMIN'], [10, bounds.minX], [20, bounds.minY],
+        [9, '$EXTMAX'], [10, bounds.maxX], [20, bounds.maxY],
+        [0, 'ENDSEC']
+    ]);
+    const layers = [
+        dxfPairs([[0, 'SECTION'], [2, 'TABLES'], [0, 'TABLE'], [2, 'LAYER'], [70, plan.layers.length]]),
+        ...plan.layers.map((layer) => dxfPairs([[0, 'LAYER'], [2, layer.name], [70, 0], [62, layer.aci], [6, 'CONTINUOUS']])),
+        dxfPairs([[0, 'ENDTAB'], [0, 'ENDSEC']])
+    ].join('\n');
+    const entities = [
+        dxfPairs([[0, 'SECTION'], [2, 'ENTITIES']]),
+        ...plan.entities.map(dxfEntity),
+        dxfPairs([[0, 'ENDSEC'], [0, 'EOF']])
+    ].join('\n');
+    return `${header}\n${layers}\n${entities}\n`;
+}
+
+// --- SVG (viewBox in metres, sized in mm on paper at the plan scale) ---
+
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function svgEntity(e) {
+    const n = (v) => +v.toFixed(3);
+    if (e.type === 'line') {
+        return `<line x1="${n(e.a.x)}" y1="${n(-e.a.y)}" x2="${n(e.b.x)}" y2="${n(-e.b.y)}"/>`;
+    }
+    if (e.type === 'polyline') {
+        const tag = e.closed ? 'polygon' : 'polyline';
+        return `<${tag} points="${e.points.map((p) => `${n(p.x)},${n(-p.y)}`).join(' ')}"/>`;
+    }
+    const transform = e.rotation ? ` transform="rotate(${-e.rotation} ${n(e.at.x)} ${n(-e.at.y)})"` : '';
+    return `<text x="${n(e.at.x)}" y="${n(-e.at.y)}" font-size="${n(e.height)}"${transform}>${escapeXml(e.text)}</text>`;
+}
+
+export function planToSvg(plan) {
+    const { bounds, scale } = plan;
+    const margin = 10 * scale / 1000;
+    const x = bounds.minX - margin;
+    const y = -bounds.maxY - margin;
+    const width = bounds.maxX - bounds.minX + 2 * margin;
+    const height = bounds.maxY - bounds.minY + 2 * margin;
+    const mm = (metres) => +(metres * 1000 / scale).toFixed(1);
+    const stroke = +(0.25 * scale / 1000).toFixed(3); // 0.25 mm pen
+
+    const groups = plan.layers.map((layer) => {
+        const items = plan.entities.filter((e) => e.layer === layer.name).map(svgEntity);
+        if (items.length === 0) return '';
+        return `<g id="${layer.name}" inkscape:groupmode="layer" inkscape:label="${layer.name}" stroke="${layer.colour}" color="${layer.colour}" fill="none">\n`
+            + `${items.join('\n')}\n</g>`;
+    }).filter(Boolean);
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" `
+        + `width="${mm(width)}mm" height="${mm(height)}mm" viewBox="${+x.toFixed(3)} ${+y.toFixed(3)} ${+width.toFixed(3)} ${+height.toFixed(3)}">\n`
+        + '<style>text { fill: currentColor; stroke: none; font-family: sans-serif; text-anchor: middle; dominant-baseline: middle; }</style>\n'
+        + `<g stroke-width="${stroke}">\n${groups.join('\n')}\n</g>\n</svg>\n`;
+}
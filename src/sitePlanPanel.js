@@ -0,0 +1,24 @@
+import { createPanel, createField, createButton, downloadFile } from './ui.js';
+import { planToDxf, planToSvg } from './sitePlan.js';
+
+// --- Site Plan Panel ---
+// Drawing scale and DXF/SVG export; getPlan(scale) re-reads the current scene.
+
+const SCALES = [200, 500, 1000];
+
+export function createSitePlanPanel(getPlan) {
+    const { body } = createPanel('Site Plan');
+
+    const scaleSelect = document.createElement('select');
+    SCALES.forEach((scale) => scaleSelect.add(new Option(`1:${scale}`, String(scale))));
+    scaleSelect.value = '500';
+    body.appendChild(createField('Scale', scaleSelect));
+
+    const scale = () => parseInt(scaleSelect.value, 10);
+    body.appendChild(createButton('Export DXF', () => {
+        downloadFile(`site-plan-1-${scale()}.dxf`, planToDxf(getPlan(scale())), 'application/dxf');
+    }));
+    body.appendChild(createButton('Export SVG', () => {
+        downloadFile(`site-plan-1-${scale()}.svg`, planToSvg(getPlan(scale())), 'image/svg+xml');
+    }));
+}
@@ -0,0 +1,74 @@
+// --- Solar Position ---
+// NOAA solar position algorithm (accurate to well under a degree between 1800 and 2100).
+// Scene axes: +X east, +Y up, +Z south (the north access road sits at negative Z).
+
+const DEG = Math.PI / 180;
+
+function julianDay(date) {
+    return date.getTime() / 86400000 + 2440587.5;
+}
+
+// Sun position for an absolute instant at a site.
+// Returns { elevation, azimuth } in degrees, azimuth clockwise from true north.
+export function computeSunPosition(date, latitude, longitude) {
+    const t = (julianDay(date) - 2451545) / 36525; // Julian centuries since J2000
+
+    const meanLong = (280.46646 + t * (36000.76983 + t * 0.0003032)) % 360;
+    const meanAnom = 357.52911 + t * (35999.05029 - 0.0001537 * t);
+    const eccent = 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+
+    const center = Math.sin(meanAnom * DEG) * (1.914602 - t * (0.004817 + 0.000014 * t))
+        + Math.sin(2 * meanAnom * DEG) * (0.019993 - 0.000101 * t)
+        + Math.sin(3 * meanAnom * DEG) * 0.000289;
+
+    const omega = 125.04 - 1934.136 * t;
+    const apparentLong = meanLong + center - 0.00569 - 0.00478 * Math.sin(omega * DEG);
+
+    const meanObliq = 23 + (26 + (21.448 - t * (46.815 + t * (0.00059 - t * 0.001813))) / 60) / 60;
+    const obliq = meanObliq + 0.00256 * Math.cos(omega * DEG);
+
+    const decl = Math.asin(Math.sin(obliq * DEG) * Math.sin(apparentLong * DEG));
+
+    // Equation of time (minutes)
+    const y = Math.tan(obliq * DEG / 2) ** 2;
+    const eqTime = 4 / DEG * (
+        y * Math.sin(2 * meanLong * DEG)
+        - 2 * eccent * Math.sin(meanAnom * DEG)
+        + 4 * eccent * y * Math.sin(meanAnom * DEG) * Math.cos(2 * meanLong * DEG)
+        - 0.5 * y * y * Math.sin(4 * meanLong * DEG)
+        - 1.25 * eccent * eccent * Math.sin(2 * meanAnom * DEG)
+    );
+
+    const utcMinutes = date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60;
+    const trueSolarTime = ((utcMinutes + eqTime + 4 * longitude) % 1440 + 1440) % 1440;
+    const hourAngle = (trueSolarTime / 4 - 180) * DEG;
+
+    const lat = latitude * DEG;
+    const cosZenith = Math.sin(lat) * Math.sin(decl) + Math.cos(lat) * Math.cos(decl) * Math.cos(hourAngle);
+    const zenith = Math.acos(Math.min(1, Math.max(-1, cosZenith)));
+
+    const azimuth = Math.atan2(
+        Math.sin(hourAngle),
+        Math.cos(hourAngle) * Math.sin(lat) - Math.tan(decl) * Math.cos(lat)
+    ) / DEG + 180;
+
+    return { elevation: 90 - zenith / DEG, azimuth: azimuth % 360 };
+}
+
+// Builds the instant for a local clock time at the site.
+// dateStr is 'YYYY-MM-DD', minutes is minutes after local midnight, utcOffset in hours.
+export function siteTimeToDate(dateStr, minutes, utcOffset) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day, 0, minutes - utcOffset * 60));
+}
+
+// Unit vector pointing from the scene towards the sun.
+export function sunDirection(elevation, azimuth) {
+    const el = elevation * DEG;
+    const az = azimuth * DEG;
+    return {
+        x: Math.cos(el) * Math.sin(az), // east
+        y: Math.sin(el),
+        z: -Math.cos(el) * Math.cos(az) // north is -Z
+    };
+}
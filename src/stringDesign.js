@@ -0,0 +1,186 @@
+// --- String & Inverter Design ---
+// Groups each slope's modules into series strings that respect the inverter voltage window
+// at the site temperature extremes, then assigns strings to MPPT inputs.
+// Strings snake along the rows (serpentine), so every string is a contiguous run of modules.
+
+export const INVERTER_LIBRARY = [
+    {
+        id: 'huawei-sun2000-100ktl-m2',
+        model: 'Huawei SUN2000-100KTL-M2',
+        acPower: 100, // kW
+        maxDcVoltage: 1100,
+        mpptMin: 200,
+        mpptMax: 1000,
+        mpptCount: 10,
+        stringsPerMppt: 2,
+        maxCurrentPerMppt: 30 // A, short-circuit current per MPPT
+    },
+    {
+        id: 'huawei-sun2000-50ktl-m3',
+        model: 'Huawei SUN2000-50KTL-M3',
+        acPower: 50,
+        maxDcVoltage: 1100,
+        mpptMin: 200,
+        mpptMax: 1000,
+        mpptCount: 4,
+        stringsPerMppt: 2,
+        maxCurrentPerMppt: 40
+    },
+    {
+        id: 'sma-stp-110-60',
+        model: 'SMA Sunny Tripower CORE2 110',
+        acPower: 110,
+        maxDcVoltage: 1100,
+        mpptMin: 500,
+        mpptMax: 800,
+        mpptCount: 12,
+        stringsPerMppt: 2,
+        maxCurrentPerMppt: 30
+    }
+];
+
+function atTemperature(value, coeffPercent, cellTemp) {
+    return value * (1 + (coeffPercent / 100) * (cellTemp - 25));
+}
+
+// String voltages for `count` modules at the design temperatures.
+export function stringVoltages(module, count, { minAmbient, maxCellTemp }) {
+    return {
+        vocCold: count * atTemperature(module.voc, module.tempCoeffVoc, minAmbient),
+        vmpCold: count * atTemperature(module.vmp, module.tempCoeffVoc, minAmbient),
+        // Vmp falls with temperature close to the power coefficient
+        vmpHot: count * atTemperature(module.vmp, module.tempCoeffPmax, maxCellTemp)
+    };
+}
+
+// Allowed modules per string for a module/inverter pair.
+export function stringLengthRange(module, inverter, temps) {
+    const one = stringVoltages(module, 1, temps);
+    return {
+        min: Math.ceil(inverter.mpptMin / one.vmpHot),
+        max: Math.min(Math.floor(inverter.maxDcVoltage / one.vocCold), Math.floor(inverter.mpptMax / one.vmpCold))
+    };
+}
+
+// Longest string length that splits `count` modules evenly or leaves a remainder that still
+// makes a valid short string, else the longest allowed. The range must hold at least one length.
+function chooseStringLength(count, range) {
+    for (let n = range.max; n >= range.min; n--) {
+        const remainder = count % n;
+        if (remainder === 0 || remainder >= range.min) return n;
+    }
+    return range.max;
+}
+
+// A fixed string length is used only when the inverter window allows it; anything else is auto
+function fixedStringLength(modulesPerString, range) {
+    const valid = Number.isInteger(modulesPerString) && modulesPerString >= Math.max(1, range.min)
+        && modulesPerString <= range.max;
+    return valid ? modulesPerString : null;
+}
+
+// Serpentine order over a rows x cols grid: row 1 left to right, row 2 back, ...
+function serpentine(rows, cols) {
+    const order = [];
+    for (let row = 0; row < rows; row++) {
+        for (let c = 0; c < cols; c++) {
+            order.push({ row, col: row % 2 === 0 ? c : cols - 1 - c });
+        }
+    }
+    return order;
+}
+
+// "R1 C1-18" style description of a contiguous run, split where it turns onto the next row.
+function describeRun(cells) {
+    const segments = [];
+    cells.forEach(({ row, col }) => {
+        const last = segments[segments.length - 1];
+        if (last && last.row === row) {
+            last.end = col;
+        } else {
+            segments.push({ row, start: col, end: col });
+        }
+    });
+    return segments.map((s) => `R${s.row + 1} C${s.start + 1}-${s.end + 1}`).join(', ');
+}
+
+// structures: [{ name, code, slopes: [{ name }], rowsPerSlope, panelsPerRow }]
+// Instance index = slopeIndex * rows * cols + row * cols + col (see panelIndex.js).
+// `ok` is false (with `errors` and no strings) when no string length fits the inverter window.
+export function designStrings(structures, module, inverter, temps, modulesPerString = null) {
+    const range = stringLengthRange(module, inverter, temps);
+    if (range.max < Math.max(1, range.min)) {
+        return {
+            ok: false,
+            errors: [`No string length of ${module.model} fits the ${inverter.model} voltage window`],
+            range,
+            strings: [],
+            inverters: []
+        };
+    }
+    const fixed = fixedStringLength(modulesPerString, range);
+    const strings = [];
+
+    structures.forEach((structure) => {
+        const { rowsPerSlope: rows, panelsPerRow: cols } = structure;
+        const perSlope = rows * cols;
+        if (perSlope === 0) return;
+        const length = fixed || chooseStringLength(perSlope, range);
+        const order = serpentine(rows, cols);
+
+        structure.slopes.forEach((slope, s) => {
+            for (let start = 0, n = 1; start < perSlope; start += length, n++) {
+                const cells = order.slice(start, start + length);
+                strings.push({
+                    id: `${structure.code}-${slope.name[0]}${String(n).padStart(2, '0')}`,
+                    structure: structure.name,
+                    slope: slope.name,
+                    panels: cells.map(({ row, col }) => s * perSlope + row * cols + col),
+                    run: describeRun(cells),
+                    modules: cells.length,
+                    ...stringVoltages(module, cells.length, temps)
+                });
+            }
+        });
+    });
+
+    // MPPT assignment: strings of one slope and length share an MPPT, never mixed
+    const inverters = [];
+    let unit = null;
+    let mppt = null;
+    strings.forEach((string) => {
+        const slopeKey = `${string.structure}/${string.slope}`;
+        const fits = mppt && mppt.strings.length < inverter.stringsPerMppt
+            && mppt.slopeKey === slopeKey && mppt.modules === string.modules;
+        if (!fits) {
+            if (!unit || unit.mppts.length === inverter.mpptCount) {
+                unit = { id: `INV-${inverters.length + 1}`, model: inverter.model, acPower: inverter.acPower, mppts: [] };
+                inverters.push(unit);
+            }
+            mppt = { number: unit.mppts.length + 1, slopeKey, modules: string.modules, strings: [] };
+            unit.mppts.push(mppt);
+        }
+        mppt.strings.push(string);
+        string.inverter = unit.id;
+        string.mppt = mppt.number;
+    });
+
+    // Limit checks
+    strings.forEach((string) => {
+        string.flags = [];
+        if (string.vocCold > inverter.maxDcVoltage) string.flags.push(`Voc cold ${string.vocCold.toFixed(0)} V > ${inverter.maxDcVoltage} V max`);
+        if (string.vmpHot < inverter.mpptMin) string.flags.push(`Vmp hot ${string.vmpHot.toFixed(0)} V < MPPT min ${inverter.mpptMin} V`);
+        if (string.vmpCold > inverter.mpptMax) string.flags.push(`Vmp cold ${string.vmpCold.toFixed(0)} V > MPPT max ${inverter.mpptMax} V`);
+    });
+    inverters.forEach((inv) => {
+        inv.dcPower = inv.mppts.reduce((sum, m) => sum + m.strings.reduce((t, s) => t + s.modules, 0), 0) * module.wattPeak / 1000;
+        inv.mppts.forEach((m) => {
+            const current = m.strings.length * module.isc;
+            if (current > inverter.maxCurrentPerMppt) {
+                m.strings.forEach((s) => s.flags.push(`MPPT ${m.number} Isc ${current.toFixed(1)} A > ${inverter.maxCurrentPerMppt} A`));
+            }
+        });
+    });
+
+    return { ok: true, errors: [], range, strings, inverters };
+}
@@ -0,0 +1,106 @@
+import * as THREE from 'three';
+import { createPanel, createField, createNumberInput, createButton, createTable, createErrorText, downloadFile } from './ui.js';
+import { INVERTER_LIBRARY } from './stringDesign.js';
+
+// --- String Design Panel ---
+// Inverter choice, string length override (used when the inverter window allows it), colour
+// toggle and the string schedule.
+// `electrical` is CONFIG.electrical; onChange re-runs the design.
+
+const FLAG_COLOUR = new THREE.Color(0xff0000);
+
+// Evenly spread hues (golden angle) so neighbouring strings contrast; flagged strings are red.
+export function stringColour(index, flagged) {
+    if (flagged) return FLAG_COLOUR;
+    return new THREE.Color().setHSL((index * 0.618034) % 1, 0.65, 0.55);
+}
+
+const SCHEDULE_COLUMNS = ['String', 'Structure', 'Slope', 'Panels', 'Modules', 'Voc cold (V)', 'Vmp hot (V)', 'Inverter', 'MPPT', 'Flags'];
+
+function scheduleRows(design) {
+    return design.strings.map((s) => [
+        s.id, s.structure, s.slope, s.run, s.modules, s.vocCold.toFixed(0), s.vmpHot.toFixed(0), s.inverter, s.mppt, s.flags.join('; ')
+    ]);
+}
+
+function toCsv(rows) {
+    const cell = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+    return [SCHEDULE_COLUMNS, ...rows].map((row) => row.map(cell).join(',')).join('\n') + '\n';
+}
+
+export function createStringPanel(electrical, onChange, onShowStrings) {
+    const { body } = createPanel('Strings & Inverters');
+    let lastDesign = null;
+
+    const inverterSelect = document.createElement('select');
+    INVERTER_LIBRARY.forEach((inv) => inverterSelect.add(new Option(inv.model, inv.id)));
+    inverterSelect.value = electrical.inverterId;
+    inverterSelect.addEventListener('change', () => {
+        electrical.inverterId = inverterSelect.value;
+        onChange();
+    });
+    body.appendChild(createField('Inverter', inverterSelect));
+
+    const numberField = (label, key, min, max) => createField(label, createNumberInput({
+        value: electrical[key],
+        min,
+        max,
+        step: 1,
+        onChange: (value) => {
+            if (!Number.isFinite(value) || value < min || value > max) return;
+            electrical[key] = value;
+            onChange();
+        }
+    }));
+    body.appendChild(numberField('Modules/string (0 = auto)', 'modulesPerString', 0, 40));
+    body.appendChild(numberField('Min ambient (°C)', 'minAmbient', -40, 20));
+    body.appendChild(numberField('Max cell temp (°C)', 'maxCellTemp', 40, 90));
+
+    const showToggle = document.createElement('input');
+    showToggle.type = 'checkbox';
+    showToggle.addEventListener('change', () => onShowStrings(showToggle.checked));
+    body.appendChild(createField('Colour strings', showToggle));
+
+    body.appendChild(createButton('Export schedule CSV', () => {
+        if (lastDesign) downloadFile('string-schedule.csv', toCsv(scheduleRows(lastDesign)), 'text/csv');
+    }));
+
+    const output = document.createElement('div');
+    const error = createErrorText();
+    body.append(output, error);
+
+    return {
+        setStringsVisible(visible) {
+            showToggle.checked = visible;
+        },
+        show(design) {
+            lastDesign = design;
+            error.textContent = design.errors.join('. ');
+            const flagged = design.strings.filter((s) => s.flags.length > 0).length;
+
+            const summary = document.createElement('p');
+            summary.textContent = `${design.strings.length} strings (${design.range.min}-${design.range.max} modules allowed), `
+                + `${design.inverters.length} inverters, ${flagged} flagged`;
+
+            const inverterTable = createTable(['Inverter', 'MPPTs', 'DC kWp', 'DC/AC'], design.inverters.map((inv) => [
+                inv.id, inv.mppts.length, inv.dcPower.toFixed(1), (inv.dcPower / inv.acPower).toFixed(2)
+            ]));
+
+            const schedule = createTable(
+                ['String', 'Panels', 'Voc cold', 'Vmp hot', 'Inv/MPPT'],
+                design.strings.map((s) => [
+                    `${s.id} (${s.modules})`, s.run, s.vocCold.toFixed(0), s.vmpHot.toFixed(0), `${s.inverter}/${s.mppt}`
+                ])
+            );
+            // Mark strings breaking inverter limits
+            design.strings.forEach((s, i) => {
+                if (s.flags.length === 0) return;
+                const row = schedule.tBodies[0].rows[i];
+                row.className = 'flagged';
+                row.title = s.flags.join('\n');
+            });
+
+            output.replaceChildren(summary, inverterTable, schedule);
+        }
+    };
+}
@@ -0,0 +1,130 @@
+// --- Structural Check ---
+// Simplified sanity check of each frame line before the design goes to the engineer.
+// NOT a design calculation: rafters are treated as simply supported across the full span,
+// columns as cantilevers from the base, braces as cantilevers from the neighbouring column.
+// Units: kN, m, kN/m² for loads; section tables in cm² / cm³ / cm.
+
+export const SECTION_LIBRARY = [
+    // name, area (cm²), plastic modulus about the major axis (cm³), minimum radius of gyration (cm)
+    { name: 'UC 203x203x46', area: 58.7, wpl: 497, radius: 5.13 },
+    { name: 'UC 254x254x73', area: 93.1, wpl: 990, radius: 6.48 },
+    { name: 'UB 305x165x40', area: 51.3, wpl: 623, radius: 3.86 },
+    { name: 'UB 356x171x51', area: 64.9, wpl: 896, radius: 3.86 },
+    { name: 'SHS 200x200x8', area: 61.4, wpl: 443, radius: 7.84 },
+    { name: 'RHS 200x150x8', area: 53.4, wpl: 366, radius: 5.98 },
+    { name: 'SHS 150x150x6', area: 34.6, wpl: 190, radius: 5.89 }
+];
+
+const GRAVITY = 9.81;
+
+// Factored area loads (kN/m² on plan) for each combination; wind is the factored pressure on the
+// slope whose horizontal component loads the columns.
+// loads: { windPressure, snow, roofSheetWeight, gammaG, gammaQ, psiWind, psiSnow }, moduleWeight in kN/m²
+export function loadCombinations(loads, moduleWeight, pitchRad) {
+    const dead = (loads.roofSheetWeight + moduleWeight) / Math.cos(pitchRad);
+    const { gammaG, gammaQ, psiWind, psiSnow, snow, windPressure } = loads;
+    return [
+        { name: 'Snow leading', vertical: gammaG * dead + gammaQ * snow + gammaQ * psiWind * windPressure, wind: gammaQ * psiWind * windPressure },
+        { name: 'Wind down leading', vertical: gammaG * dead + gammaQ * windPressure + gammaQ * psiSnow * snow, wind: gammaQ * windPressure },
+        { name: 'Wind uplift', vertical: 1.0 * dead - gammaQ * windPressure, wind: gammaQ * windPressure }
+    ];
+}
+
+// Module self-weight spread over the roof sheet (kN/m²)
+export function moduleDeadLoad(moduleCount, moduleMassKg, roofArea) {
+    return moduleCount * moduleMassKg * GRAVITY / 1000 / roofArea;
+}
+
+function capacities(section, fy) {
+    return {
+        axial: section.area * fy / 10, // kN
+        moment: section.wpl * fy / 1000 // kNm
+    };
+}
+
+// Flexural buckling reduction (EN 1993-1-1 curve b)
+function bucklingFactor(section, effectiveLength, fy) {
+    const lambda1 = 93.9 * Math.sqrt(235 / fy);
+    const slenderness = (effectiveLength * 100) / section.radius / lambda1;
+    const phi = 0.5 * (1 + 0.34 * (slenderness - 0.2) + slenderness * slenderness);
+    return Math.min(1, 1 / (phi + Math.sqrt(phi * phi - slenderness * slenderness)));
+}
+
+// frames: [{ structure, frame, tributary, span, slopeLen, pitchRad, height, hasLeftColumns, braceTo, braceFrame, braceLength }]
+//   braceTo/braceFrame — structure name and frame line whose right-hand column carries this
+//   frame's brace (when no left column)
+// sections: { column, rafter, brace } section objects; fy in N/mm².
+// Returns one entry per member with forces and utilisation (> 1 fails).
+export function checkFrames(frames, combinations, sections, fy) {
+    const members = [];
+    const colCap = capacities(sections.column, fy);
+    const rafterCap = capacities(sections.rafter, fy);
+    const braceCap = capacities(sections.brace, fy);
+    const braceLoads = new Map(); // "structure/frame" -> { V, M } handed to the supporting column
+
+    frames.forEach((f) => {
+        const worst = { rafter: null, left: null, right: null, brace: null };
+        const keep = (key, entry) => {
+            if (!worst[key] || entry.utilisation > worst[key].utilisation) worst[key] = entry;
+        };
+
+        combinations.forEach((combo) => {
+            const w = combo.vertical * f.tributary; // kN/m along the rafter (on plan)
+            const reaction = w * f.span / 2; // each eaves support
+            const rafterM = w * f.span * f.span / 8;
+            keep('rafter', { N: 0, M: Math.abs(rafterM), utilisation: Math.abs(rafterM) / rafterCap.moment, combination: combo.name });
+
+            // Horizontal component of wind on one slope, shared by the frame's supports
+            const horizontal = combo.wind * f.tributary * f.slopeLen * Math.sin(f.pitchRad);
+            const perSupport = horizontal / 2;
+            const chi = bucklingFactor(sections.column, 2 * f.height, fy);
+
+            const column = (extra = { V: 0, M: 0 }) => {
+                const N = Math.abs(reaction + extra.V);
+                const M = perSupport * f.height + Math.abs(extra.M);
+                return { N, M, utilisation: N / (chi * colCap.axial) + M / colCap.moment, combination: combo.name };
+            };
+
+            if (f.hasLeftColumns) {
+                keep('left', column());
+            } else {
+                // Brace cantilevers from the neighbour's column carrying this eaves reaction
+                const braceM = Math.abs(reaction) * f.braceLength;
+                keep('brace', { N: perSupport, M: braceM, utilisation: perSupport / braceCap.axial + braceM / braceCap.moment, combination: combo.name });
+                const key = `${f.braceTo}/${f.braceFrame}`;
+                const prev = braceLoads.get(key);
+                // Forward the governing combination to the supporting column
+                if (!prev || Math.abs(reaction) > Math.abs(prev.V)) {
+                    braceLoads.set(key, { V: reaction, M: braceM + perSupport * f.height, combination: combo.name });
+                }
+            }
+
+            keep('right', column());
+        });
+
+        Object.entries(worst).forEach(([key, entry]) => {
+            if (!entry) return;
+            members.push({
+                structure: f.structure,
+                frame: f.frame,
+                type: key === 'left' || key === 'right' ? 'column' : key,
+                side: key === 'left' || key === 'right' ? key : null,
+                ...entry
+            });
+        });
+    });
+
+    // Add forwarded brace loads to the supporting right-hand columns
+    members.forEach((m) => {
+        const extra = m.type === 'column' && m.side === 'right' && braceLoads.get(`${m.structure}/${m.frame}`);
+        if (!extra) return;
+        const f = frames.find((fr) => fr.structure === m.structure && fr.frame === m.frame);
+        const chi = bucklingFactor(sections.column, 2 * f.height, fy);
+        m.N += Math.abs(extra.V);
+        m.M += extra.M;
+        m.utilisation = m.N / (chi * colCap.axial) + m.M / colCap.moment;
+        m.combination = `${m.combination} + brace (${extra.combination})`;
+    });
+
+    return members;
+}
@@ -0,0 +1,87 @@
+import { createPanel, createField, createNumberInput, createTable } from './ui.js';
+import { SECTION_LIBRARY } from './structuralCheck.js';
+
+// --- Structural Check Panel ---
+// Design loads, member sections and the utilisation summary; failing members are listed.
+// `loads` is CONFIG.loads; onChange re-runs the check, onShowFailures toggles the red members.
+
+const MEMBER_TYPES = [['column', 'Column'], ['rafter', 'Rafter'], ['brace', 'Brace']];
+
+function memberLabel(m) {
+    return m.side ? `${m.type} (${m.side})` : m.type;
+}
+
+export function createStructuralPanel(loads, onChange, onShowFailures) {
+    const { body } = createPanel('Structural Check');
+
+    const numberField = (label, key, min, max, step) => createField(label, createNumberInput({
+        value: loads[key],
+        min,
+        max,
+        step,
+        onChange: (value) => {
+            if (!Number.isFinite(value)) return;
+            loads[key] = value;
+            onChange();
+        }
+    }));
+    body.appendChild(numberField('Wind pressure (kN/m²)', 'windPressure', 0, 3, 0.05));
+    body.appendChild(numberField('Snow load (kN/m²)', 'snow', 0, 3, 0.05));
+    body.appendChild(numberField('Roof sheet (kN/m²)', 'roofSheetWeight', 0, 1, 0.01));
+    body.appendChild(numberField('Steel fy (N/mm²)', 'fy', 235, 460, 5));
+
+    MEMBER_TYPES.forEach(([type, label]) => {
+        const key = `${type}Section`;
+        const select = document.createElement('select');
+        SECTION_LIBRARY.forEach((section) => select.add(new Option(section.name, section.name)));
+        select.value = loads[key];
+        select.addEventListener('change', () => {
+            loads[key] = select.value;
+            onChange();
+        });
+        body.appendChild(createField(`${label} section`, select));
+    });
+
+    const showToggle = document.createElement('input');
+    showToggle.type = 'checkbox';
+    showToggle.checked = true;
+    showToggle.addEventListener('change', () => onShowFailures(showToggle.checked));
+    body.appendChild(createField('Show failing members', showToggle));
+
+    const note = document.createElement('p');
+    note.textContent = 'Simplified check for sanity-testing spacing changes — not a substitute for the engineer\'s design.';
+    body.appendChild(note);
+
+    const output = document.createElement('div');
+    body.appendChild(output);
+
+    return {
+        // members: [{ structure, frame, type, side, N, M, utilisation, combination }]
+        show(members, combinations) {
+            const failing = members.filter((m) => m.utilisation > 1);
+
+            // Worst member of each type across all frame lines
+            const worst = MEMBER_TYPES.map(([type, label]) => {
+                const ofType = members.filter((m) => m.type === type);
+                if (ofType.length === 0) return null;
+                const m = ofType.reduce((a, b) => (b.utilisation > a.utilisation ? b : a));
+                return [label, `${m.structure} F${m.frame + 1}`, m.N.toFixed(0), m.M.toFixed(0), `${(m.utilisation * 100).toFixed(0)}%`];
+            }).filter(Boolean);
+
+            const summary = document.createElement('p');
+            summary.textContent = `${members.length} members checked over ${combinations.length} load combinations, ${failing.length} failing`;
+
+            const worstTable = createTable(['Worst', 'Frame', 'N (kN)', 'M (kNm)', 'Util.'], worst);
+            worst.forEach((row, i) => {
+                if (parseFloat(row[4]) > 100) worstTable.tBodies[0].rows[i].className = 'flagged';
+            });
+
+            const failTable = createTable(
+                ['Structure', 'Frame', 'Member', 'Util.', 'Combination'],
+                failing.map((m) => [m.structure, m.frame + 1, memberLabel(m), `${(m.utilisation * 100).toFixed(0)}%`, m.combination])
+            );
+
+            output.replaceChildren(summary, worstTable, ...(failing.length ? [failTable] : []));
+        }
+    };
+}
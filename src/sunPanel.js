@@ -0,0 +1,102 @@
+import { createPanel, createField, createNumberInput, createInput, createButton, createErrorText } from './ui.js';
+
+// --- Sun Position Panel ---
+// Site location, date and a time-of-day scrubber with play/pause.
+// `site` and `sun` are the CONFIG sections; onChange re-evaluates the sun,
+// onSiteChange additionally fires when the location or the year changes (yield depends on both).
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Location fields on the CONFIG site section
+export const SITE_FIELDS = [
+    { key: 'latitude', label: 'Latitude (°)', min: -90, max: 90, step: 0.01 },
+    { key: 'longitude', label: 'Longitude (°)', min: -180, max: 180, step: 0.01 },
+    { key: 'utcOffset', label: 'UTC offset (h)', min: -12, max: 14, step: 0.5 }
+];
+
+// Returns a list of human readable problems, empty when the location can be used.
+export function validateSite(site) {
+    return SITE_FIELDS.filter(({ key, min, max }) => !(Number.isFinite(site[key]) && site[key] >= min && site[key] <= max))
+        .map(({ label, min, max }) => `${label} must be between ${min} and ${max}`);
+}
+
+function formatClock(minutes) {
+    const h = Math.floor(minutes / 60);
+    const m = Math.floor(minutes % 60);
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+export function createSunPanel(site, sun, onChange, onSiteChange = () => {}) {
+    const { body } = createPanel('Sun Position');
+    let playing = false;
+    const errorText = createErrorText();
+
+    SITE_FIELDS.forEach(({ key, label, min, max, step }) => {
+        body.appendChild(createField(label, createNumberInput({
+            value: site[key],
+            min,
+            max,
+            step,
+            onChange: (value) => {
+                // Out of range values are reported and the last valid location kept
+                const errors = validateSite({ ...site, [key]: value });
+                errorText.textContent = errors.join('. ');
+                if (errors.length > 0) return;
+                site[key] = value;
+                onChange();
+                onSiteChange();
+            }
+        })));
+    });
+    body.appendChild(errorText);
+
+    body.appendChild(createField('Date', createInput('date', {
+        value: sun.date,
+        onChange: (value) => {
+            if (!value) return;
+            const newYear = parseInt(value, 10) !== parseInt(sun.date, 10);
+            sun.date = value;
+            onChange();
+            if (newYear) onSiteChange();
+        }
+    })));
+
+    const clockLabel = document.createElement('span');
+    const timeSlider = createInput('range', {
+        value: sun.minutes,
+        min: 0,
+        max: MINUTES_PER_DAY - 1,
+        step: 5,
+        onInput: (value) => {
+            sun.minutes = parseFloat(value);
+            clockLabel.textContent = formatClock(sun.minutes);
+            onChange();
+        }
+    });
+    clockLabel.textContent = formatClock(sun.minutes);
+    body.appendChild(createField('Local time', clockLabel));
+    body.appendChild(timeSlider);
+
+    const readout = document.createElement('p');
+    body.appendChild(readout);
+
+    const playButton = createButton('Play', () => {
+        playing = !playing;
+        playButton.textContent = playing ? 'Pause' : 'Play';
+    });
+    body.appendChild(playButton);
+
+    return {
+        // Advances the clock while playing; called once per animation frame
+        tick(deltaSeconds) {
+            if (!playing) return;
+            sun.minutes = (sun.minutes + deltaSeconds * sun.playSpeed) % MINUTES_PER_DAY;
+            timeSlider.value = sun.minutes;
+            clockLabel.textContent = formatClock(sun.minutes);
+            onChange();
+        },
+        showPosition({ elevation, azimuth }) {
+            readout.textContent = `Elevation ${elevation.toFixed(1)}° | Azimuth ${azimuth.toFixed(1)}°`;
+        }
+    };
+}
@@ -0,0 +1,185 @@
+import { polygonsOverlap } from './scenario.js';
+
+// --- Swept Path ---
+// Kinematic bicycle model of a rigid vehicle steered along a target path by pure pursuit, to
+// prove a coach can actually drive from the access road into a bay. Plan points are world
+// { x, z } in metres; heading is the vehicle's turn about +Y (rad), so it faces (sin h, cos h)
+// as in src/parkingLayout.js. Poses are given at the centre of the rear axle.
+// vehicle: { wheelbase, frontOverhang, rearOverhang, width, maxSteer (degrees at the front wheels) }
+
+function cross(a, b) {
+    return a.x * b.z - a.z * b.x;
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.z * b.z;
+}
+
+function facing(heading) {
+    return { x: Math.sin(heading), z: Math.cos(heading) };
+}
+
+// Smallest turn between two headings, in degrees
+function headingDifference(a, b) {
+    const diff = Math.abs(((a - b) % (2 * Math.PI) + 3 * Math.PI) % (2 * Math.PI) - Math.PI);
+    return diff * 180 / Math.PI;
+}
+
+export function vehicleLength(vehicle) {
+    return vehicle.frontOverhang + vehicle.wheelbase + vehicle.rearOverhang;
+}
+
+// Distance from the rear axle forward to the middle of the body
+export function bodyCentreOffset(vehicle) {
+    return vehicleLength(vehicle) / 2 - vehicle.rearOverhang;
+}
+
+// Plan outline of the body at a pose, grown by margin on every side
+export function vehicleOutline(pose, vehicle, margin = 0) {
+    const dir = facing(pose.heading);
+    const side = { x: dir.z, z: -dir.x };
+    const back = -vehicle.rearOverhang - margin;
+    const front = vehicle.wheelbase + vehicle.frontOverhang + margin;
+    const half = vehicle.width / 2 + margin;
+    return [[back, -half], [front, -half], [front, half], [back, half]].map(([a, b]) => ({
+        x: pose.x + dir.x * a + side.x * b,
+        z: pose.z + dir.z * a + side.z * b
+    }));
+}
+
+// Target path for the rear axle: along the aisle from start (heading along it), then into the bay
+// so the body ends up on bay.{ x, z } facing bay.heading. Where the bay runs parallel to the aisle
+// the path shifts across on a taper ahead of the bay instead of turning at a corner.
+// Returns { points: [{ x, z }], finish: { x, z, heading } }; the points run a lookahead past the
+// finish so the pursuit stays aligned to the end.
+export function approachPath(start, bay, vehicle, lookahead) {
+    const along = facing(start.heading);
+    const into = facing(bay.heading);
+    const offset = bodyCentreOffset(vehicle);
+    const finish = { x: bay.x - into.x * offset, z: bay.z - into.z * offset, heading: bay.heading };
+    const toFinish = { x: finish.x - start.x, z: finish.z - start.z };
+
+    const points = [{ x: start.x, z: start.z }];
+    const turn = cross(along, into);
+    if (Math.abs(turn) < 1e-6) {
+        // Shift across on a taper, then a wheelbase straight on the bay's own line
+        const shift = Math.abs(cross(along, toFinish));
+        const runIn = vehicle.wheelbase;
+        const t = dot(toFinish, along) - runIn - Math.max(2 * vehicle.wheelbase, 4 * shift);
+        if (t > 0) points.push({ x: start.x + along.x * t, z: start.z + along.z * t });
+        points.push({ x: finish.x - into.x * runIn, z: finish.z - into.z * runIn });
+    } else {
+        // Turn where the bay's centre line meets the aisle's
+        const t = cross(toFinish, into) / turn;
+        if (t > 0) points.push({ x: start.x + along.x * t, z: start.z + along.z * t });
+    }
+    points.push({ x: finish.x, z: finish.z });
+    points.push({ x: finish.x + into.x * lookahead, z: finish.z + into.z * lookahead });
+    return { points, finish };
+}
+
+// Drives the vehicle along the path with pure pursuit, steering clamped to maxSteer.
+// start: { x, z, heading } rear-axle pose; path: approachPath result
+// options: { step (m per pose), lookahead (m), tolerance: { position (m), heading (degrees) } }
+// Returns { poses: [{ x, z, heading, steer }], positionError, headingError, reached }.
+export function simulateSweptPath(start, path, vehicle, { step, lookahead, tolerance }) {
+    const { points, finish } = path;
+    const lengths = [0];
+    for (let i = 1; i < points.length; i++) {
+        lengths.push(lengths[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].z - points[i - 1].z));
+    }
+    const total = lengths[points.length - 1];
+
+    const pointAt = (s) => {
+        const i = Math.max(1, lengths.findIndex((l) => l >= s));
+        const a = points[i - 1];
+        const b = points[i];
+        const t = Math.min(1, Math.max(0, (s - lengths[i - 1]) / (lengths[i] - lengths[i - 1] || 1)));
+        return { x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t };
+    };
+
+    // Progress along the path: the closest point on any segment no further back than the last one
+    let segment = 1;
+    const progress = (pose) => {
+        let best = { distance: Infinity, s: lengths[segment - 1] };
+        for (let i = segment; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const ab = { x: b.x - a.x, z: b.z - a.z };
+            const len = lengths[i] - lengths[i - 1];
+            const t = len > 0 ? Math.min(1, Math.max(0, dot({ x: pose.x - a.x, z: pose.z - a.z }, ab) / (len * len))) : 0;
+            const distance = Math.hypot(a.x + ab.x * t - pose.x, a.z + ab.z * t - pose.z);
+            if (distance < best.distance) best = { distance, s: lengths[i - 1] + t * len, segment: i };
+        }
+        segment = best.segment || segment;
+        return best.s;
+    };
+
+    // Done once the rear axle crosses the line through the finish, square to the bay
+    const into = facing(finish.heading);
+    const finished = () => segment >= points.length - 2 && dot({ x: pose.x - finish.x, z: pose.z - finish.z }, into) >= 0;
+
+    const maxSteer = vehicle.maxSteer * Math.PI / 180;
+    const pose = { ...start, steer: 0 };
+    const poses = [{ ...pose }];
+    const maxSteps = Math.ceil(3 * total / step);
+    for (let n = 0; n < maxSteps; n++) {
+        const s = progress(pose);
+        if (finished()) break;
+        const target = pointAt(Math.min(total, s + lookahead));
+        const dir = facing(pose.heading);
+        const toTarget = { x: target.x - pose.x, z: target.z - pose.z };
+        const alpha = Math.atan2(dot(toTarget, { x: dir.z, z: -dir.x }), dot(toTarget, dir));
+        const distance = Math.max(Math.hypot(toTarget.x, toTarget.z), 1e-6);
+        pose.steer = Math.max(-maxSteer, Math.min(maxSteer, Math.atan2(2 * vehicle.wheelbase * Math.sin(alpha), distance)));
+
+        pose.heading += step * Math.tan(pose.steer) / vehicle.wheelbase;
+        const next = facing(pose.heading);
+        pose.x += next.x * step;
+        pose.z += next.z * step;
+        poses.push({ ...pose });
+    }
+
+    const positionError = Math.hypot(pose.x - finish.x, pose.z - finish.z);
+    const headingError = headingDifference(pose.heading, finish.heading);
+    return {
+        poses,
+        positionError,
+        headingError,
+        reached: positionError <= tolerance.position && headingError <= tolerance.heading
+    };
+}
+
+// First pose at which the body (grown by margin) touches each obstacle.
+// obstacles: [{ label, corners: [{ x, z }], ground }]; ground obstacles (bay markings) are driven
+// over, so they only count where the parked body, at the last pose and without the margin,
+// stands on them. Returns [{ label, pose (index) }].
+export function findPathCollisions(poses, vehicle, obstacles, margin) {
+    const bounds = (corners) => ({
+        minX: Math.min(...corners.map((c) => c.x)),
+        maxX: Math.max(...corners.map((c) => c.x)),
+        minZ: Math.min(...corners.map((c) => c.z)),
+        maxZ: Math.max(...corners.map((c) => c.z))
+    });
+    const remaining = obstacles.filter((o) => !o.ground).map((o) => ({ ...o, box: bounds(o.corners) }));
+    const hits = [];
+    const last = poses.length - 1;
+    if (last >= 0) {
+        const parked = vehicleOutline(poses[last], vehicle);
+        obstacles.filter((o) => o.ground && polygonsOverlap(parked, o.corners)).forEach((o) => {
+            hits.push({ label: o.label, pose: last });
+        });
+    }
+    poses.forEach((pose, index) => {
+        const outline = vehicleOutline(pose, vehicle, margin);
+        const box = bounds(outline);
+        for (let i = remaining.length - 1; i >= 0; i--) {
+            const o = remaining[i];
+            if (o.box.minX > box.maxX || o.box.maxX < box.minX || o.box.minZ > box.maxZ || o.box.maxZ < box.minZ) continue;
+            if (!polygonsOverlap(outline, o.corners)) continue;
+            hits.push({ label: o.label, pose: index });
+            remaining.splice(i, 1);
+        }
+    });
+    return hits.sort((a, b) => a.pose - b.pose);
+}
@@ -0,0 +1,84 @@
+import { createPanel, createField, createNumberInput, createButton, createTable } from './ui.js';
+
+// --- Coach Swept Path Panel ---
+// Design vehicle for the swept-path check and the result for every coach bay: whether the
+// vehicle gets in from the access road and what its body touches on the way.
+// `sweptPath` is CONFIG.sweptPath; onChange re-runs the check, onShowPaths toggles the
+// envelopes, onSelect(label | null) picks the bay drawn (null for all) and onPlay toggles playback.
+
+const VEHICLE_FIELDS = [
+    { key: 'wheelbase', label: 'Wheelbase (m)', min: 2, max: 15, step: 0.1 },
+    { key: 'frontOverhang', label: 'Front overhang (m)', min: 0, max: 5, step: 0.1 },
+    { key: 'rearOverhang', label: 'Rear overhang (m)', min: 0, max: 6, step: 0.1 },
+    { key: 'width', label: 'Body width (m)', min: 1.5, max: 3, step: 0.05 },
+    { key: 'height', label: 'Body height (m)', min: 1.5, max: 5, step: 0.1 },
+    { key: 'maxSteer', label: 'Max steering (°)', min: 10, max: 60, step: 1 }
+];
+
+function describe(result) {
+    if (!result.onRoad) return 'Starts off the access roads';
+    if (!result.reached) return `Misses the bay by ${result.positionError.toFixed(2)} m / ${result.headingError.toFixed(0)}°`;
+    return result.collisions.length ? 'Reaches the bay' : 'Clear';
+}
+
+export function createSweptPathPanel(sweptPath, onChange, onShowPaths, onSelect, onPlay) {
+    const { body } = createPanel('Coach Swept Path');
+
+    const numberField = (target, { key, label, min, max, step }) => createField(label, createNumberInput({
+        value: target[key],
+        min,
+        max,
+        step,
+        onChange: (value) => {
+            if (!Number.isFinite(value) || value < min) return;
+            target[key] = value;
+            onChange();
+        }
+    }));
+    VEHICLE_FIELDS.forEach((field) => body.appendChild(numberField(sweptPath.vehicle, field)));
+    body.appendChild(numberField(sweptPath, { key: 'margin', label: 'Clearance margin (m)', min: 0, max: 1, step: 0.05 }));
+
+    const baySelect = document.createElement('select');
+    baySelect.addEventListener('change', () => onSelect(baySelect.value || null));
+    body.appendChild(createField('Bay', baySelect));
+
+    const showToggle = document.createElement('input');
+    showToggle.type = 'checkbox';
+    showToggle.checked = true;
+    showToggle.addEventListener('change', () => onShowPaths(showToggle.checked));
+    body.appendChild(createField('Show swept paths', showToggle));
+
+    const playButton = createButton('Play', () => onPlay());
+    body.appendChild(playButton);
+
+    const output = document.createElement('div');
+    body.appendChild(output);
+
+    return {
+        // results: [{ bay, reached, positionError, headingError, onRoad, collisions: [{ label }] }]
+        show(results) {
+            const selected = baySelect.value;
+            baySelect.replaceChildren(new Option('All coach bays', ''), ...results.map((r) => new Option(r.bay, r.bay)));
+            baySelect.value = results.some((r) => r.bay === selected) ? selected : '';
+
+            const flagged = results.filter((r) => !r.onRoad || !r.reached || r.collisions.length > 0);
+            const summary = document.createElement('p');
+            summary.textContent = results.length
+                ? `${results.length - flagged.length} of ${results.length} coach bays reached cleanly`
+                : 'No coach bays to check';
+
+            const table = createTable(['Bay', 'Result', 'Touches'], results.map((r) => [
+                r.bay,
+                describe(r),
+                r.collisions.map((c) => c.label).join(', ') || '-'
+            ]));
+            results.forEach((r, i) => {
+                if (flagged.includes(r)) table.tBodies[0].rows[i].className = 'flagged';
+            });
+            output.replaceChildren(summary, table);
+        },
+        setPlaying(playing) {
+            playButton.textContent = playing ? 'Stop' : 'Play';
+        }
+    };
+}
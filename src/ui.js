@@ -0,0 +1,100 @@
+// --- UI Helpers ---
+// Small DOM builders shared by the on-screen tool panels in the #sidebar.
+
+export function createPanel(title, { open = false } = {}) {
+    const root = document.createElement('details');
+    root.className = 'panel';
+    root.open = open;
+
+    const summary = document.createElement('summary');
+    summary.textContent = title;
+    root.appendChild(summary);
+
+    const body = document.createElement('div');
+    body.className = 'panel-body';
+    root.appendChild(body);
+
+    document.getElementById('sidebar').appendChild(root);
+    return { root, body };
+}
+
+export function createField(label, input) {
+    const row = document.createElement('label');
+    row.className = 'field';
+
+    const text = document.createElement('span');
+    text.textContent = label;
+    row.appendChild(text);
+    row.appendChild(input);
+
+    return row;
+}
+
+export function createNumberInput({ value, min, max, step = 1, onChange }) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.value = value;
+    if (min !== undefined) input.min = min;
+    if (max !== undefined) input.max = max;
+    input.step = step;
+    input.addEventListener('change', () => onChange(parseFloat(input.value), input));
+    return input;
+}
+
+// Generic input for date/range/text fields; onInput fires continuously while dragging.
+export function createInput(type, { value, onInput, onChange, ...attributes }) {
+    const input = document.createElement('input');
+    input.type = type;
+    Object.entries(attributes).forEach(([name, attr]) => input.setAttribute(name, attr));
+    input.value = value;
+    if (onInput) input.addEventListener('input', () => onInput(input.value, input));
+    if (onChange) input.addEventListener('change', () => onChange(input.value, input));
+    return input;
+}
+
+export function createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+export function createErrorText() {
+    const el = document.createElement('p');
+    el.className = 'panel-error';
+    return el;
+}
+
+export function createTable(headers, rows) {
+    const table = document.createElement('table');
+    table.className = 'data-table';
+
+    const head = table.createTHead().insertRow();
+    headers.forEach((text) => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        head.appendChild(th);
+    });
+
+    const tbody = table.createTBody();
+    rows.forEach((cells) => {
+        const tr = tbody.insertRow();
+        cells.forEach((text) => {
+            tr.insertCell().textContent = text;
+        });
+    });
+    return table;
+}
+
+// Saves generated text/binary content through a temporary object URL.
+export function downloadFile(filename, content, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Revoking straight after the click can cancel the download in some browsers (Firefox)
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
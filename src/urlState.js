@@ -0,0 +1,117 @@
+import { PARAM_FIELDS } from './paramPanel.js';
+import { ROOF_TYPES } from './roofForms.js';
+import { ORIENTATIONS } from './panelLayout.js';
+import { MODULE_LIBRARY } from './moduleLibrary.js';
+import { INVERTER_LIBRARY } from './stringDesign.js';
+import { CABLE_SIZES } from './cableRouting.js';
+
+// --- URL State ---
+// Seed, camera pose, the selected element and the key CONFIG values live in the location hash, e.g.
+//   #seed=42&cam=-40,40,60,0,0,0&sel=column:CP:3:left&structure.length=90&solar.moduleId=jinko-...
+// Only values that differ from the defaults are written, so links stay short.
+
+// Allowed values, as the panels that edit them offer
+const range = (min, max) => (value) => value >= min && value <= max;
+const whole = (min, max) => (value) => Number.isInteger(value) && range(min, max)(value);
+const oneOf = (values) => (value) => values.includes(value);
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+    && new Date(value).toISOString().startsWith(value); // 2024-02-31 would roll over into March
+const field = (section, key) => {
+    const { min, max } = PARAM_FIELDS.find((f) => f.section === section && f.key === key);
+    return range(min, max);
+};
+
+// [section, key, type, valid(value)] of every CONFIG value that is shared through the URL
+export const URL_KEYS = [
+    ['structure', 'length', 'number', field('structure', 'length')],
+    ['structure', 'width', 'number', field('structure', 'width')],
+    ['structure', 'columnSpacing', 'number', field('structure', 'columnSpacing')],
+    ['structure', 'eavesHeight', 'number', field('structure', 'eavesHeight')],
+    ['structure', 'ridgeHeight', 'number', field('structure', 'ridgeHeight')],
+    ['structure', 'braceGap', 'number', range(0, 6)], // Scenario files only, no panel
+    ['structure', 'roofType', 'string', oneOf(ROOF_TYPES.map((type) => type.id))],
+    ['structure', 'rackTilt', 'number', field('structure', 'rackTilt')],
+    ['structure', 'rackSpacing', 'number', field('structure', 'rackSpacing')],
+    ['solar', 'moduleId', 'string', (id) => MODULE_LIBRARY.some((sheet) => sheet.id === id)],
+    ['solar', 'orientation', 'string', oneOf(ORIENTATIONS)],
+    ['solar', 'autoFit', 'boolean', () => true],
+    ['solar', 'rowsPerSlope', 'number', field('solar', 'rowsPerSlope')],
+    ['solar', 'panelsPerRow', 'number', field('solar', 'panelsPerRow')],
+    ['site', 'latitude', 'number', range(-90, 90)],
+    ['site', 'longitude', 'number', range(-180, 180)],
+    ['site', 'utcOffset', 'number', range(-12, 14)],
+    ['sun', 'date', 'string', isDate],
+    ['sun', 'minutes', 'number', range(0, 24 * 60 - 1)],
+    ['electrical', 'inverterId', 'string', (id) => INVERTER_LIBRARY.some((inv) => inv.id === id)],
+    ['electrical', 'modulesPerString', 'number', whole(0, 40)],
+    ['cabling', 'crossSection', 'number', oneOf(CABLE_SIZES)],
+    ['loads', 'windPressure', 'number', range(0, 3)],
+    ['loads', 'snow', 'number', range(0, 3)]
+];
+
+function parseValue(text, type) {
+    if (type === 'number') {
+        const value = parseFloat(text);
+        return Number.isFinite(value) ? value : undefined;
+    }
+    if (type === 'boolean') return text === '1' || text === 'true';
+    return text;
+}
+
+function formatValue(value, type) {
+    if (type === 'boolean') return value ? '1' : '0';
+    return String(value);
+}
+
+// Returns { seed, camera: { position, target } | null, selection: key | null,
+// overrides: [{ section, key, value }], rejected: ['section.key', ...] }; selection keys are checked
+// when resolved (src/selection.js). Unknown keys are ignored; values that do not parse or are out
+// of range are left out of the overrides and listed in rejected.
+export function readUrlState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const seed = parseInt(params.get('seed'), 10);
+
+    let camera = null;
+    const cam = (params.get('cam') || '').split(',').map(parseFloat);
+    if (cam.length === 6 && cam.every(Number.isFinite)) {
+        camera = { position: cam.slice(0, 3), target: cam.slice(3) };
+    }
+
+    const overrides = [];
+    const rejected = [];
+    URL_KEYS.forEach(([section, key, type, valid]) => {
+        const text = params.get(`${section}.${key}`);
+        if (text === null) return;
+        const value = parseValue(text, type);
+        if (value !== undefined && valid(value)) {
+            overrides.push({ section, key, value });
+        } else {
+            rejected.push(`${section}.${key}`);
+        }
+    });
+
+    return { seed: Number.isFinite(seed) ? seed : null, camera, selection: params.get('sel'), overrides, rejected };
+}
+
+export function applyOverrides(config, overrides) {
+    overrides.forEach(({ section, key, value }) => {
+        config[section][key] = value;
+    });
+}
+
+// camera: { position: [x, y, z], target: [x, y, z] }; selection: key or null
+export function encodeUrlState({ seed, camera, selection, config, defaults }) {
+    const params = new URLSearchParams();
+    params.set('seed', String(seed));
+    if (camera) {
+        params.set('cam', [...camera.position, ...camera.target].map((v) => +v.toFixed(2)).join(','));
+    }
+    if (selection) params.set('sel', selection);
+    // Values a reader would reject, such as an imported module's id, are left out
+    URL_KEYS.forEach(([section, key, type, valid]) => {
+        const value = config[section][key];
+        if (value !== defaults[section][key] && valid(value)) params.set(`${section}.${key}`, formatValue(value, type));
+    });
+    // URLSearchParams escapes commas and colons; they are safe in a fragment and easier to read
+    return `#${params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':')}`;
+}
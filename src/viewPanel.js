@@ -0,0 +1,97 @@
+import { createPanel, createField, createNumberInput, createButton, createErrorText, downloadFile } from './ui.js';
+import { VIEWS } from './orthoViews.js';
+
+// --- Views Panel ---
+// Named orthographic views, the section cut and high-resolution image export.
+// `views` is CONFIG.views; onView(id) switches the camera, onSection() re-cuts after a section
+// setting changes and onExport() resolves to { blob, width, height, name } for the current view.
+
+const IMAGE_SCALES = [1, 2, 4];
+
+export function createViewPanel(views, onView, onSection, onExport) {
+    const { body } = createPanel('Views & Sections');
+
+    const viewSelect = document.createElement('select');
+    VIEWS.forEach((view) => viewSelect.appendChild(new Option(view.label, view.id)));
+    viewSelect.addEventListener('change', () => onView(viewSelect.value));
+    body.appendChild(createField('View', viewSelect));
+
+    const { section } = views;
+    const cutToggle = document.createElement('input');
+    cutToggle.type = 'checkbox';
+    cutToggle.checked = section.enabled;
+    cutToggle.addEventListener('change', () => {
+        section.enabled = cutToggle.checked;
+        onSection();
+    });
+    body.appendChild(createField('Section cut', cutToggle));
+
+    const structureSelect = document.createElement('select');
+    structureSelect.addEventListener('change', () => {
+        section.structure = structureSelect.value;
+        onSection();
+    });
+    body.appendChild(createField('Canopy', structureSelect));
+
+    const frameInput = createNumberInput({
+        value: section.frame,
+        min: 1,
+        step: 1,
+        onChange: (value, input) => {
+            if (!Number.isInteger(value) || value < 1 || value > Number(input.max)) return;
+            section.frame = value;
+            onSection();
+        }
+    });
+    body.appendChild(createField('Frame line', frameInput));
+
+    const reverseToggle = document.createElement('input');
+    reverseToggle.type = 'checkbox';
+    reverseToggle.checked = section.reverse;
+    reverseToggle.addEventListener('change', () => {
+        section.reverse = reverseToggle.checked;
+        onSection();
+    });
+    body.appendChild(createField('Look from the other side', reverseToggle));
+
+    const scaleSelect = document.createElement('select');
+    IMAGE_SCALES.forEach((scale) => scaleSelect.appendChild(new Option(`${scale}x screen`, String(scale))));
+    scaleSelect.value = String(views.imageScale);
+    scaleSelect.addEventListener('change', () => { views.imageScale = Number(scaleSelect.value); });
+    body.appendChild(createField('Image size', scaleSelect));
+
+    const status = document.createElement('p');
+    const error = createErrorText();
+    const exportButton = createButton('Export PNG', async () => {
+        exportButton.disabled = true;
+        error.textContent = '';
+        try {
+            const { blob, width, height, name } = await onExport();
+            downloadFile(`${name}.png`, blob, 'image/png');
+            status.textContent = `Saved ${name}.png (${width} x ${height} px)`;
+        } catch (err) {
+            error.textContent = `Export failed: ${err.message}`;
+        }
+        exportButton.disabled = false;
+    });
+    body.appendChild(exportButton);
+    body.appendChild(status);
+    body.appendChild(error);
+
+    return {
+        // structures: [{ name, frameZ }] of every canopy, to offer in the section settings
+        show(structures) {
+            const current = structures.find((s) => s.name === section.structure) || structures[0];
+            structureSelect.replaceChildren(...structures.map((s) => new Option(s.name, s.name)));
+            structureSelect.value = current.name;
+            frameInput.max = current.frameZ.length;
+            frameInput.value = Math.min(section.frame, current.frameZ.length);
+        },
+        setView(id) {
+            viewSelect.value = id;
+        },
+        setCut(enabled) {
+            cutToggle.checked = enabled;
+        }
+    };
+}
@@ -0,0 +1,51 @@
+import { createPanel, createField, createNumberInput, createTable } from './ui.js';
+import { MONTH_NAMES } from './energyYield.js';
+
+// --- Energy Yield Panel ---
+// Annual kWh per structure/slope plus a monthly breakdown.
+
+function formatKwh(kwh) {
+    return Math.round(kwh).toLocaleString('en-GB');
+}
+
+export function createYieldPanel(yieldConfig, onChange) {
+    const { body } = createPanel('Energy Yield');
+
+    body.appendChild(createField('System losses (%)', createNumberInput({
+        value: yieldConfig.losses,
+        min: 0,
+        max: 50,
+        step: 0.5,
+        onChange: (value) => {
+            if (!Number.isFinite(value)) return;
+            yieldConfig.losses = value;
+            onChange();
+        }
+    })));
+
+    const output = document.createElement('div');
+    body.appendChild(output);
+
+    return {
+        show(results) {
+            output.replaceChildren();
+
+            const total = results.reduce((sum, r) => sum + r.annual, 0);
+            const kwp = results.reduce((sum, r) => sum + r.kwp, 0);
+
+            const summary = document.createElement('p');
+            summary.textContent = `Annual: ${formatKwh(total)} kWh (${formatKwh(total / kwp)} kWh/kWp)`;
+            output.appendChild(summary);
+
+            output.appendChild(createTable(
+                ['Structure', 'Slope', 'kWp', 'kWh/yr'],
+                results.map((r) => [r.structure, `${r.slope} ${r.tilt.toFixed(1)}°`, r.kwp.toFixed(1), formatKwh(r.annual)])
+            ));
+
+            output.appendChild(createTable(
+                ['Month', ...results.map((r) => `${r.structure} ${r.slope}`)],
+                MONTH_NAMES.map((name, month) => [name, ...results.map((r) => formatKwh(r.monthly[month]))])
+            ));
+        }
+    };
+}
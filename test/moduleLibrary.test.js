@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MODULE_LIBRARY, validateDatasheet } from '../src/moduleLibrary.js';
+
+test('built-in datasheets pass validation', () => {
+    MODULE_LIBRARY.forEach((sheet) => assert.deepEqual(validateDatasheet(sheet), [], sheet.id));
+});
+
+test('dimensions entered in metres are rejected with the millimetre value', () => {
+    const sheet = { ...structuredClone(MODULE_LIBRARY[0]), dimensions: { length: 1.762, width: 1.134, thickness: 30 } };
+    assert.deepEqual(validateDatasheet(sheet), [
+        'dimensions.length must be 500-3000 mm; 1.762 looks like metres, enter 1762',
+        'dimensions.width must be 500-3000 mm; 1.134 looks like metres, enter 1134'
+    ]);
+});
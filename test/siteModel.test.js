@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createConfig } from '../src/config.js';
+import { DEFAULT_SCENARIO } from '../src/scenario.js';
+import { createSiteModel } from '../src/siteModel.js';
+
+// The site model must build without a browser: no window, no document, no textures
+test('default site builds headless with the expected panel and bay counts', () => {
+    assert.equal(typeof window, 'undefined');
+    assert.equal(typeof document, 'undefined');
+
+    const model = createSiteModel(createConfig(), structuredClone(DEFAULT_SCENARIO));
+    const summary = model.summary();
+    assert.equal(summary.totalPanels, 996);
+    assert.equal(summary.carBays, 38);
+    assert.equal(summary.coachBays, 12);
+
+    const bays = model.parkingGroup.userData.bays;
+    assert.equal(bays.filter((bay) => bay.kind === 'car').length, 38);
+    assert.equal(bays.filter((bay) => bay.kind === 'coach').length, 12);
+});
+
+// Plan positions to the millimetre
+const near = (actual, expected, label) => assert.ok(Math.abs(actual - expected) < 1e-3, `${label}: ${actual} is not ${expected}`);
+
+test('default site places footprints, columns and bays at their world positions', () => {
+    const model = createSiteModel(createConfig(), structuredClone(DEFAULT_SCENARIO));
+
+    // Coach port sits one span plus the brace gap east of the car port
+    const [car, coach] = model.ports.map((port) => port.userData.structure.footprint);
+    near(car.x, -6, 'car port x'); near(car.z, 0, 'car port z');
+    near(coach.x, 7.5, 'coach port x'); near(coach.z, 0, 'coach port z');
+    assert.equal(car.length, 96); assert.equal(coach.length, 96);
+
+    // Columns on both eaves of the car port; the coach port only has its east side, braced across
+    const columns = model.ports.map((port) => {
+        const found = [];
+        port.updateMatrixWorld(true);
+        port.traverse((child) => {
+            const member = child.userData.member;
+            if (!member || member.type !== 'column') return;
+            const at = child.getWorldPosition(new THREE.Vector3());
+            found.push({ frame: member.frame, side: member.side, x: at.x, z: at.z });
+        });
+        return found;
+    });
+    assert.equal(columns[0].length, 34); assert.equal(columns[1].length, 17);
+    [
+        [columns[0][0], 0, 'left', -12, -48],
+        [columns[0][1], 0, 'right', 0, -48],
+        [columns[0].at(-1), 16, 'right', 0, 48],
+        [columns[1][0], 0, 'right', 13.5, -48],
+        [columns[1][1], 1, 'right', 13.5, -42],
+        [columns[1].at(-1), 16, 'right', 13.5, 48]
+    ].forEach(([column, frame, side, x, z]) => {
+        const label = `F${frame + 1} (${side})`;
+        assert.equal(column.frame, frame, label); assert.equal(column.side, side, label);
+        near(column.x, x, `${label} x`); near(column.z, z, `${label} z`);
+    });
+
+    // First and last bay of each kind
+    const bays = model.parkingGroup.userData.bays;
+    [
+        ['1', -3, -44.4, Math.PI / 2],
+        ['38', -3, 44.4, Math.PI / 2],
+        ['C1', 3.75, -37.5, 0],
+        ['C12', 11.25, 37.5, 0]
+    ].forEach(([label, x, z, heading]) => {
+        const bay = bays.find((b) => b.label === label);
+        near(bay.x, x, `bay ${label} x`); near(bay.z, z, `bay ${label} z`); near(bay.heading, heading, `bay ${label} heading`);
+    });
+});
+
+test('every default coach bay can be driven into without touching anything', () => {
+    const model = createSiteModel(createConfig(), structuredClone(DEFAULT_SCENARIO));
+    const results = model.sweptPaths();
+    assert.equal(results.length, 12);
+    results.forEach((result) => {
+        assert.ok(result.reached, `${result.bay} reached`);
+        assert.ok(result.onRoad, `${result.bay} starts on the road`);
+        assert.deepEqual(result.collisions, [], `${result.bay} collisions`);
+    });
+});
+
+test('a coach too long for its bay is flagged on the neighbouring bay line', () => {
+    const config = createConfig();
+    config.sweptPath.vehicle.frontOverhang = 8; // 17.3 m body in a 15 m parallel bay
+    const model = createSiteModel(config, structuredClone(DEFAULT_SCENARIO));
+    const first = model.sweptPaths().find((result) => result.bay === 'C1');
+    assert.deepEqual(first.collisions.map((hit) => hit.label), ['Bay line C1/C2']);
+    assert.equal(first.collisions[0].pose, first.poses.length - 1);
+});
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createConfig } from '../src/config.js';
+import { validateSite } from '../src/sunPanel.js';
+
+test('default site location is valid', () => {
+    assert.deepEqual(validateSite(createConfig().site), []);
+});
+
+test('latitude, longitude and UTC offset outside their ranges are rejected', () => {
+    assert.deepEqual(validateSite({ latitude: 91, longitude: -181, utcOffset: 15 }), [
+        'Latitude (°) must be between -90 and 90',
+        'Longitude (°) must be between -180 and 180',
+        'UTC offset (h) must be between -12 and 14'
+    ]);
+    assert.deepEqual(validateSite({ latitude: 51.5, longitude: -0.1, utcOffset: -12.5 }), ['UTC offset (h) must be between -12 and 14']);
+    assert.deepEqual(validateSite({ latitude: -90, longitude: 180, utcOffset: 14 }), []);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createConfig } from '../src/config.js';
+import { readUrlState, encodeUrlState } from '../src/urlState.js';
+
+test('changed values round-trip through the link', () => {
+    const config = createConfig();
+    config.structure.length = 60;
+    config.solar.moduleId = 'ja-jam54d40-440';
+    const hash = encodeUrlState({ seed: 7, camera: null, selection: null, config, defaults: createConfig() });
+    const state = readUrlState(hash);
+    assert.equal(state.seed, 7);
+    assert.deepEqual(state.rejected, []);
+    assert.deepEqual(state.overrides, [
+        { section: 'structure', key: 'length', value: 60 },
+        { section: 'solar', key: 'moduleId', value: 'ja-jam54d40-440' }
+    ]);
+});
+
+test('an imported module id is left out of the link', () => {
+    const config = createConfig();
+    config.solar.moduleId = 'custom-4';
+    const hash = encodeUrlState({ seed: 7, camera: null, selection: null, config, defaults: createConfig() });
+    assert.ok(!hash.includes('moduleId'), hash);
+    assert.deepEqual(readUrlState(hash).rejected, []);
+});